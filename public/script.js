@@ -8,11 +8,17 @@
 // =============================================================================
 
 let isAdminLoggedIn = false;
-const AUTH_STORAGE_KEY = 'local_network_hub_admin_auth';
-const AUTH_EXPIRES_DAYS = 7;
+let mustChangePassword = false;
+let currentUser = null;
+let forwardAuth = null; // { logoutUrl } when signed in through a trusted authentication proxy
+let csrfToken = null; // sent with every state-changing API request
+let twoFactorChallengeToken = null;
+const USER_ROLES = ['viewer', 'editor', 'admin'];
 let links = [];
+let linkStatuses = {}; // latest health monitor result per link ID
 let categories = [];
 let chatConfig = null;
+let chatConfigEtag = null; // version of the chat config the admin form was loaded from
 let filterConfig = null;
 let chatboxHTML = null;
 
@@ -22,15 +28,16 @@ let chatboxHTML = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Local Network Hub application starting...');
-    checkStoredAuth();
-    handleRouting();
+    checkAdminSession().then(handleRouting);
     loadCategories();
     loadLinks();
+    loadLinkStatuses();
     loadHomepageMessage();
     loadSiteTitle();
     loadChatConfig();
     loadAdminColorConfig();
-    
+    connectLiveUpdates();
+
     // Debug: Log any global errors
     window.addEventListener('error', function(e) {
         console.error('Global error caught:', e.error, e.filename, e.lineno);
@@ -75,6 +82,14 @@ function switchAdminTab(event, tabId) {
     if (tabId === 'projectTab') {
         loadProjectFiles();
     }
+    
+    if (tabId === 'trashTab') {
+        loadTrash();
+    }
+    
+    if (tabId === 'activityTab') {
+        loadAuditLog(1);
+    }
 }
 
 /**
@@ -113,7 +128,9 @@ function showAdminPage() {
         }, 500); // Longer delay to ensure page is fully shown and rendered
     }
     
-    if (isAdminLoggedIn) {
+    if (isAdminLoggedIn && mustChangePassword) {
+        showPasswordChangeForm();
+    } else if (isAdminLoggedIn) {
         showAdminPanel();
     } else {
         showLoginForm();
@@ -124,7 +141,9 @@ function showAdminPage() {
  * Show admin login form
  */
 function showLoginForm() {
+    resetLoginSteps();
     document.getElementById('loginForm').classList.remove('hidden');
+    document.getElementById('passwordChangeForm').classList.add('hidden');
     document.getElementById('adminPanel').classList.add('hidden');
     
     // Always clear admin data when showing login form for security
@@ -136,8 +155,11 @@ function showLoginForm() {
  */
 function showAdminPanel() {
     document.getElementById('loginForm').classList.add('hidden');
+    document.getElementById('passwordChangeForm').classList.add('hidden');
     document.getElementById('adminPanel').classList.remove('hidden');
     
+    applyRoleVisibility();
+    
     // Load admin data
     loadAdminCategories();
     loadAdminLinks();
@@ -146,187 +168,1959 @@ function showAdminPanel() {
     loadAdminFilterConfig();
     loadAdminColorConfig();
     loadPrivateLinks();
+    loadCertificates();
     loadSiteTitle();
     syncColorInputs();
+    renderTwoFactorSection();
+    loadApiTokens();
+    
+    if (hasRole('admin')) {
+        loadUsers();
+        loadFailedLogins();
+        loadBackups();
+        loadConfigFile();
+        loadNotifications();
+    }
     
     // Adjust button text colors for admin panel
     setTimeout(() => adjustAllButtonTextColors(), 200);
 }
 
+/**
+ * Check whether the signed-in user has at least the given role
+ * @param {string} role - Minimum role ('viewer', 'editor' or 'admin')
+ * @returns {boolean} - True if the current user qualifies
+ */
+function hasRole(role) {
+    if (!currentUser) return false;
+    return USER_ROLES.indexOf(currentUser.role) >= USER_ROLES.indexOf(role);
+}
+
+/**
+ * Show or hide admin panel sections based on the current user's role
+ * Elements declare their minimum role via a data-min-role attribute
+ */
+function applyRoleVisibility() {
+    document.querySelectorAll('[data-min-role]').forEach(element => {
+        element.classList.toggle('hidden', !hasRole(element.dataset.minRole));
+    });
+    
+    // Password and 2FA are managed by the proxy for forward-auth sessions
+    document.querySelectorAll('[data-local-auth]').forEach(element => {
+        element.classList.toggle('hidden', Boolean(forwardAuth));
+    });
+    document.querySelectorAll('.logout-btn').forEach(button => {
+        button.classList.toggle('hidden', Boolean(forwardAuth && !forwardAuth.logoutUrl));
+    });
+    
+    const userInfo = document.getElementById('currentUserInfo');
+    if (userInfo) {
+        const via = forwardAuth ? ' via authentication proxy' : '';
+        userInfo.textContent = currentUser ? `Signed in as ${currentUser.username} (${currentUser.role})${via}` : '';
+    }
+}
+
+/**
+ * Show the forced password change form shown while the default password is in use
+ */
+function showPasswordChangeForm() {
+    document.getElementById('loginForm').classList.add('hidden');
+    document.getElementById('adminPanel').classList.add('hidden');
+    document.getElementById('passwordChangeForm').classList.remove('hidden');
+    document.getElementById('forcedCurrentPassword').focus();
+}
+
 // Listen for hash changes
 window.addEventListener('hashchange', handleRouting);
 
-// Listen for Enter key on password field
+// Listen for Enter key on login fields
+document.getElementById('adminUsername').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        document.getElementById('adminPassword').focus();
+    }
+});
 document.getElementById('adminPassword').addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
         adminLogin();
     }
-});
+});
+document.getElementById('twoFactorCode').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        verifyTwoFactorLogin();
+    }
+});
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * Check for an existing server-side admin session on page load
+ */
+async function checkAdminSession() {
+    try {
+        const response = await fetch('/api/admin/session');
+        const result = await response.json();
+        
+        isAdminLoggedIn = Boolean(result.success && result.authenticated);
+        mustChangePassword = Boolean(isAdminLoggedIn && result.mustChangePassword);
+        currentUser = isAdminLoggedIn ? result.user : null;
+        forwardAuth = isAdminLoggedIn && result.forwardAuth ? { logoutUrl: result.logoutUrl } : null;
+        csrfToken = isAdminLoggedIn ? result.csrfToken : null;
+        if (forwardAuth) {
+            console.log('Signed in through authentication proxy');
+        } else if (isAdminLoggedIn) {
+            console.log('Admin session restored from server');
+        }
+    } catch (error) {
+        console.error('Error checking admin session:', error);
+        isAdminLoggedIn = false;
+        currentUser = null;
+        csrfToken = null;
+    }
+}
+
+/**
+ * Fetch wrapper for API calls that handles expired admin sessions
+ * Attaches the CSRF token to state-changing requests and retries once with a
+ * fresh token if the server rejected it (e.g. after a server restart)
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {boolean} isRetry - True when retrying after a CSRF rejection
+ * @returns {Promise<Response>} - fetch response
+ */
+async function apiFetch(url, options = {}, isRetry = false) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...(options.headers || {}) };
+    if (csrfToken && method !== 'GET' && method !== 'HEAD') {
+        headers['X-CSRF-Token'] = csrfToken;
+    }
+    
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        ...options,
+        headers
+    });
+    
+    if (response.status === 403 && response.headers.get('X-CSRF-Rejected') && !isRetry) {
+        await checkAdminSession();
+        if (csrfToken) {
+            return apiFetch(url, options, true);
+        }
+    }
+    
+    if (response.status === 401 && isAdminLoggedIn) {
+        handleSessionExpired();
+    }
+    
+    return response;
+}
+
+/**
+ * Reset admin state when the server rejects the session
+ */
+function handleSessionExpired() {
+    isAdminLoggedIn = false;
+    currentUser = null;
+    csrfToken = null;
+    showFeedback('Admin session expired, please log in again', 'error');
+    loadCategories().then(loadLinks);
+    
+    if (window.location.hash === '#admin') {
+        showLoginForm();
+    }
+}
+
+/**
+ * Clear all admin-specific data and UI elements
+ */
+function clearAdminData() {
+    // Clear private links section (but don't hide since it's in a tab)
+    const privateLinksSection = document.getElementById('privateLinksSection');
+    if (privateLinksSection) {
+        const privateLinksContainer = document.getElementById('privateLinksContainer');
+        if (privateLinksContainer) {
+            privateLinksContainer.innerHTML = '';
+        }
+    }
+    
+    // Clear admin categories list
+    const adminCategoriesList = document.getElementById('adminCategoriesList');
+    if (adminCategoriesList) {
+        adminCategoriesList.innerHTML = '';
+    }
+    
+    // Clear admin links list
+    const adminLinksList = document.getElementById('adminLinksList');
+    if (adminLinksList) {
+        adminLinksList.innerHTML = '';
+    }
+    
+    // Clear notification channels, whose webhook URLs often embed secrets
+    const notificationChannelsList = document.getElementById('notificationChannelsList');
+    if (notificationChannelsList) {
+        notificationChannelsList.innerHTML = '';
+        notificationChannels = [];
+        resetNotificationChannelForm();
+    }
+    
+    // Clear form inputs
+    const inputs = [
+        'categoryName', 'linkName', 'linkUrl', 'homepageMessageInput',
+        'chatApiUrl', 'chatflowId', 'filterKeyword',
+        'settingsCurrentPassword', 'settingsNewPassword', 'settingsConfirmPassword'
+    ];
+    inputs.forEach(inputId => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = '';
+        }
+    });
+    
+    // Clear checkboxes
+    const filterEnabled = document.getElementById('filterEnabled');
+    if (filterEnabled) {
+        filterEnabled.checked = false;
+    }
+    
+    // Reset category select
+    const linkCategory = document.getElementById('linkCategory');
+    if (linkCategory) {
+        linkCategory.innerHTML = '<option value="">No Category</option>';
+    }
+}
+
+/**
+ * Handle admin login
+ */
+async function adminLogin() {
+    const username = document.getElementById('adminUsername').value.trim();
+    const password = document.getElementById('adminPassword').value;
+    
+    try {
+        const response = await apiFetch('/api/admin/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: username, password: password })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success && result.twoFactorRequired) {
+            twoFactorChallengeToken = result.challengeToken;
+            document.getElementById('passwordStep').classList.add('hidden');
+            document.getElementById('twoFactorStep').classList.remove('hidden');
+            document.getElementById('twoFactorCode').focus();
+        } else if (result.success) {
+            await handleLoginSuccess(result);
+        } else {
+            showFeedback(result.error || 'Invalid username or password', 'error');
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        showFeedback('Login failed', 'error');
+    }
+}
+
+/**
+ * Submit the second factor for a login awaiting two-factor verification
+ */
+async function verifyTwoFactorLogin() {
+    const code = document.getElementById('twoFactorCode').value.trim();
+    
+    if (!code) {
+        showFeedback('Please enter your verification code', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/admin/login/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: twoFactorChallengeToken, code: code })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            resetLoginSteps();
+            await handleLoginSuccess(result);
+        } else {
+            document.getElementById('twoFactorCode').value = '';
+            showFeedback(result.error || 'Invalid verification code', 'error');
+            
+            // Challenge is gone; start over from the password step
+            if (result.error && result.error.startsWith('Login expired')) {
+                resetLoginSteps();
+            }
+        }
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        showFeedback('Login failed', 'error');
+    }
+}
+
+/**
+ * Return the login form to the username/password step
+ */
+function resetLoginSteps() {
+    twoFactorChallengeToken = null;
+    document.getElementById('twoFactorCode').value = '';
+    document.getElementById('twoFactorStep').classList.add('hidden');
+    document.getElementById('passwordStep').classList.remove('hidden');
+}
+
+/**
+ * Apply a successful login response and open the admin panel
+ * @param {Object} result - Login response body
+ */
+async function handleLoginSuccess(result) {
+    isAdminLoggedIn = true;
+    mustChangePassword = Boolean(result.mustChangePassword);
+    currentUser = result.user;
+    csrfToken = result.csrfToken;
+    document.getElementById('adminPassword').value = '';
+    
+    if (mustChangePassword) {
+        showPasswordChangeForm();
+        showFeedback('Please change the default admin password', 'error');
+        return;
+    }
+    
+    // Reload so private categories and their links are included
+    await loadCategories();
+    await loadLinks();
+    
+    showAdminPanel();
+    showFeedback('Successfully logged in!', 'success');
+}
+
+/**
+ * Handle admin logout
+ * Revokes the server-side session before clearing local state
+ */
+async function adminLogout() {
+    // Proxy sessions can only be ended at the proxy itself
+    if (forwardAuth) {
+        if (forwardAuth.logoutUrl) {
+            window.location.href = forwardAuth.logoutUrl;
+        }
+        return;
+    }
+    
+    try {
+        await apiFetch('/api/admin/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
+    isAdminLoggedIn = false;
+    mustChangePassword = false;
+    currentUser = null;
+    csrfToken = null;
+    
+    // Clear all admin-specific data and UI elements
+    clearAdminData();
+    
+    // Reload public data so private categories are dropped from memory
+    await loadCategories();
+    loadLinks();
+    
+    showLoginForm();
+    
+    // Clear the password field
+    document.getElementById('adminPassword').value = '';
+    
+    showFeedback('Successfully logged out', 'success');
+    
+    // Redirect to main page after short delay
+    setTimeout(() => {
+        window.location.hash = '';
+        showMainPage();
+    }, 1500);
+}
+
+/**
+ * Change the admin password
+ * @param {string} formPrefix - ID prefix of the form to read ('forced' or 'settings')
+ */
+async function changeAdminPassword(formPrefix) {
+    const currentInput = document.getElementById(`${formPrefix}CurrentPassword`);
+    const newInput = document.getElementById(`${formPrefix}NewPassword`);
+    const confirmInput = document.getElementById(`${formPrefix}ConfirmPassword`);
+    const button = event.target;
+    
+    if (!currentInput.value || !newInput.value) {
+        showFeedback('Please enter your current and new password', 'error');
+        return;
+    }
+    
+    if (newInput.value !== confirmInput.value) {
+        showFeedback('New passwords do not match', 'error');
+        confirmInput.focus();
+        return;
+    }
+    
+    const originalText = button.textContent;
+    button.textContent = 'Updating...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/admin/password', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                currentPassword: currentInput.value,
+                newPassword: newInput.value
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            [currentInput, newInput, confirmInput].forEach(input => {
+                input.value = '';
+            });
+            showFeedback('Admin password changed successfully!', 'success');
+            
+            if (mustChangePassword) {
+                mustChangePassword = false;
+                await loadCategories();
+                await loadLinks();
+                showAdminPanel();
+            }
+        } else {
+            showFeedback(result.error || 'Failed to change password', 'error');
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        showFeedback('Failed to change password', 'error');
+    } finally {
+        button.textContent = originalText;
+        button.disabled = false;
+    }
+}
+
+/**
+ * Load user accounts for the admin panel
+ */
+async function loadUsers() {
+    const usersList = document.getElementById('usersList');
+    if (!usersList) return;
+    
+    try {
+        const response = await apiFetch('/api/users');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        usersList.innerHTML = '';
+        result.users.forEach(user => {
+            const isSelf = currentUser && user.id === currentUser.id;
+            const isProxyManaged = user.authSource === 'forward-auth';
+            const userItem = document.createElement('div');
+            userItem.className = 'user-item';
+            userItem.innerHTML = `
+                <span class="user-name">${escapeHtml(user.username)}${isSelf ? ' (you)' : ''}</span>
+                ${isProxyManaged ? `<span class="form-hint">${escapeHtml(user.role)} · managed by proxy</span>` : `
+                <select onchange="updateUserRole(${user.id}, this.value)">
+                    ${USER_ROLES.map(role =>
+                        `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`
+                    ).join('')}
+                </select>
+                <button onclick="resetUserPassword(${user.id})" class="edit-btn">Reset Password</button>`}
+                ${user.twoFactorEnabled ? `<button onclick="resetUserTwoFactor(${user.id})" class="edit-btn">Reset 2FA</button>` : ''}
+                ${isSelf ? '' : `<button onclick="deleteUser(${user.id})" class="delete-btn">Delete</button>`}
+            `;
+            usersList.appendChild(userItem);
+        });
+    } catch (error) {
+        console.error('Load users error:', error);
+    }
+}
+
+/**
+ * Create a new user account
+ */
+async function addUser() {
+    const username = document.getElementById('newUserUsername').value.trim();
+    const password = document.getElementById('newUserPassword').value;
+    const role = document.getElementById('newUserRole').value;
+    const button = event.target;
+    
+    if (!username || !password) {
+        showFeedback('Please enter a username and password', 'error');
+        return;
+    }
+    
+    button.textContent = 'Adding...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password, role })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            document.getElementById('newUserUsername').value = '';
+            document.getElementById('newUserPassword').value = '';
+            loadUsers();
+            showFeedback(`Successfully added user "${username}"!`, 'success');
+        } else {
+            showFeedback(result.error || 'Failed to add user', 'error');
+        }
+    } catch (error) {
+        console.error('Add user error:', error);
+        showFeedback('Failed to add user', 'error');
+    } finally {
+        button.textContent = '+ Add User';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Change a user's role
+ */
+async function updateUserRole(userId, role) {
+    try {
+        const response = await apiFetch(`/api/users/${userId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            showFeedback(`Role changed to ${role}`, 'success');
+            
+            // Demoting yourself takes effect immediately
+            if (currentUser && userId === currentUser.id) {
+                currentUser = result.user;
+                showAdminPanel();
+                return;
+            }
+        } else {
+            showFeedback(result.error || 'Failed to change role', 'error');
+        }
+        loadUsers();
+    } catch (error) {
+        console.error('Update user role error:', error);
+        showFeedback('Failed to change role', 'error');
+        loadUsers();
+    }
+}
+
+/**
+ * Set a new password for a user
+ */
+async function resetUserPassword(userId) {
+    const password = prompt('Enter a new password for this user (min. 8 characters):');
+    if (!password) return;
+    
+    try {
+        const response = await apiFetch(`/api/users/${userId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            showFeedback('Password reset successfully', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to reset password', 'error');
+        }
+    } catch (error) {
+        console.error('Reset user password error:', error);
+        showFeedback('Failed to reset password', 'error');
+    }
+}
+
+/**
+ * Delete a user account
+ */
+async function deleteUser(userId) {
+    if (!confirm('Are you sure you want to delete this user?')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/users/${userId}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadUsers();
+            showFeedback('User deleted successfully', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to delete user', 'error');
+        }
+    } catch (error) {
+        console.error('Delete user error:', error);
+        showFeedback('Failed to delete user', 'error');
+    }
+}
+
+/**
+ * Render the two-factor section of the Settings tab for the current user
+ */
+function renderTwoFactorSection() {
+    const section = document.getElementById('twoFactorSection');
+    if (!section || !currentUser) return;
+    
+    if (currentUser.twoFactorEnabled) {
+        section.innerHTML = `
+            <p class="form-hint">✅ Enabled – ${currentUser.recoveryCodesRemaining} recovery codes remaining</p>
+            <input type="password" id="twoFactorDisablePassword" placeholder="Current password">
+            <input type="text" id="twoFactorManageCode" placeholder="Authenticator or recovery code" autocomplete="one-time-code">
+            <button onclick="regenerateRecoveryCodes()">New Recovery Codes</button>
+            <button onclick="disableTwoFactor()" class="delete-btn">Disable Two-Factor</button>
+        `;
+    } else {
+        section.innerHTML = `
+            <p class="form-hint">Protect your account with a code from an authenticator app.</p>
+            <button onclick="startTwoFactorSetup()">Set Up Two-Factor</button>
+        `;
+    }
+}
+
+/**
+ * Begin two-factor enrollment and show the QR code
+ */
+async function startTwoFactorSetup() {
+    const section = document.getElementById('twoFactorSection');
+    
+    try {
+        const response = await apiFetch('/api/admin/2fa/setup', { method: 'POST' });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showFeedback(result.error || 'Failed to start two-factor setup', 'error');
+            return;
+        }
+        
+        section.innerHTML = `
+            <p class="form-hint">Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+            <img class="two-factor-qr" src="${result.qrCode}" alt="Two-factor QR code">
+            <div class="two-factor-secret">${escapeHtml(result.secret)}</div>
+            <input type="text" id="twoFactorSetupCode" placeholder="123456" autocomplete="one-time-code" inputmode="numeric">
+            <button onclick="confirmTwoFactorSetup()">Enable Two-Factor</button>
+            <button onclick="renderTwoFactorSection()" class="cancel-btn">Cancel</button>
+        `;
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        showFeedback('Failed to start two-factor setup', 'error');
+    }
+}
+
+/**
+ * Confirm two-factor enrollment with the first code from the app
+ */
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+    
+    if (!code) {
+        showFeedback('Please enter the code from your authenticator app', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/admin/2fa/enable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            currentUser.twoFactorEnabled = true;
+            currentUser.recoveryCodesRemaining = result.recoveryCodes.length;
+            showRecoveryCodes(result.recoveryCodes);
+            showFeedback('Two-factor authentication enabled!', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to enable two-factor', 'error');
+        }
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        showFeedback('Failed to enable two-factor', 'error');
+    }
+}
+
+/**
+ * Show freshly issued recovery codes; they cannot be retrieved again
+ * @param {Array<string>} codes - Plaintext recovery codes
+ */
+function showRecoveryCodes(codes) {
+    const section = document.getElementById('twoFactorSection');
+    section.innerHTML = `
+        <p class="form-hint">Save these recovery codes somewhere safe. Each can be used once if you lose your device, and they will not be shown again.</p>
+        <div class="recovery-codes">${codes.map(code => `<span>${escapeHtml(code)}</span>`).join('')}</div>
+        <button onclick="renderTwoFactorSection()">Done</button>
+    `;
+}
+
+/**
+ * Replace the current user's recovery codes
+ */
+async function regenerateRecoveryCodes() {
+    const code = document.getElementById('twoFactorManageCode').value.trim();
+    
+    if (!code) {
+        showFeedback('Please enter a verification code', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/admin/2fa/recovery-codes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            currentUser.recoveryCodesRemaining = result.recoveryCodes.length;
+            showRecoveryCodes(result.recoveryCodes);
+        } else {
+            showFeedback(result.error || 'Failed to generate recovery codes', 'error');
+        }
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        showFeedback('Failed to generate recovery codes', 'error');
+    }
+}
+
+/**
+ * Turn off two-factor authentication for the current user
+ */
+async function disableTwoFactor() {
+    const password = document.getElementById('twoFactorDisablePassword').value;
+    const code = document.getElementById('twoFactorManageCode').value.trim();
+    
+    if (!password || !code) {
+        showFeedback('Please enter your password and a verification code', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/admin/2fa/disable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password, code })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            currentUser.twoFactorEnabled = false;
+            currentUser.recoveryCodesRemaining = 0;
+            renderTwoFactorSection();
+            showFeedback('Two-factor authentication disabled', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to disable two-factor', 'error');
+        }
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        showFeedback('Failed to disable two-factor', 'error');
+    }
+}
+
+/**
+ * Reset another user's two-factor authentication
+ */
+async function resetUserTwoFactor(userId) {
+    if (!confirm('Reset two-factor authentication for this user? They will be able to sign in with just their password.')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/users/${userId}/2fa/reset`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (result.success) {
+            if (currentUser && userId === currentUser.id) {
+                currentUser = result.user;
+                renderTwoFactorSection();
+            }
+            loadUsers();
+            showFeedback('Two-factor authentication reset', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to reset two-factor', 'error');
+        }
+    } catch (error) {
+        console.error('Reset user two-factor error:', error);
+        showFeedback('Failed to reset two-factor', 'error');
+    }
+}
+
+/**
+ * Load API tokens and the scopes the current user may grant
+ */
+async function loadApiTokens() {
+    const tokensList = document.getElementById('apiTokensList');
+    const scopesContainer = document.getElementById('apiTokenScopes');
+    if (!tokensList || !scopesContainer) return;
+    
+    try {
+        const response = await apiFetch('/api/tokens');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        scopesContainer.innerHTML = result.availableScopes.map(scope => `
+            <label><input type="checkbox" value="${scope}">${scope}</label>
+        `).join('');
+        
+        tokensList.innerHTML = '';
+        result.tokens.forEach(apiToken => {
+            const lastUsed = apiToken.lastUsedAt
+                ? `last used ${new Date(apiToken.lastUsedAt).toLocaleString()} from ${apiToken.lastUsedIp}`
+                : 'never used';
+            const expires = apiToken.expiresAt
+                ? `expires ${new Date(apiToken.expiresAt).toLocaleDateString()}`
+                : 'no expiry';
+            const owner = currentUser && apiToken.userId !== currentUser.id ? ` · ${apiToken.username}` : '';
+            
+            const tokenItem = document.createElement('div');
+            tokenItem.className = 'user-item';
+            tokenItem.innerHTML = `
+                <span class="user-name">
+                    ${escapeHtml(apiToken.name)}${escapeHtml(owner)}
+                    <span class="api-token-meta">${escapeHtml(apiToken.prefix)}… · ${escapeHtml(apiToken.scopes.join(', '))}</span>
+                    <span class="api-token-meta">${escapeHtml(lastUsed)} · ${escapeHtml(expires)}</span>
+                </span>
+                <button onclick="revokeApiToken(${apiToken.id})" class="delete-btn">Revoke</button>
+            `;
+            tokensList.appendChild(tokenItem);
+        });
+    } catch (error) {
+        console.error('Load API tokens error:', error);
+    }
+}
+
+/**
+ * Create a new API token and show it once
+ */
+async function createApiToken() {
+    const name = document.getElementById('apiTokenName').value.trim();
+    const expiresInDays = document.getElementById('apiTokenExpiry').value;
+    const scopes = Array.from(document.querySelectorAll('#apiTokenScopes input:checked')).map(input => input.value);
+    const button = event.target;
+    
+    if (!name) {
+        showFeedback('Please enter a token name', 'error');
+        return;
+    }
+    if (scopes.length === 0) {
+        showFeedback('Please select at least one scope', 'error');
+        return;
+    }
+    
+    button.textContent = 'Creating...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, scopes, expiresInDays })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            document.getElementById('apiTokenName').value = '';
+            
+            const tokenDisplay = document.getElementById('newApiTokenDisplay');
+            tokenDisplay.innerHTML = `
+                <p class="form-hint">Copy this token now – it will not be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.</p>
+                <div class="two-factor-secret">${escapeHtml(result.token)}</div>
+            `;
+            tokenDisplay.classList.remove('hidden');
+            
+            loadApiTokens();
+            showFeedback(`Created token "${name}"`, 'success');
+        } else {
+            showFeedback(result.error || 'Failed to create token', 'error');
+        }
+    } catch (error) {
+        console.error('Create API token error:', error);
+        showFeedback('Failed to create token', 'error');
+    } finally {
+        button.textContent = '+ Create Token';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Revoke an API token
+ */
+async function revokeApiToken(tokenId) {
+    if (!confirm('Revoke this token? Scripts using it will stop working.')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/tokens/${tokenId}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            document.getElementById('newApiTokenDisplay').classList.add('hidden');
+            loadApiTokens();
+            showFeedback('Token revoked', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to revoke token', 'error');
+        }
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        showFeedback('Failed to revoke token', 'error');
+    }
+}
+
+/**
+ * Load recent failed login attempts and active lockouts for the admin panel
+ */
+async function loadFailedLogins() {
+    const list = document.getElementById('failedLoginsList');
+    const lockoutsList = document.getElementById('loginLockoutsList');
+    if (!list || !lockoutsList) return;
+    
+    try {
+        const response = await apiFetch('/api/admin/failed-logins');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        lockoutsList.innerHTML = '';
+        result.lockouts.forEach(lockout => {
+            const item = document.createElement('div');
+            item.className = 'failed-login-item locked';
+            item.innerHTML = `
+                <span>🔒 ${escapeHtml(lockout.ip)} (${lockout.failures} failures)</span>
+                <span>until ${escapeHtml(new Date(lockout.lockedUntil).toLocaleString())}</span>
+            `;
+            lockoutsList.appendChild(item);
+        });
+        
+        list.innerHTML = '';
+        if (result.attempts.length === 0) {
+            list.innerHTML = '<div class="failed-logins-empty">No failed login attempts recorded</div>';
+            return;
+        }
+        
+        result.attempts.forEach(attempt => {
+            const item = document.createElement('div');
+            item.className = 'failed-login-item';
+            item.title = attempt.userAgent || '';
+            item.innerHTML = `
+                <span>${attempt.username ? `${escapeHtml(attempt.username)} @ ` : ''}${escapeHtml(attempt.ip)}</span>
+                <span>${escapeHtml(new Date(attempt.timestamp).toLocaleString())}</span>
+            `;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load failed logins error:', error);
+    }
+}
+
+/**
+ * Clear the failed login history and lift all lockouts
+ */
+async function clearFailedLogins() {
+    if (!confirm('Clear the failed login history and lift all lockouts?')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/admin/failed-logins', { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadFailedLogins();
+            showFeedback('Failed login history cleared', 'success');
+        } else {
+            showFeedback('Failed to clear login history', 'error');
+        }
+    } catch (error) {
+        console.error('Clear failed logins error:', error);
+        showFeedback('Failed to clear login history', 'error');
+    }
+}
+
+/**
+ * Load the list of data backups
+ */
+async function loadBackups() {
+    const list = document.getElementById('backupsList');
+    if (!list) return;
+    
+    try {
+        const response = await apiFetch('/api/backups');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        document.getElementById('backupsInfo').textContent =
+            `A backup is taken at most every ${result.intervalMinutes} minutes before changes are saved; the newest ${result.keep} are kept.`;
+        
+        list.innerHTML = '';
+        if (result.backups.length === 0) {
+            list.innerHTML = '<div class="failed-logins-empty">No backups yet</div>';
+            return;
+        }
+        
+        result.backups.forEach(backup => {
+            const summary = backup.valid
+                ? `${backup.links} links · ${backup.categories} categories · schema v${backup.schemaVersion}`
+                : 'corrupt';
+            const item = document.createElement('div');
+            item.className = 'user-item';
+            item.innerHTML = `
+                <span class="user-name">
+                    ${escapeHtml(new Date(backup.createdAt).toLocaleString())}
+                    <span class="api-token-meta">${escapeHtml(summary)} · ${(backup.size / 1024).toFixed(1)} KB</span>
+                </span>
+                ${backup.valid && backup.schemaVersion <= result.schemaVersion ? `<button onclick="restoreBackup('${escapeHtml(backup.name)}')" class="edit-btn">Restore</button>` : ''}
+            `;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load backups error:', error);
+    }
+}
+
+/**
+ * Create a backup of the current data immediately
+ */
+async function createBackupNow() {
+    const button = event.target;
+    button.textContent = 'Backing up...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/backups', { method: 'POST' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadBackups();
+            showFeedback('Backup created', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to create backup', 'error');
+        }
+    } catch (error) {
+        console.error('Create backup error:', error);
+        showFeedback('Failed to create backup', 'error');
+    } finally {
+        button.textContent = '+ Back Up Now';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Replace all links, categories and settings with a backup
+ * @param {string} name - Backup file name
+ */
+async function restoreBackup(name) {
+    if (!confirm('Restore this backup? Current links, categories and settings will be replaced (a backup of them is taken first).')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/backups/${encodeURIComponent(name)}/restore`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (result.success) {
+            await loadCategories();
+            await loadLinks();
+            loadHomepageMessage();
+            showAdminPanel();
+            showFeedback('Backup restored', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to restore backup', 'error');
+        }
+    } catch (error) {
+        console.error('Restore backup error:', error);
+        showFeedback('Failed to restore backup', 'error');
+    }
+}
+
+// Bundle read from the chosen import file, kept between preview and import
+let pendingImportBundle = null;
+
+/**
+ * Download the full configuration export
+ */
+function exportConfiguration() {
+    window.location.href = '/api/export';
+}
+
+/**
+ * Read and parse the selected import file
+ * @returns {Promise<Object|null>} - Parsed bundle, or null if none/invalid
+ */
+async function readImportFile() {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        showFeedback('Please choose an export file', 'error');
+        return null;
+    }
+    
+    try {
+        return JSON.parse(await file.text());
+    } catch (error) {
+        showFeedback('The selected file is not valid JSON', 'error');
+        return null;
+    }
+}
+
+/**
+ * Run a dry-run import and show what would change
+ */
+async function previewImport() {
+    const bundle = await readImportFile();
+    if (!bundle) return;
+    
+    const mode = document.getElementById('importMode').value;
+    const button = event.target;
+    button.textContent = 'Checking...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ bundle, mode, dryRun: true })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showFeedback(result.error || 'Failed to read export file', 'error');
+            return;
+        }
+        
+        pendingImportBundle = bundle;
+        renderImportPreview(result.preview);
+    } catch (error) {
+        console.error('Import preview error:', error);
+        showFeedback('Failed to preview import', 'error');
+    } finally {
+        button.textContent = 'Preview Import';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Render an import preview with a button to confirm it
+ * @param {Object} preview - Preview returned by a dry run
+ */
+function renderImportPreview(preview) {
+    const list = (label, items) => items.length
+        ? `<li>${label}: ${items.map(escapeHtml).join(', ')}</li>`
+        : '';
+    
+    const container = document.getElementById('importPreview');
+    container.innerHTML = `
+        <div class="import-preview">
+            <strong>${preview.mode === 'replace' ? 'Replace' : 'Merge'} preview</strong>
+            <ul>
+                <li>Links: ${preview.links.added} added${preview.links.removed ? `, ${preview.links.removed} moved to the trash` : ''}</li>
+                ${list('Duplicate links skipped', preview.links.skippedDuplicates)}
+                ${list('New categories', preview.categories.added)}
+                ${list('Merged into existing categories', preview.categories.matched)}
+                ${list('Categories moved to the trash', preview.categories.removed)}
+                ${list('New project files', preview.projects.added)}
+                ${list('Project files overwritten', preview.projects.overwritten)}
+                ${list('Project files moved to the trash', preview.projects.removed)}
+                ${preview.trash ? `<li>Trash: ${preview.trash.kept} item(s) already there are kept</li>` : ''}
+                <li>Settings: ${preview.settings.length ? preview.settings.map(escapeHtml).join(', ') + ' replaced' : 'unchanged'}</li>
+            </ul>
+        </div>
+        <button onclick="confirmImport('${preview.mode}')" class="${preview.mode === 'replace' ? 'delete-btn' : ''}">Import Now</button>
+    `;
+    container.classList.remove('hidden');
+}
+
+// A new file or mode needs a fresh preview
+['importFile', 'importMode'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        pendingImportBundle = null;
+        document.getElementById('importPreview').classList.add('hidden');
+    });
+});
+
+/**
+ * Apply the previewed import
+ * @param {string} mode - 'merge' or 'replace'
+ */
+async function confirmImport(mode) {
+    if (!pendingImportBundle) return;
+    if (mode === 'replace' && !confirm('Replace all links, categories, settings and project files with this export?')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ bundle: pendingImportBundle, mode })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            pendingImportBundle = null;
+            document.getElementById('importFile').value = '';
+            document.getElementById('importPreview').classList.add('hidden');
+            
+            await loadCategories();
+            await loadLinks();
+            loadHomepageMessage();
+            showAdminPanel();
+            showFeedback('Import complete', 'success');
+        } else {
+            showFeedback(result.error || 'Import failed', 'error');
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        showFeedback('Import failed', 'error');
+    }
+}
+
+/**
+ * Download the visible links as a browser bookmarks file
+ */
+function exportBookmarks() {
+    window.location.href = '/api/bookmarks/export';
+}
+
+/**
+ * Load the config file into the editor, or offer to create it
+ */
+async function loadConfigFile() {
+    const info = document.getElementById('configFileInfo');
+    if (!info) return;
+    
+    try {
+        const response = await apiFetch('/api/config-file');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        document.getElementById('createConfigFileBtn').classList.toggle('hidden', result.enabled);
+        document.getElementById('configFileEditor').classList.toggle('hidden', !result.enabled);
+        
+        if (!result.enabled) {
+            info.textContent = `Keep the dashboard in git: create ${result.path} from the current links, categories, theme and chat settings.`;
+            return;
+        }
+        
+        info.textContent = `${result.path} is watched for changes and updated when you edit the dashboard here.`;
+        document.getElementById('configFileContent').value = result.content;
+        renderConfigFileErrors(result.errors, 'The file on disk was not applied');
+    } catch (error) {
+        console.error('Load config file error:', error);
+    }
+}
+
+/**
+ * Show config file errors with their line numbers
+ * @param {Array} errors - { line, column, path, message }
+ * @param {string} title - Heading for the list
+ */
+function renderConfigFileErrors(errors, title) {
+    const container = document.getElementById('configFileErrors');
+    if (errors.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="import-preview">
+            <strong class="config-file-error">${escapeHtml(title)}</strong>
+            <ul>
+                ${errors.map(error => `<li>Line ${error.line}, column ${error.column}: ${error.path ? `<code>${escapeHtml(error.path)}</code> ` : ''}${escapeHtml(error.message)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Create the config file from the current dashboard
+ */
+async function createConfigFile() {
+    const button = event.target;
+    button.textContent = 'Creating...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/config-file', { method: 'POST' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadConfigFile();
+            showFeedback('Config file created', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to create config file', 'error');
+        }
+    } catch (error) {
+        console.error('Create config file error:', error);
+        showFeedback('Failed to create config file', 'error');
+    } finally {
+        button.textContent = '+ Create Config File';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Check the edited config file without saving it
+ */
+async function validateConfigFile() {
+    const button = event.target;
+    button.textContent = 'Validating...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/config-file/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: document.getElementById('configFileContent').value })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showFeedback(result.error || 'Failed to validate config file', 'error');
+            return;
+        }
+        
+        renderConfigFileErrors(result.errors, `${result.errors.length} error(s) found`);
+        if (result.valid) {
+            showFeedback('Config file is valid', 'success');
+        }
+    } catch (error) {
+        console.error('Validate config file error:', error);
+        showFeedback('Failed to validate config file', 'error');
+    } finally {
+        button.textContent = 'Validate';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save the edited config file and apply it to the dashboard
+ */
+async function saveConfigFile() {
+    const button = event.target;
+    button.textContent = 'Saving...';
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/config-file', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: document.getElementById('configFileContent').value })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            await loadCategories();
+            await loadLinks();
+            loadHomepageMessage();
+            showAdminPanel();
+            showFeedback(result.changed ? 'Config file saved and applied' : 'Config file saved', 'success');
+        } else {
+            renderConfigFileErrors(result.errors || [], `${(result.errors || []).length} error(s) found, nothing was saved`);
+            showFeedback(result.error || 'Failed to save config file', 'error');
+        }
+    } catch (error) {
+        console.error('Save config file error:', error);
+        showFeedback('Failed to save config file', 'error');
+    } finally {
+        button.textContent = 'Save Config File';
+        button.disabled = false;
+    }
+}
+
+// Raw config read from the chosen dashboard file, kept between preview and import
+let pendingDashboardImport = null;
+
+/**
+ * Preview links found in another dashboard's config
+ */
+async function previewDashboardImport() {
+    const file = document.getElementById('dashboardImportFile').files[0];
+    if (!file) {
+        showFeedback('Please choose a dashboard config file', 'error');
+        return;
+    }
+    
+    const format = document.getElementById('dashboardImportFormat').value;
+    const button = event.target;
+    button.textContent = 'Checking...';
+    button.disabled = true;
+    
+    try {
+        const content = await file.text();
+        const response = await apiFetch('/api/import/dashboard', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, format, dryRun: true })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showFeedback(result.error || 'Failed to read dashboard config', 'error');
+            return;
+        }
+        
+        pendingDashboardImport = { content, format: result.format };
+        renderDashboardImportPreview(result);
+    } catch (error) {
+        console.error('Dashboard import preview error:', error);
+        showFeedback('Failed to preview import', 'error');
+    } finally {
+        button.textContent = 'Preview Import';
+        button.disabled = false;
+    }
+}
+
+/**
+ * Render the dashboard import preview with a checkbox per link
+ * Duplicates start unchecked
+ * @param {Object} preview - Dry-run response
+ */
+function renderDashboardImportPreview(preview) {
+    const container = document.getElementById('dashboardImportPreview');
+    const newCategories = preview.categories.filter(category => !category.exists).map(category => category.name);
+    const duplicateLabels = { existing: 'already in hub', import: 'repeated in file' };
+    
+    container.innerHTML = `
+        <div class="import-preview">
+            <strong>${escapeHtml(preview.format)}: ${preview.links.length} links in ${preview.categories.length} groups</strong>
+            ${newCategories.length ? `<div>New categories: ${newCategories.map(escapeHtml).join(', ')}</div>` : ''}
+            <div class="import-link-list">
+                ${preview.links.map(link => `
+                    <label class="import-link-item ${link.duplicate ? 'duplicate' : ''}">
+                        <input type="checkbox" value="${link.index}" ${link.duplicate ? '' : 'checked'}>
+                        <span>${escapeHtml(link.name)}</span>
+                        <span class="import-link-url">${escapeHtml(link.url)}</span>
+                        <span>${escapeHtml(link.category || 'Uncategorized')}${link.duplicate ? ` · ${duplicateLabels[link.duplicate]}` : ''}</span>
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+        <button onclick="confirmDashboardImport()">Import Selected</button>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Import the links checked in the preview
+ */
+async function confirmDashboardImport() {
+    if (!pendingDashboardImport) return;
+    
+    const selected = Array.from(document.querySelectorAll('#dashboardImportPreview input:checked'))
+        .map(input => parseInt(input.value));
+    if (selected.length === 0) {
+        showFeedback('No links selected', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/import/dashboard', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...pendingDashboardImport, selected })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            pendingDashboardImport = null;
+            document.getElementById('dashboardImportFile').value = '';
+            document.getElementById('dashboardImportPreview').classList.add('hidden');
+            
+            await loadCategories();
+            await loadLinks();
+            showAdminPanel();
+            showFeedback(`Imported ${result.importedLinks} links`, 'success');
+        } else {
+            showFeedback(result.error || 'Import failed', 'error');
+        }
+    } catch (error) {
+        console.error('Dashboard import error:', error);
+        showFeedback('Import failed', 'error');
+    }
+}
+
+// A new file or format needs a fresh preview
+['dashboardImportFile', 'dashboardImportFormat'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        pendingDashboardImport = null;
+        document.getElementById('dashboardImportPreview').classList.add('hidden');
+    });
+});
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+const NOTIFICATION_CHANNEL_LABELS = {
+    webhook: 'JSON webhook',
+    ntfy: 'ntfy',
+    gotify: 'Gotify',
+    discord: 'Discord',
+    slack: 'Slack-compatible',
+    email: 'E-mail'
+};
+let notificationChannels = [];
+let editingNotificationChannelId = null; // channel loaded into the form, null while adding one
+
+/**
+ * Load notification channels and the failure threshold into the Settings tab
+ */
+async function loadNotifications() {
+    const channelsList = document.getElementById('notificationChannelsList');
+    if (!channelsList) return;
+
+    try {
+        const response = await apiFetch('/api/notifications');
+        const result = await response.json();
+
+        if (!result.success) return;
+
+        notificationChannels = result.channels;
+        document.getElementById('notificationThreshold').value = result.failureThreshold;
+
+        channelsList.innerHTML = '';
+        result.channels.forEach(channel => {
+            const target = channel.type === 'email' ? channel.to.join(', ') : channel.url;
+            const subscriptions = channel.categoryIds === null
+                ? 'all categories'
+                : channel.categoryIds.map(getNotificationCategoryName).join(', ');
+            let lastResult = 'nothing sent yet';
+            if (channel.lastError) {
+                lastResult = `❌ ${channel.lastError}`;
+            } else if (channel.lastSentAt) {
+                lastResult = `last sent ${new Date(channel.lastSentAt).toLocaleString()}`;
+            }
+
+            const channelItem = document.createElement('div');
+            channelItem.className = 'user-item';
+            channelItem.innerHTML = `
+                <span class="user-name">
+                    ${escapeHtml(channel.name)}${channel.enabled ? '' : ' (disabled)'}
+                    <span class="api-token-meta">${escapeHtml(NOTIFICATION_CHANNEL_LABELS[channel.type])} · ${escapeHtml(target)}</span>
+                    <span class="api-token-meta">${escapeHtml(subscriptions)}${channel.notifyRecovery ? ' · with recovery notices' : ''}</span>
+                    <span class="api-token-meta">${escapeHtml(lastResult)}</span>
+                </span>
+                <button onclick="testNotificationChannel(${channel.id})" class="edit-btn">Send Test</button>
+                <button onclick="editNotificationChannel(${channel.id})" class="edit-btn">Edit</button>
+                <button onclick="deleteNotificationChannel(${channel.id})" class="delete-btn">Delete</button>
+            `;
+            channelsList.appendChild(channelItem);
+        });
+
+        if (editingNotificationChannelId === null) {
+            renderNotificationCategories(readNotificationCategories());
+            updateNotificationChannelFields();
+        }
+    } catch (error) {
+        console.error('Load notifications error:', error);
+    }
+}
+
+/**
+ * Name a category a channel is subscribed to
+ * @param {number} categoryId - Category ID, 0 for links without a category
+ * @returns {string} - Category name
+ */
+function getNotificationCategoryName(categoryId) {
+    if (categoryId === 0) return 'Uncategorized';
+    const category = categories.find(c => c.id === categoryId);
+    return category ? category.name : `deleted category #${categoryId}`;
+}
+
+/**
+ * Render the category checkboxes of the channel form
+ * @param {number[]|null} categoryIds - Ticked categories, null for all of them
+ */
+function renderNotificationCategories(categoryIds) {
+    const container = document.getElementById('notificationChannelCategories');
+    const options = [
+        ...categories.map(category => ({ id: category.id, name: category.name })),
+        { id: 0, name: 'Uncategorized' }
+    ];
+
+    container.innerHTML = `
+        <label><input type="checkbox" value="all" onchange="updateNotificationCategories()" ${categoryIds === null ? 'checked' : ''}>All categories</label>
+        ${options.map(option => `
+            <label><input type="checkbox" value="${option.id}" ${categoryIds && categoryIds.includes(option.id) ? 'checked' : ''}>${escapeHtml(option.name)}</label>
+        `).join('')}
+    `;
+    updateNotificationCategories();
+}
+
+/**
+ * Disable the single categories while "All categories" is ticked
+ */
+function updateNotificationCategories() {
+    const checkboxes = document.querySelectorAll('#notificationChannelCategories input');
+    const allChecked = checkboxes[0].checked;
+    checkboxes.forEach((checkbox, index) => {
+        if (index > 0) {
+            checkbox.disabled = allChecked;
+        }
+    });
+}
+
+/**
+ * Read the ticked categories of the channel form
+ * @returns {number[]|null} - Category IDs (0 for uncategorized links), null for all categories
+ */
+function readNotificationCategories() {
+    const checkboxes = Array.from(document.querySelectorAll('#notificationChannelCategories input'));
+    if (checkboxes.length === 0 || checkboxes[0].checked) return null;
+    return checkboxes.slice(1).filter(checkbox => checkbox.checked).map(checkbox => parseInt(checkbox.value));
+}
+
+/**
+ * Show only the fields the selected channel type uses
+ */
+function updateNotificationChannelFields() {
+    const type = document.getElementById('notificationChannelType').value;
+    document.querySelectorAll('.notifications-form [data-channel-types]').forEach(element => {
+        element.classList.toggle('hidden', !element.dataset.channelTypes.split(' ').includes(type));
+    });
+}
+
+/**
+ * Put a channel's settings into the form for editing
+ * @param {number} channelId - Channel ID
+ */
+function editNotificationChannel(channelId) {
+    const channel = notificationChannels.find(c => c.id === channelId);
+    if (!channel) return;
+
+    editingNotificationChannelId = channelId;
+    const setValue = (id, value) => {
+        document.getElementById(id).value = value ?? '';
+    };
+    setValue('notificationChannelName', channel.name);
+    setValue('notificationChannelType', channel.type);
+    setValue('notificationChannelUrl', channel.url);
+    setValue('notificationChannelToken', '');
+    setValue('notificationSmtpHost', channel.smtpHost);
+    setValue('notificationSmtpPort', channel.smtpPort);
+    setValue('notificationSmtpUser', channel.smtpUser);
+    setValue('notificationSmtpPassword', '');
+    setValue('notificationEmailFrom', channel.from);
+    setValue('notificationEmailTo', (channel.to || []).join(', '));
+    document.getElementById('notificationSmtpSecure').checked = Boolean(channel.smtpSecure);
+    document.getElementById('notificationChannelRecovery').checked = channel.notifyRecovery;
+    document.getElementById('notificationChannelEnabled').checked = channel.enabled;
+
+    // Secrets are never sent back, so an empty field means "keep the saved one"
+    document.getElementById('notificationChannelToken').placeholder = channel.tokenSet
+        ? 'Token (leave empty to keep the saved one)'
+        : 'Token (sent as Bearer, or Gotify app token)';
+    document.getElementById('notificationSmtpPassword').placeholder = channel.smtpPasswordSet
+        ? 'SMTP password (leave empty to keep the saved one)'
+        : 'SMTP password (optional)';
+
+    renderNotificationCategories(channel.categoryIds);
+    updateNotificationChannelFields();
+    document.getElementById('saveNotificationChannelBtn').textContent = 'Save Channel';
+    document.getElementById('cancelNotificationChannelBtn').classList.remove('hidden');
+    document.getElementById('notificationChannelName').focus();
+}
+
+/**
+ * Empty the channel form and switch it back to adding a channel
+ */
+function resetNotificationChannelForm() {
+    editingNotificationChannelId = null;
+    ['notificationChannelName', 'notificationChannelUrl', 'notificationChannelToken', 'notificationSmtpHost',
+        'notificationSmtpPort', 'notificationSmtpUser', 'notificationSmtpPassword', 'notificationEmailFrom',
+        'notificationEmailTo'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('notificationSmtpSecure').checked = false;
+    document.getElementById('notificationChannelRecovery').checked = true;
+    document.getElementById('notificationChannelEnabled').checked = true;
+    document.getElementById('notificationChannelToken').placeholder = 'Token (sent as Bearer, or Gotify app token)';
+    document.getElementById('notificationSmtpPassword').placeholder = 'SMTP password (optional)';
+
+    renderNotificationCategories(null);
+    updateNotificationChannelFields();
+    document.getElementById('saveNotificationChannelBtn').textContent = '+ Add Channel';
+    document.getElementById('cancelNotificationChannelBtn').classList.add('hidden');
+}
+
+/**
+ * Add the channel in the form, or save changes to the one being edited
+ */
+async function saveNotificationChannel() {
+    const button = event.target;
+    const value = id => document.getElementById(id).value.trim();
+    const categoryIds = readNotificationCategories();
+
+    if (!value('notificationChannelName')) {
+        showFeedback('Please enter a channel name', 'error');
+        return;
+    }
+    if (categoryIds !== null && categoryIds.length === 0) {
+        showFeedback('Please select at least one category', 'error');
+        return;
+    }
 
-// =============================================================================
-// AUTHENTICATION
-// =============================================================================
+    const channel = {
+        name: value('notificationChannelName'),
+        type: value('notificationChannelType'),
+        url: value('notificationChannelUrl'),
+        token: document.getElementById('notificationChannelToken').value,
+        smtpHost: value('notificationSmtpHost'),
+        smtpPort: value('notificationSmtpPort'),
+        smtpSecure: document.getElementById('notificationSmtpSecure').checked,
+        smtpUser: value('notificationSmtpUser'),
+        smtpPassword: document.getElementById('notificationSmtpPassword').value,
+        from: value('notificationEmailFrom'),
+        to: value('notificationEmailTo'),
+        categoryIds,
+        notifyRecovery: document.getElementById('notificationChannelRecovery').checked,
+        enabled: document.getElementById('notificationChannelEnabled').checked
+    };
+    const isEditing = editingNotificationChannelId !== null;
+
+    button.textContent = 'Saving...';
+    button.disabled = true;
 
-/**
- * Check for stored authentication on page load
- */
-function checkStoredAuth() {
     try {
-        const storedAuth = localStorage.getItem(AUTH_STORAGE_KEY);
-        if (!storedAuth) return;
-        
-        const authData = JSON.parse(storedAuth);
-        const expirationTime = new Date(authData.expires);
-        
-        if (expirationTime > new Date()) {
-            isAdminLoggedIn = true;
-            console.log('Admin session restored from storage');
+        const response = await apiFetch(isEditing
+            ? `/api/notifications/channels/${editingNotificationChannelId}`
+            : '/api/notifications/channels', {
+            method: isEditing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel)
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            resetNotificationChannelForm();
+            loadNotifications();
+            showFeedback(`Channel "${result.channel.name}" saved – use Send Test to try it`, 'success');
         } else {
-            localStorage.removeItem(AUTH_STORAGE_KEY);
-            console.log('Expired admin session removed');
+            showFeedback(result.error || 'Failed to save channel', 'error');
         }
     } catch (error) {
-        console.error('Error checking stored auth:', error);
-        localStorage.removeItem(AUTH_STORAGE_KEY);
+        console.error('Save notification channel error:', error);
+        showFeedback('Failed to save channel', 'error');
+    } finally {
+        button.textContent = editingNotificationChannelId === null ? '+ Add Channel' : 'Save Channel';
+        button.disabled = false;
     }
 }
 
 /**
- * Store authentication data
+ * Send a test message through a channel
+ * @param {number} channelId - Channel ID
  */
-function storeAuthData() {
-    try {
-        const expirationTime = new Date();
-        expirationTime.setDate(expirationTime.getDate() + AUTH_EXPIRES_DAYS);
-        
-        const authData = {
-            authenticated: true,
-            expires: expirationTime.toISOString(),
-            timestamp: new Date().toISOString()
-        };
-        
-        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(authData));
-        console.log('Admin authentication stored for 7 days');
-    } catch (error) {
-        console.error('Error storing auth data:', error);
-    }
-}
+async function testNotificationChannel(channelId) {
+    const button = event.target;
+    button.textContent = 'Sending...';
+    button.disabled = true;
 
-/**
- * Clear authentication data
- */
-function clearAuthData() {
     try {
-        localStorage.removeItem(AUTH_STORAGE_KEY);
-        console.log('Admin authentication cleared');
+        const response = await apiFetch(`/api/notifications/channels/${channelId}/test`, { method: 'POST' });
+        const result = await response.json();
+
+        if (result.success) {
+            showFeedback('Test notification sent', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to send test notification', 'error');
+        }
     } catch (error) {
-        console.error('Error clearing auth data:', error);
+        console.error('Test notification error:', error);
+        showFeedback('Failed to send test notification', 'error');
+    } finally {
+        button.textContent = 'Send Test';
+        button.disabled = false;
+        loadNotifications();
     }
 }
 
 /**
- * Clear all admin-specific data and UI elements
+ * Delete a notification channel
+ * @param {number} channelId - Channel ID
  */
-function clearAdminData() {
-    // Clear private links section (but don't hide since it's in a tab)
-    const privateLinksSection = document.getElementById('privateLinksSection');
-    if (privateLinksSection) {
-        const privateLinksContainer = document.getElementById('privateLinksContainer');
-        if (privateLinksContainer) {
-            privateLinksContainer.innerHTML = '';
-        }
-    }
-    
-    // Clear admin categories list
-    const adminCategoriesList = document.getElementById('adminCategoriesList');
-    if (adminCategoriesList) {
-        adminCategoriesList.innerHTML = '';
-    }
-    
-    // Clear admin links list
-    const adminLinksList = document.getElementById('adminLinksList');
-    if (adminLinksList) {
-        adminLinksList.innerHTML = '';
+async function deleteNotificationChannel(channelId) {
+    if (!confirm('Are you sure you want to delete this notification channel?')) {
+        return;
     }
-    
-    // Clear form inputs
-    const inputs = [
-        'categoryName', 'linkName', 'linkUrl', 'homepageMessageInput',
-        'chatApiUrl', 'chatflowId', 'filterKeyword'
-    ];
-    inputs.forEach(inputId => {
-        const input = document.getElementById(inputId);
-        if (input) {
-            input.value = '';
+
+    try {
+        const response = await apiFetch(`/api/notifications/channels/${channelId}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (result.success) {
+            if (editingNotificationChannelId === channelId) {
+                resetNotificationChannelForm();
+            }
+            loadNotifications();
+            showFeedback('Notification channel deleted', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to delete channel', 'error');
         }
-    });
-    
-    // Clear checkboxes
-    const filterEnabled = document.getElementById('filterEnabled');
-    if (filterEnabled) {
-        filterEnabled.checked = false;
-    }
-    
-    // Reset category select
-    const linkCategory = document.getElementById('linkCategory');
-    if (linkCategory) {
-        linkCategory.innerHTML = '<option value="">No Category</option>';
+    } catch (error) {
+        console.error('Delete notification channel error:', error);
+        showFeedback('Failed to delete channel', 'error');
     }
 }
 
 /**
- * Handle admin login
+ * Save how many failed checks in a row count as a link being down
  */
-async function adminLogin() {
-    const password = document.getElementById('adminPassword').value;
-    
+async function saveNotificationSettings() {
+    const failureThreshold = parseInt(document.getElementById('notificationThreshold').value);
+
     try {
-        const response = await fetch('/api/admin/login', {
-            method: 'POST',
+        const response = await apiFetch('/api/notifications/settings', {
+            method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ password: password })
+            body: JSON.stringify({ failureThreshold })
         });
-        
+
         const result = await response.json();
-        
+
         if (result.success) {
-            isAdminLoggedIn = true;
-            storeAuthData();
-            showAdminPanel();
-            showFeedback('Successfully logged in!', 'success');
+            showFeedback(`Links are now reported down after ${result.failureThreshold} failed checks in a row`, 'success');
         } else {
-            showFeedback('Invalid password', 'error');
+            showFeedback(result.error || 'Failed to save notification settings', 'error');
         }
     } catch (error) {
-        console.error('Login error:', error);
-        showFeedback('Login failed', 'error');
+        console.error('Save notification settings error:', error);
+        showFeedback('Failed to save notification settings', 'error');
     }
 }
 
+// =============================================================================
+// ACTIVITY (AUDIT LOG)
+// =============================================================================
+
+let auditPage = 1;
+let auditSearchTimer = null;
+
 /**
- * Handle admin logout
+ * Format a value from an audit diff for display
+ * @param {*} value - Recorded value
+ * @returns {string} - Display text
  */
-function adminLogout() {
-    isAdminLoggedIn = false;
-    clearAuthData();
-    
-    // Clear all admin-specific data and UI elements
-    clearAdminData();
-    
-    showLoginForm();
-    
-    // Clear the password field
-    document.getElementById('adminPassword').value = '';
+function formatAuditValue(value) {
+    if (value === undefined || value === null) return '∅';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Replace a filter select's options while keeping its current selection
+ * @param {string} selectId - Select element ID
+ * @param {string} placeholder - Label of the "all" option
+ * @param {Array<string>} values - Option values
+ */
+function populateAuditFilter(selectId, placeholder, values) {
+    const select = document.getElementById(selectId);
+    const selected = select.value;
+    select.innerHTML = `<option value="">${placeholder}</option>` +
+        values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    select.value = values.includes(selected) ? selected : '';
+}
+
+/**
+ * Load one page of the audit log using the current filters
+ * @param {number} page - Page number (1 = newest)
+ */
+async function loadAuditLog(page = 1) {
+    const list = document.getElementById('auditLogList');
+    if (!list) return;
     
-    showFeedback('Successfully logged out', 'success');
+    const params = new URLSearchParams({ page });
+    const filters = {
+        actor: document.getElementById('auditActorFilter').value,
+        action: document.getElementById('auditActionFilter').value,
+        q: document.getElementById('auditSearch').value.trim(),
+        since: document.getElementById('auditSince').value,
+        until: document.getElementById('auditUntil').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    // Make the "to" date inclusive of the whole day
+    if (filters.until) params.set('until', `${filters.until}T23:59:59.999`);
+    if (filters.since) params.set('since', `${filters.since}T00:00:00`);
     
-    // Redirect to main page after short delay
-    setTimeout(() => {
-        window.location.hash = '';
-        showMainPage();
-    }, 1500);
+    try {
+        const response = await apiFetch(`/api/audit?${params}`);
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        auditPage = result.page;
+        populateAuditFilter('auditActorFilter', 'All users', result.actors);
+        populateAuditFilter('auditActionFilter', 'All actions', result.actions);
+        
+        document.getElementById('auditPageInfo').textContent =
+            `Page ${result.page} of ${result.pages} · ${result.total} entries`;
+        document.getElementById('auditPrevPage').disabled = result.page <= 1;
+        document.getElementById('auditNextPage').disabled = result.page >= result.pages;
+        
+        list.innerHTML = '';
+        if (result.entries.length === 0) {
+            list.innerHTML = '<div class="failed-logins-empty">No activity recorded</div>';
+            return;
+        }
+        
+        result.entries.forEach(entry => {
+            const target = entry.target
+                ? `${entry.target.name || ''}${entry.target.id !== undefined ? ` #${entry.target.id}` : ''}`
+                : '';
+            const changes = entry.changes.map(change => `
+                <li>
+                    ${change.field ? `${escapeHtml(change.field)}: ` : ''}${change.line ? `(line ${change.line}) ` : ''}
+                    <del>${escapeHtml(formatAuditValue(change.before))}</del> → <ins>${escapeHtml(formatAuditValue(change.after))}</ins>
+                </li>
+            `).join('');
+            
+            const item = document.createElement('div');
+            item.className = 'audit-entry';
+            item.innerHTML = `
+                <div class="audit-entry-header">
+                    <span><span class="audit-entry-action">${escapeHtml(entry.action)}</span> ${escapeHtml(target)}</span>
+                    <span>${escapeHtml(entry.actor || 'unknown')}</span>
+                </div>
+                <div class="audit-entry-meta">
+                    ${escapeHtml(new Date(entry.timestamp).toLocaleString())} · ${escapeHtml(entry.method)} ${escapeHtml(entry.route)} · ${escapeHtml(entry.ip || '')} · ${escapeHtml(entry.authMethod)}
+                </div>
+                ${changes ? `<ul class="audit-changes">${changes}</ul>` : ''}
+            `;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load audit log error:', error);
+    }
 }
 
+// Debounce free-text search in the Activity tab
+document.getElementById('auditSearch').addEventListener('input', function() {
+    clearTimeout(auditSearchTimer);
+    auditSearchTimer = setTimeout(() => loadAuditLog(1), 300);
+});
+
 // =============================================================================
 // LINKS MANAGEMENT
 // =============================================================================
@@ -336,7 +2130,7 @@ function adminLogout() {
  */
 async function loadLinks() {
     try {
-        const response = await fetch('/api/links');
+        const response = await apiFetch('/api/links');
         const result = await response.json();
         
         if (result.success) {
@@ -465,13 +2259,15 @@ function renderNavigationLinks() {
  * Create a link element with status checking
  */
 function createLinkElement(link) {
+    const status = getLinkStatusView(link.id);
     const linkItem = document.createElement('div');
     linkItem.className = 'link-item';
     linkItem.innerHTML = `
         <div class="link-content">
-            <div class="status-section">
-                <div class="status-indicator status-checking" id="status-${link.id}"></div>
-                <span class="status-text checking" id="status-text-${link.id}">Unknown</span>
+            <div class="status-section" title="${escapeHtml(status.title)}">
+                <div class="status-indicator status-${status.state}" id="status-${link.id}"></div>
+                <span class="status-text ${status.state}" id="status-text-${link.id}">${status.label}</span>
+                <span class="link-health" id="health-${link.id}">${renderLinkHealth(link.id)}</span>
             </div>
             <div class="link-name">${escapeHtml(link.name)}</div>
             <div class="link-url">${escapeHtml(link.url)}</div>
@@ -479,8 +2275,7 @@ function createLinkElement(link) {
         <a href="${escapeHtml(link.url)}" target="_blank" class="redirect-btn">Go →</a>
     `;
     
-    // Check status after rendering
-    setTimeout(() => checkWebsiteStatus(link.id, link.url), 100);
+    linkItem.querySelector('.status-section').addEventListener('click', event => showStatusPopover(event, link.id));
     
     return linkItem;
 }
@@ -503,7 +2298,7 @@ async function addLink() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/links', {
+        const response = await apiFetch('/api/links', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ name: name, url: url, categoryId: categoryId })
@@ -531,23 +2326,20 @@ async function addLink() {
 }
 
 /**
- * Delete a link
+ * Delete a link (it goes to the trash and the toast offers Undo)
  */
 async function deleteLink(id) {
-    if (!confirm('Are you sure you want to delete this link?')) {
-        return;
-    }
-    
     try {
-        const response = await fetch(`/api/links/${id}`, {
+        const response = await apiFetch(`/api/links/${id}`, {
             method: 'DELETE'
         });
         
         const result = await response.json();
         
         if (result.success) {
-            loadLinks();
+            await loadLinks();
             loadAdminLinks();
+            showFeedback('Link moved to trash', 'success', undoDeleteAction(result.trashId));
         } else {
             alert('Failed to delete link');
         }
@@ -557,12 +2349,147 @@ async function deleteLink(id) {
     }
 }
 
+/**
+ * Toast action that restores a just-deleted item
+ * @param {number} trashId - Trash entry returned by the delete request
+ * @returns {Object} - Action for showFeedback
+ */
+function undoDeleteAction(trashId) {
+    return { label: 'Undo', onClick: () => restoreFromTrash(trashId) };
+}
+
+/**
+ * Restore an item from the trash and refresh everything it may appear in
+ * @param {number} id - Trash entry ID
+ */
+async function restoreFromTrash(id) {
+    try {
+        const response = await apiFetch(`/api/trash/${id}/restore`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (result.success) {
+            await loadCategories();
+            await loadLinks();
+            loadAdminCategories();
+            loadAdminLinks();
+            if (result.type === 'project') {
+                loadProjectFiles();
+            }
+            loadTrash();
+            showFeedback('Restored', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to restore', 'error');
+        }
+    } catch (error) {
+        console.error('Restore from trash error:', error);
+        showFeedback('Failed to restore', 'error');
+    }
+}
+
+/**
+ * Load the trash view
+ */
+async function loadTrash() {
+    const list = document.getElementById('trashList');
+    if (!list || !hasRole('editor')) return;
+    
+    try {
+        const response = await apiFetch('/api/trash');
+        const result = await response.json();
+        
+        if (!result.success) return;
+        
+        document.getElementById('trashInfo').textContent =
+            `Deleted links, categories and project notes are kept for ${result.retentionDays} days, then removed for good.`;
+        
+        list.innerHTML = '';
+        if (result.items.length === 0) {
+            list.innerHTML = '<div class="failed-logins-empty">Trash is empty</div>';
+            return;
+        }
+        
+        const typeLabels = { link: 'Link', category: 'Category', project: 'Project note' };
+        result.items.forEach(trashItem => {
+            const details = [typeLabels[trashItem.type]];
+            if (trashItem.url) details.push(trashItem.url);
+            if (trashItem.linkCount !== undefined) details.push(`${trashItem.linkCount} links`);
+            if (trashItem.size !== undefined) details.push(`${(trashItem.size / 1024).toFixed(1)} KB`);
+            details.push(`deleted ${new Date(trashItem.deletedAt).toLocaleString()}${trashItem.deletedBy ? ` by ${trashItem.deletedBy}` : ''}`);
+            details.push(`purged ${new Date(trashItem.expiresAt).toLocaleDateString()}`);
+            
+            const item = document.createElement('div');
+            item.className = 'user-item';
+            item.innerHTML = `
+                <span class="user-name">
+                    ${escapeHtml(trashItem.name)}
+                    <span class="api-token-meta">${escapeHtml(details.join(' · '))}</span>
+                </span>
+                <button onclick="restoreFromTrash(${trashItem.id})" class="edit-btn">Restore</button>
+                <button onclick="purgeTrashItem(${trashItem.id})" class="delete-btn">Delete Forever</button>
+            `;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Load trash error:', error);
+    }
+}
+
+/**
+ * Permanently delete one item from the trash
+ * @param {number} id - Trash entry ID
+ */
+async function purgeTrashItem(id) {
+    if (!confirm('Delete this item forever? It cannot be restored afterwards.')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/trash/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadTrash();
+            showFeedback('Deleted forever', 'success');
+        } else {
+            showFeedback(result.error || 'Failed to delete', 'error');
+        }
+    } catch (error) {
+        console.error('Purge trash item error:', error);
+        showFeedback('Failed to delete', 'error');
+    }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function emptyTrash() {
+    if (!confirm('Empty the trash? Nothing in it can be restored afterwards.')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/trash', { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            loadTrash();
+            showFeedback(`Removed ${result.purged} item(s) for good`, 'success');
+        } else {
+            showFeedback(result.error || 'Failed to empty trash', 'error');
+        }
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        showFeedback('Failed to empty trash', 'error');
+    }
+}
+
 /**
  * Load links for admin panel
  */
 async function loadAdminLinks() {
     const adminLinksList = document.getElementById('adminLinksList');
     adminLinksList.innerHTML = '';
+    const canEdit = hasRole('editor');
     
     links.forEach(link => {
         const category = categories.find(cat => cat.id === link.categoryId);
@@ -577,6 +2504,7 @@ async function loadAdminLinks() {
                     <strong>${escapeHtml(link.name)}</strong><br>
                     <small>${escapeHtml(link.url)}</small><br>
                     <span class="category-tag">${escapeHtml(categoryName)}</span>
+                    ${link.check ? `<small class="link-check-summary">Health check: ${escapeHtml(describeLinkCheck(link.check))}</small>` : ''}
                 </div>
                 <div class="link-edit hidden" id="edit-${link.id}">
                     <div class="edit-field">
@@ -596,9 +2524,10 @@ async function loadAdminLinks() {
                             ).join('')}
                         </select>
                     </div>
+                    ${renderLinkCheckFields(link.id)}
                 </div>
             </div>
-            <div class="link-actions">
+            <div class="link-actions ${canEdit ? '' : 'hidden'}">
                 <div class="normal-actions" id="normal-actions-${link.id}">
                     <button onclick="startEditLink(${link.id})" class="edit-btn">Edit</button>
                     <button onclick="deleteLink(${link.id})" class="delete-btn">Delete</button>
@@ -610,15 +2539,167 @@ async function loadAdminLinks() {
             </div>
         `;
         adminLinksList.appendChild(linkItem);
+        fillLinkCheckForm(link.id, link.check);
+    });
+    
+    // Adjust button colors for admin link actions
+    setTimeout(() => adjustAllButtonTextColors(), 100);
+}
+
+// =============================================================================
+// LINK EDITING FUNCTIONALITY
+// =============================================================================
+
+// Health check types offered in the link edit form
+const LINK_CHECK_TYPE_LABELS = {
+    http: 'HTTP request',
+    tcp: 'TCP port connect',
+    dns: 'DNS resolution only',
+    none: 'No check'
+};
+
+/**
+ * Summarize a link's health check settings in one line
+ * @param {Object|null} check - Link check settings, null for the default
+ * @returns {string} - e.g. "HTTP GET, status 200-299, contains "ok""
+ */
+function describeLinkCheck(check) {
+    if (!check) return 'HTTP HEAD (default)';
+    if (check.type === 'none') return 'Off';
+    if (check.type === 'dns') return 'DNS resolution only';
+    if (check.type === 'tcp') return `TCP port ${check.port || 'from URL'}`;
+    
+    const headerNames = Object.keys(check.headers || {});
+    const parts = [`HTTP ${check.method || 'HEAD'}`];
+    if (check.expectedStatus) parts.push(`status ${check.expectedStatus}`);
+    if (check.keyword) parts.push(`contains "${check.keyword}"`);
+    if (check.jsonPath) parts.push(check.jsonValue ? `${check.jsonPath} = "${check.jsonValue}"` : `${check.jsonPath} is set`);
+    if (headerNames.length > 0) parts.push(`headers ${headerNames.join(', ')}`);
+    if (check.timeoutSeconds) parts.push(`${check.timeoutSeconds}s timeout`);
+    return parts.length === 1 && parts[0] === 'HTTP HEAD' ? 'HTTP HEAD (default)' : parts.join(', ');
+}
+
+/**
+ * Build the health check part of a link's edit form (values are filled in by fillLinkCheckForm)
+ * @param {number} linkId - Link ID
+ * @returns {string} - HTML
+ */
+function renderLinkCheckFields(linkId) {
+    return `
+        <details class="edit-check" id="edit-check-${linkId}">
+            <summary>Health check</summary>
+            <div class="edit-field">
+                <label>Type:</label>
+                <select id="edit-check-type-${linkId}" onchange="updateLinkCheckFields(${linkId})">
+                    ${Object.entries(LINK_CHECK_TYPE_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                </select>
+            </div>
+            <div data-check-types="http">
+                <div class="edit-field">
+                    <label>Method:</label>
+                    <select id="edit-check-method-${linkId}">
+                        <option value="HEAD">HEAD</option>
+                        <option value="GET">GET</option>
+                    </select>
+                </div>
+                <div class="edit-field">
+                    <label>Expected status:</label>
+                    <input type="text" id="edit-check-status-${linkId}" placeholder="200-399">
+                </div>
+                <div class="edit-field">
+                    <label>Body contains:</label>
+                    <input type="text" id="edit-check-keyword-${linkId}" placeholder="Keyword (GET only)">
+                </div>
+                <div class="edit-field">
+                    <label>JSON path:</label>
+                    <input type="text" id="edit-check-json-path-${linkId}" placeholder="e.g. status.healthy (GET only)">
+                </div>
+                <div class="edit-field">
+                    <label>JSON value:</label>
+                    <input type="text" id="edit-check-json-value-${linkId}" placeholder="Any truthy value">
+                </div>
+                <div class="edit-field">
+                    <label>Headers:</label>
+                    <textarea id="edit-check-headers-${linkId}" rows="2" placeholder="Authorization: Bearer ...&#10;One per line"></textarea>
+                </div>
+            </div>
+            <div class="edit-field" data-check-types="tcp">
+                <label>Port:</label>
+                <input type="number" id="edit-check-port-${linkId}" min="1" max="65535" placeholder="From URL">
+            </div>
+            <div class="edit-field" data-check-types="http tcp dns">
+                <label>Timeout (s):</label>
+                <input type="number" id="edit-check-timeout-${linkId}" min="1" max="60" placeholder="5">
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Show only the fields that apply to the selected check type
+ * @param {number} linkId - Link ID
+ */
+function updateLinkCheckFields(linkId) {
+    const type = document.getElementById(`edit-check-type-${linkId}`).value;
+    document.querySelectorAll(`#edit-check-${linkId} [data-check-types]`).forEach(element => {
+        element.classList.toggle('hidden', !element.dataset.checkTypes.split(' ').includes(type));
     });
+}
+
+/**
+ * Put a link's health check settings into its edit form
+ * @param {number} linkId - Link ID
+ * @param {Object|null} check - Link check settings, null for the default
+ */
+function fillLinkCheckForm(linkId, check) {
+    const settings = check || {};
+    const setValue = (name, value) => {
+        document.getElementById(`edit-check-${name}-${linkId}`).value = value ?? '';
+    };
     
-    // Adjust button colors for admin link actions
-    setTimeout(() => adjustAllButtonTextColors(), 100);
+    setValue('type', settings.type || 'http');
+    setValue('method', settings.method || 'HEAD');
+    setValue('status', settings.expectedStatus);
+    setValue('keyword', settings.keyword);
+    setValue('json-path', settings.jsonPath);
+    setValue('json-value', settings.jsonValue);
+    setValue('headers', Object.entries(settings.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'));
+    setValue('port', settings.port);
+    setValue('timeout', settings.timeoutSeconds);
+    updateLinkCheckFields(linkId);
 }
 
-// =============================================================================
-// LINK EDITING FUNCTIONALITY
-// =============================================================================
+/**
+ * Read the health check settings from a link's edit form; the server validates and normalizes them
+ * @param {number} linkId - Link ID
+ * @returns {Object} - { check } or { error } if a header line is malformed
+ */
+function readLinkCheckForm(linkId) {
+    const getValue = name => document.getElementById(`edit-check-${name}-${linkId}`).value.trim();
+    
+    const headers = {};
+    for (const line of getValue('headers').split('\n').filter(line => line.trim())) {
+        const separator = line.indexOf(':');
+        if (separator < 1) {
+            return { error: `Header "${line.trim()}" must look like Name: value` };
+        }
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    
+    return {
+        check: {
+            type: getValue('type'),
+            method: getValue('method'),
+            expectedStatus: getValue('status'),
+            keyword: getValue('keyword'),
+            jsonPath: getValue('json-path'),
+            jsonValue: getValue('json-value'),
+            headers,
+            port: getValue('port'),
+            timeoutSeconds: getValue('timeout')
+        }
+    };
+}
 
 /**
  * Start editing a link
@@ -688,6 +2769,7 @@ function cancelEditLink(linkId) {
             document.getElementById(`edit-name-${linkId}`).value = link.name;
             document.getElementById(`edit-url-${linkId}`).value = link.url;
             document.getElementById(`edit-category-${linkId}`).value = link.categoryId || '';
+            fillLinkCheckForm(linkId, link.check);
         }
         
         // Remove keyboard event listeners
@@ -744,6 +2826,12 @@ async function saveEditLink(linkId) {
         return;
     }
     
+    const { check, error: checkError } = readLinkCheckForm(linkId);
+    if (checkError) {
+        showFeedback(checkError, 'error');
+        return;
+    }
+    
     // Disable save button during request
     const saveBtn = document.querySelector(`#edit-actions-${linkId} .save-btn`);
     const originalText = saveBtn.textContent;
@@ -751,23 +2839,33 @@ async function saveEditLink(linkId) {
     saveBtn.disabled = true;
     
     try {
-        const response = await fetch(`/api/links/${linkId}`, {
+        const link = links.find(l => l.id === linkId);
+        const response = await apiFetch(`/api/links/${linkId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                ...(link && link.etag ? { 'If-Match': link.etag } : {})
+            },
             body: JSON.stringify({
                 name: name,
                 url: url,
-                categoryId: categoryId
+                categoryId: categoryId,
+                check: check
             })
         });
         
         const result = await response.json();
         
+        if (response.status === 409) {
+            resolveLinkConflict(linkId, { name, url, categoryId, check }, result);
+            return;
+        }
+        
         if (result.success) {
             // Update local links array
             const linkIndex = links.findIndex(l => l.id === linkId);
             if (linkIndex !== -1) {
-                links[linkIndex] = { ...links[linkIndex], name, url, categoryId };
+                links[linkIndex] = result.link;
             }
             
             // Refresh displays
@@ -788,35 +2886,357 @@ async function saveEditLink(linkId) {
 }
 
 /**
- * Check website status
+ * Let the user resolve a link edit that conflicts with someone else's change
+ * @param {number} linkId - Link being edited
+ * @param {Object} mine - { name, url, categoryId, check } the user tried to save
+ * @param {Object} conflict - 409 response with the current link and its ETag
+ */
+async function resolveLinkConflict(linkId, mine, conflict) {
+    const theirs = conflict.current;
+    const categoryName = id => (categories.find(category => category.id === id) || {}).name || 'Uncategorized';
+    const resolution = await showConflictDialog({
+        title: `Link "${theirs.name}" was changed`,
+        fields: [
+            { key: 'name', label: 'Name', mine: mine.name, theirs: theirs.name },
+            { key: 'url', label: 'URL', mine: mine.url, theirs: theirs.url },
+            { key: 'categoryId', label: 'Category', mine: mine.categoryId, theirs: theirs.categoryId, format: categoryName },
+            {
+                key: 'check', label: 'Health check', mine: mine.check, theirs: theirs.check || null,
+                format: describeLinkCheck,
+                equals: (a, b) => describeLinkCheck(a) === describeLinkCheck(b)
+            }
+        ]
+    });
+    if (!resolution) return;
+    
+    const linkIndex = links.findIndex(l => l.id === linkId);
+    if (linkIndex !== -1) {
+        links[linkIndex] = { ...theirs, etag: conflict.etag };
+    }
+    
+    if (resolution.choice === 'theirs') {
+        cancelEditLink(linkId);
+        loadAdminLinks();
+        renderLinks();
+        return;
+    }
+    
+    // Save again on top of their version
+    const fields = resolution.choice === 'mine' ? mine : resolution.value;
+    document.getElementById(`edit-name-${linkId}`).value = fields.name;
+    document.getElementById(`edit-url-${linkId}`).value = fields.url;
+    document.getElementById(`edit-category-${linkId}`).value = fields.categoryId || '';
+    fillLinkCheckForm(linkId, fields.check);
+    saveEditLink(linkId);
+}
+
+/**
+ * Load the server's latest health check results and update the status badges
+ */
+async function loadLinkStatuses() {
+    try {
+        const response = await apiFetch('/api/status');
+        const result = await response.json();
+        
+        if (result.success) {
+            linkStatuses = result.statuses;
+            links.forEach(link => renderLinkStatus(link.id));
+        }
+    } catch (error) {
+        console.error('Load link statuses error:', error);
+    }
+}
+
+/**
+ * Describe a link's status badge from the cached health check result
+ * @param {number} linkId - Link ID
+ * @returns {Object} - { state: CSS modifier, label, title }
+ */
+function getLinkStatusView(linkId) {
+    const link = links.find(l => l.id === linkId);
+    if (link && link.check && link.check.type === 'none') {
+        return { state: 'unmonitored', label: 'Not checked', title: 'Health checks are turned off for this link' };
+    }
+    
+    const status = linkStatuses[linkId];
+    if (!status) {
+        return { state: 'checking', label: 'Checking', title: 'Not checked yet' };
+    }
+    
+    const response = status.online ? `${status.latencyMs} ms` : status.error;
+    const title = `Last checked ${new Date(status.checkedAt).toLocaleString()} (${response}). Click for history.`;
+    return status.online
+        ? { state: 'online', label: 'Live', title }
+        : { state: 'offline', label: 'Down', title };
+}
+
+/**
+ * Build the uptime figure and latency sparkline shown after a link's status
+ * @param {number} linkId - Link ID
+ * @returns {string} - HTML, empty until the link has been checked
+ */
+function renderLinkHealth(linkId) {
+    const status = linkStatuses[linkId];
+    if (!status) return '';
+    
+    const uptime = status.uptime.day === null ? '' : `<span class="link-uptime">${formatUptime(status.uptime.day)}</span>`;
+    return uptime + renderSparkline(status.latencies) + renderCertificateBadge(status.certificate);
+}
+
+/**
+ * Pick the badge style for a certificate: trust problems rank with expiry
+ * @param {Object} certificate - Certificate summary from the server
+ * @returns {string} - 'ok', 'warning', 'critical', 'expired' or 'problem'
+ */
+function getCertificateState(certificate) {
+    if (certificate.level === 'expired') return 'expired';
+    if (certificate.problems.length > 0) return 'problem';
+    return certificate.level;
+}
+
+/**
+ * Build the certificate badge shown after an HTTPS link's status
+ * @param {Object|null} certificate - Certificate summary, null for plain HTTP links
+ * @returns {string} - HTML
+ */
+function renderCertificateBadge(certificate) {
+    if (!certificate) return '';
+    
+    const label = certificate.level === 'expired' ? 'TLS expired' : `TLS ${certificate.daysLeft}d`;
+    const title = [
+        `Issued by ${certificate.issuer || 'unknown'}`,
+        `Expires ${new Date(certificate.validTo).toLocaleDateString()}`,
+        ...certificate.problems
+    ].join('\n');
+    return `<span class="cert-badge cert-${getCertificateState(certificate)}" title="${escapeHtml(title)}">${label}</span>`;
+}
+
+/**
+ * Format an uptime percentage, keeping decimals only where they matter
+ * @param {number|null} percent - Uptime percentage
+ * @returns {string} - e.g. "100%", "99.95%" or "–" without data
+ */
+function formatUptime(percent) {
+    if (percent === null) return '–';
+    return percent === 100 ? '100%' : `${percent.toFixed(2)}%`;
+}
+
+/**
+ * Draw response times as a small inline SVG line; failed checks leave gaps
+ * @param {Array} latencies - Response times in ms, null for failed checks
+ * @returns {string} - SVG markup, empty with fewer than two responses
+ */
+function renderSparkline(latencies) {
+    const values = latencies.filter(value => value !== null);
+    if (values.length < 2) return '';
+    
+    const width = 60;
+    const height = 16;
+    const max = Math.max(...values, 1);
+    const step = width / Math.max(latencies.length - 1, 1);
+    const segments = [[]];
+    
+    latencies.forEach((value, index) => {
+        if (value === null) {
+            segments.push([]);
+            return;
+        }
+        const y = height - 1 - (value / max) * (height - 2);
+        segments[segments.length - 1].push(`${(index * step).toFixed(1)},${y.toFixed(1)}`);
+    });
+    
+    const lines = segments
+        .filter(points => points.length > 0)
+        .map(points => `<polyline points="${points.join(' ')}"/>`)
+        .join('');
+    return `<svg class="latency-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">${lines}</svg>`;
+}
+
+/**
+ * Update a rendered link's status badge
+ * @param {number} linkId - Link ID
  */
-async function checkWebsiteStatus(linkId, url) {
+function renderLinkStatus(linkId) {
     const statusElement = document.getElementById(`status-${linkId}`);
     const statusTextElement = document.getElementById(`status-text-${linkId}`);
+    if (!statusElement || !statusTextElement) return;
+    
+    const status = getLinkStatusView(linkId);
+    statusElement.className = `status-indicator status-${status.state}`;
+    statusTextElement.className = `status-text ${status.state}`;
+    statusTextElement.textContent = status.label;
+    statusTextElement.closest('.status-section').title = status.title;
+    document.getElementById(`health-${linkId}`).innerHTML = renderLinkHealth(linkId);
+}
+
+/**
+ * Format the time between two timestamps, e.g. "2h 5m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human readable duration
+ */
+function formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Show uptime and recent outages for a link next to its status badge
+ * @param {Event} event - Click event on the status section
+ * @param {number} linkId - Link ID
+ */
+async function showStatusPopover(event, linkId) {
+    event.stopPropagation();
+    const popover = document.getElementById('statusPopover');
+    const anchor = event.currentTarget.getBoundingClientRect();
+    
+    // A second click on the same badge closes it
+    if (!popover.classList.contains('hidden') && popover.dataset.linkId === String(linkId)) {
+        hideStatusPopover();
+        return;
+    }
+    
+    const link = links.find(l => l.id === linkId);
+    popover.dataset.linkId = linkId;
+    popover.innerHTML = `<div class="status-popover-title">${escapeHtml(link ? link.name : '')}</div><p class="form-hint">Loading...</p>`;
+    popover.style.top = `${anchor.bottom + 8}px`;
+    popover.style.left = `${Math.max(8, Math.min(anchor.left, window.innerWidth - 328))}px`;
+    popover.classList.remove('hidden');
     
     try {
-        const response = await fetch(`/api/status/${linkId}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url: url })
-        });
-        
+        const response = await apiFetch(`/api/status/${linkId}`);
         const result = await response.json();
+        if (popover.dataset.linkId !== String(linkId)) return;
         
-        if (result.success && result.online) {
-            statusElement.className = 'status-indicator status-online';
-            statusTextElement.className = 'status-text online';
-            statusTextElement.textContent = 'Live';
-        } else {
-            statusElement.className = 'status-indicator status-offline';
-            statusTextElement.className = 'status-text offline';
-            statusTextElement.textContent = 'Down';
+        if (!result.success) {
+            popover.innerHTML = `<p class="form-hint">${escapeHtml(result.error || 'Failed to load history')}</p>`;
+            return;
         }
+        popover.innerHTML = renderStatusHistory(link, result);
+    } catch (error) {
+        console.error('Load status history error:', error);
+        popover.innerHTML = '<p class="form-hint">Failed to load history</p>';
+    }
+}
+
+/**
+ * Build the status popover content
+ * @param {Object} link - Link record
+ * @param {Object} history - { status, checks, outages } from GET /api/status/:id
+ * @returns {string} - HTML
+ */
+function renderStatusHistory(link, history) {
+    const status = history.status;
+    const title = `<div class="status-popover-title">${escapeHtml(link ? link.name : '')}</div>`;
+    if (!status) {
+        const reason = link && link.check && link.check.type === 'none' ? 'Health checks are turned off for this link.' : 'Not checked yet.';
+        return `${title}<p class="form-hint">${reason}</p>`;
+    }
+    
+    const lastResponse = status.online
+        ? `${status.latencyMs} ms${status.statusCode ? ` (HTTP ${status.statusCode})` : ''}`
+        : escapeHtml(status.error || 'No response');
+    
+    const outages = history.outages.length === 0
+        ? '<p class="form-hint">No outages in the last 30 days.</p>'
+        : `<ul class="status-outages">${history.outages.map(outage => {
+            const end = outage.end ? Date.parse(outage.end) : Date.now();
+            const duration = formatDuration(end - Date.parse(outage.start));
+            return `
+                <li>
+                    <span>${escapeHtml(new Date(outage.start).toLocaleString())}</span>
+                    <span>${outage.end ? duration : `ongoing, ${duration}`}</span>
+                    <small>${escapeHtml(outage.error || '')}</small>
+                </li>
+            `;
+        }).join('')}</ul>`;
+    
+    return `
+        ${title}
+        <div class="status-uptime-grid">
+            <span>24h</span><strong>${formatUptime(status.uptime.day)}</strong>
+            <span>7d</span><strong>${formatUptime(status.uptime.week)}</strong>
+            <span>30d</span><strong>${formatUptime(status.uptime.month)}</strong>
+        </div>
+        <p class="form-hint">Last check ${escapeHtml(new Date(status.checkedAt).toLocaleString())}: ${lastResponse}</p>
+        ${status.certificate ? renderCertificateDetails(status.certificate) : ''}
+        <div class="status-popover-subtitle">Recent outages</div>
+        ${outages}
+    `;
+}
+
+/**
+ * Build the certificate part of the status popover
+ * @param {Object} certificate - Certificate summary from the server
+ * @returns {string} - HTML
+ */
+function renderCertificateDetails(certificate) {
+    const expiry = certificate.level === 'expired'
+        ? 'expired'
+        : `${certificate.daysLeft} day${certificate.daysLeft === 1 ? '' : 's'} left`;
+    return `
+        <div class="status-popover-subtitle">Certificate ${renderCertificateBadge(certificate)}</div>
+        <div class="certificate-details">
+            <span>Issuer</span><span>${escapeHtml(certificate.issuer || 'unknown')}</span>
+            <span>Subject</span><span>${escapeHtml(certificate.subject || 'none')}</span>
+            <span>Names</span><span>${escapeHtml(certificate.altNames.join(', ') || 'none')}</span>
+            <span>Valid until</span><span>${escapeHtml(new Date(certificate.validTo).toLocaleDateString())} (${expiry})</span>
+        </div>
+        ${certificate.problems.map(problem => `<p class="certificate-problem">${escapeHtml(problem)}</p>`).join('')}
+    `;
+}
+
+/**
+ * Close the status popover
+ */
+function hideStatusPopover() {
+    const popover = document.getElementById('statusPopover');
+    popover.classList.add('hidden');
+    delete popover.dataset.linkId;
+}
+
+document.addEventListener('click', event => {
+    if (!event.target.closest('#statusPopover')) {
+        hideStatusPopover();
+    }
+});
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+        hideStatusPopover();
+    }
+});
+
+/**
+ * List HTTPS certificates that expire soon or have problems in the admin panel
+ */
+async function loadCertificates() {
+    const list = document.getElementById('certificateList');
+    if (!list || !hasRole('viewer')) return;
+    
+    try {
+        const response = await apiFetch('/api/certificates');
+        const result = await response.json();
+        if (!result.success) return;
+        
+        const flagged = result.certificates.filter(certificate => getCertificateState(certificate) !== 'ok');
+        const healthy = result.certificates.length - flagged.length;
+        document.getElementById('certificateInfo').textContent = result.certificates.length === 0
+            ? 'No HTTPS links checked yet.'
+            : `Certificates are flagged ${result.warningDays.join(', ')} days before they expire. ${healthy} of ${result.certificates.length} need no attention.`;
+        
+        list.innerHTML = flagged.map(certificate => `
+            <div class="failed-login-item">
+                <span>${renderCertificateBadge(certificate)} <strong>${escapeHtml(certificate.name)}</strong></span>
+                <span>${escapeHtml(certificate.url)}</span>
+                <span>${certificate.level === 'expired' ? 'expired' : 'expires'} ${escapeHtml(new Date(certificate.validTo).toLocaleDateString())}</span>
+                ${certificate.problems.map(problem => `<small>${escapeHtml(problem)}</small>`).join('')}
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Status check error:', error);
-        statusElement.className = 'status-indicator status-offline';
-        statusTextElement.className = 'status-text offline';
-        statusTextElement.textContent = 'Down';
+        console.error('Load certificates error:', error);
     }
 }
 
@@ -829,7 +3249,7 @@ async function checkWebsiteStatus(linkId, url) {
  */
 async function loadCategories() {
     try {
-        const response = await fetch('/api/categories');
+        const response = await apiFetch('/api/categories');
         const result = await response.json();
         
         if (result.success) {
@@ -875,7 +3295,7 @@ async function addCategory() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/categories', {
+        const response = await apiFetch('/api/categories', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ name: name })
@@ -905,12 +3325,12 @@ async function addCategory() {
  * Delete a category
  */
 async function deleteCategory(id) {
-    if (!confirm('Are you sure you want to delete this category? Links will be moved to uncategorized.')) {
+    if (!confirm('Move this category to the trash? Its links will be uncategorized until it is restored.')) {
         return;
     }
     
     try {
-        const response = await fetch(`/api/categories/${id}`, {
+        const response = await apiFetch(`/api/categories/${id}`, {
             method: 'DELETE'
         });
         
@@ -920,7 +3340,7 @@ async function deleteCategory(id) {
             loadCategories();
             loadAdminCategories();
             loadLinks();
-            showFeedback('Category deleted successfully', 'success');
+            showFeedback('Category moved to trash', 'success', undoDeleteAction(result.trashId));
         } else {
             showFeedback('Failed to delete category', 'error');
         }
@@ -936,11 +3356,12 @@ async function deleteCategory(id) {
 async function loadAdminCategories() {
     const adminCategoriesList = document.getElementById('adminCategoriesList');
     adminCategoriesList.innerHTML = '';
+    const canEdit = hasRole('editor');
     
     categories.forEach(category => {
         const categoryItem = document.createElement('div');
         categoryItem.className = category.isDefault ? 'category-item navigation-category' : 'category-item';
-        categoryItem.draggable = !category.isDefault; // Prevent dragging default categories
+        categoryItem.draggable = canEdit && !category.isDefault; // Prevent dragging default categories
         categoryItem.dataset.categoryId = category.id;
         
         // Different HTML for default vs regular categories
@@ -959,19 +3380,19 @@ async function loadAdminCategories() {
                     <span>${escapeHtml(category.name)}</span>
                     <div class="privacy-toggle">
                         <label class="toggle-switch">
-                            <input type="checkbox" ${category.private ? 'checked' : ''} 
+                            <input type="checkbox" ${category.private ? 'checked' : ''} ${canEdit ? '' : 'disabled'}
                                    onchange="toggleCategoryPrivacy(${category.id}, this.checked)">
                             <span class="toggle-slider"></span>
                         </label>
                         <span class="toggle-label">Private</span>
                     </div>
                 </div>
-                <button onclick="deleteCategory(${category.id})" class="delete-btn">Delete</button>
+                ${canEdit ? `<button onclick="deleteCategory(${category.id})" class="delete-btn">Delete</button>` : ''}
             `;
         }
         
         // Add drag event listeners only for non-default categories
-        if (!category.isDefault) {
+        if (canEdit && !category.isDefault) {
             categoryItem.addEventListener('dragstart', handleCategoryDragStart);
             categoryItem.addEventListener('dragend', handleCategoryDragEnd);
             categoryItem.addEventListener('dragover', handleCategoryDragOver);
@@ -1077,7 +3498,7 @@ async function reorderCategories(draggedId, targetId) {
     
     // Update the backend
     try {
-        const response = await fetch('/api/categories/reorder', {
+        const response = await apiFetch('/api/categories/reorder', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ 
@@ -1172,7 +3593,7 @@ function loadPrivateLinks() {
  */
 async function toggleCategoryPrivacy(categoryId, isPrivate) {
     try {
-        const response = await fetch(`/api/categories/${categoryId}/privacy`, {
+        const response = await apiFetch(`/api/categories/${categoryId}/privacy`, {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ private: isPrivate })
@@ -1237,7 +3658,7 @@ function formatHomepageMessage(message) {
  */
 async function loadHomepageMessage() {
     try {
-        const response = await fetch('/api/homepage-message');
+        const response = await apiFetch('/api/homepage-message');
         const result = await response.json();
         
         if (result.success && result.message) {
@@ -1255,7 +3676,7 @@ async function loadHomepageMessage() {
  */
 async function loadAdminHomepageMessage() {
     try {
-        const response = await fetch('/api/homepage-message');
+        const response = await apiFetch('/api/homepage-message');
         const result = await response.json();
         
         if (result.success && result.message) {
@@ -1282,7 +3703,7 @@ async function updateHomepageMessage() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/homepage-message', {
+        const response = await apiFetch('/api/homepage-message', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ message: message })
@@ -1310,7 +3731,7 @@ async function updateHomepageMessage() {
  */
 async function loadSiteTitle() {
     try {
-        const response = await fetch('/api/site-title');
+        const response = await apiFetch('/api/site-title');
         const result = await response.json();
         
         if (result.success && result.title) {
@@ -1348,7 +3769,7 @@ async function updateSiteTitle() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/site-title', {
+        const response = await apiFetch('/api/site-title', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ title })
@@ -1427,10 +3848,11 @@ async function loadChatConfig() {
  */
 async function loadAdminChatConfig() {
     try {
-        const response = await fetch('/api/chat-config');
+        const response = await apiFetch('/api/chat-config');
         const result = await response.json();
         
         if (result.success && result.config) {
+            chatConfigEtag = result.etag;
             const provider = result.config.provider || 'none';
             
             // Set the provider dropdown
@@ -1449,7 +3871,7 @@ async function loadAdminChatConfig() {
                 if (result.config.ollamaModel && result.config.ollamaBaseUrl) {
                     // Try to fetch models to populate the dropdown directly
                     try {
-                        const modelsResponse = await fetch(`/api/ollama-models`);
+                        const modelsResponse = await apiFetch(`/api/ollama-models`);
                         const modelsResult = await modelsResponse.json();
                         
                         if (modelsResult && modelsResult.models && Array.isArray(modelsResult.models)) {
@@ -1522,7 +3944,7 @@ async function fetchOllamaModels() {
     
     try {
         // Call backend proxy to avoid CORS (passes baseUrl)
-        const response = await fetch(`/api/ollama-models?baseUrl=${encodeURIComponent(baseUrl)}`);
+        const response = await apiFetch(`/api/ollama-models?baseUrl=${encodeURIComponent(baseUrl)}`);
         const result = await response.json();
         
         if (result && result.models && Array.isArray(result.models)) {
@@ -1560,6 +3982,45 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Save chat configuration, resolving conflicts with changes made since the form was loaded
+ * @param {Object} configData - Configuration to save
+ * @returns {Promise<Object>} - API result; { success: true, keptTheirs: true } if the user kept the other version
+ */
+async function saveChatConfig(configData) {
+    const response = await apiFetch('/api/chat-config', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(chatConfigEtag ? { 'If-Match': chatConfigEtag } : {})
+        },
+        body: JSON.stringify(configData)
+    });
+    const result = await response.json();
+    
+    if (response.status !== 409) {
+        if (result.success) chatConfigEtag = result.etag;
+        return result;
+    }
+    
+    const fieldLabels = { provider: 'Provider', apiUrl: 'Flowise API URL', chatflowId: 'Chatflow ID', ollamaBaseUrl: 'Ollama base URL', ollamaModel: 'Ollama model' };
+    const mine = { apiUrl: '', chatflowId: '', ollamaBaseUrl: '', ollamaModel: '', ...configData };
+    const resolution = await showConflictDialog({
+        title: 'Chat configuration was changed',
+        fields: Object.entries(fieldLabels).map(([key, label]) => ({ key, label, mine: mine[key], theirs: result.current[key] || '' }))
+    });
+    if (!resolution) {
+        return { success: false, error: 'Save cancelled' };
+    }
+    
+    chatConfigEtag = result.etag;
+    if (resolution.choice === 'theirs') {
+        loadAdminChatConfig();
+        return { success: true, keptTheirs: true };
+    }
+    return saveChatConfig(resolution.choice === 'mine' ? mine : resolution.value);
+}
+
 /**
  * Update chat configuration
  */
@@ -1603,19 +4064,13 @@ async function updateChatConfig() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/chat-config', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(configData)
-        });
-        
-        const result = await response.json();
+        const result = await saveChatConfig(configData);
         
         if (result.success) {
             loadChatConfig();
-            showFeedback('Chat configuration updated successfully!', 'success');
+            showFeedback(result.keptTheirs ? 'Kept the other chat configuration' : 'Chat configuration updated successfully!', 'success');
         } else {
-            showFeedback('Failed to update chat configuration', 'error');
+            showFeedback(result.error || 'Failed to update chat configuration', 'error');
         }
     } catch (error) {
         console.error('Update chat config error:', error);
@@ -1631,7 +4086,7 @@ async function updateChatConfig() {
  */
 async function loadAdminFilterConfig() {
     try {
-        const response = await fetch('/api/filter-config');
+        const response = await apiFetch('/api/filter-config');
         const result = await response.json();
         
         if (result.success && result.config) {
@@ -1655,7 +4110,7 @@ async function updateFilterConfig() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/filter-config', {
+        const response = await apiFetch('/api/filter-config', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ enabled: enabled, keyword: keyword })
@@ -1682,7 +4137,7 @@ async function updateFilterConfig() {
  */
 async function loadAdminColorConfig() {
     try {
-        const response = await fetch('/api/color-config');
+        const response = await apiFetch('/api/color-config');
         const result = await response.json();
         
         if (result.success && result.config) {
@@ -1713,7 +4168,7 @@ async function updateColorConfig() {
     button.disabled = true;
     
     try {
-        const response = await fetch('/api/color-config', {
+        const response = await apiFetch('/api/color-config', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ primaryColor: primaryColor })
@@ -2417,7 +4872,7 @@ async function sendMessage() {
         
         if (chatConfig.provider === 'ollama') {
             // Proxy through backend to avoid CORS
-            response = await fetch('/api/ollama-chat', {
+            response = await apiFetch('/api/ollama-chat', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ message })
@@ -2710,6 +5165,239 @@ function processResponseText(text) {
     return processedText;
 }
 
+// =============================================================================
+// LIVE UPDATES
+// =============================================================================
+
+// Topics changed since the last refresh, applied together so bursts (imports) refresh once
+const pendingLiveTopics = new Set();
+const pendingLiveActions = new Set();
+let liveRefreshTimer = null;
+let liveUpdatesInterrupted = false;
+
+/**
+ * Subscribe to the server's change stream so other tabs' edits show up without a reload
+ */
+function connectLiveUpdates() {
+    if (!window.EventSource) return;
+
+    const source = new EventSource('/api/events');
+
+    source.addEventListener('change', event => {
+        const change = JSON.parse(event.data);
+        change.topics.forEach(topic => pendingLiveTopics.add(topic));
+        pendingLiveActions.add(change.action);
+        clearTimeout(liveRefreshTimer);
+        liveRefreshTimer = setTimeout(applyLiveUpdates, 250);
+    });
+
+    // EventSource reconnects by itself; anything missed meanwhile is refetched
+    source.addEventListener('error', () => {
+        liveUpdatesInterrupted = true;
+    });
+    source.addEventListener('open', () => {
+        if (!liveUpdatesInterrupted) return;
+        liveUpdatesInterrupted = false;
+        ['links', 'categories', 'config', 'projects', 'trash', 'status'].forEach(topic => pendingLiveTopics.add(topic));
+        applyLiveUpdates();
+    });
+}
+
+/**
+ * Check whether the admin panel is on screen (signed in and on #admin)
+ * @returns {boolean} - True if admin lists should be kept current
+ */
+function isAdminPanelVisible() {
+    return !document.getElementById('adminPage').classList.contains('hidden') &&
+        !document.getElementById('adminPanel').classList.contains('hidden');
+}
+
+/**
+ * Check whether the user is typing in an admin list, which a re-render would throw away
+ * @param {string} listId - ID of the list container
+ * @returns {boolean} - True if the list has an open editor or focused field
+ */
+function isAdminListBeingEdited(listId) {
+    const list = document.getElementById(listId);
+    return Boolean(list && (list.querySelector('.link-edit:not(.hidden)') || list.contains(document.activeElement)));
+}
+
+/**
+ * Re-render only the parts of the page affected by the pending changes
+ */
+async function applyLiveUpdates() {
+    const topics = new Set(pendingLiveTopics);
+    const actions = new Set(pendingLiveActions);
+    pendingLiveTopics.clear();
+    pendingLiveActions.clear();
+    const adminVisible = isAdminPanelVisible();
+
+    if (topics.has('categories') || topics.has('links')) {
+        if (topics.has('categories')) {
+            await loadCategories();
+        }
+        await loadLinks();
+
+        if (adminVisible) {
+            if (topics.has('categories') && !isAdminListBeingEdited('adminCategoriesList')) {
+                loadAdminCategories();
+            }
+            if (!isAdminListBeingEdited('adminLinksList')) {
+                loadAdminLinks();
+            }
+            loadPrivateLinks();
+            if (topics.has('categories') && hasRole('admin')) {
+                // Keep the ticked categories of a channel being added or edited
+                renderNotificationCategories(readNotificationCategories());
+            }
+        }
+    }
+
+    if (topics.has('config')) {
+        // Settings changed one at a time refresh just that setting; imports and reloads refresh all
+        const settingsOnly = [...actions].every(action => action.startsWith('config.'));
+        if (!settingsOnly || actions.has('config.color')) {
+            loadAdminColorConfig();
+        }
+        if (!settingsOnly || actions.has('config.site-title')) {
+            loadSiteTitle();
+        }
+        if (!settingsOnly || actions.has('config.homepage-message')) {
+            loadHomepageMessage();
+        }
+        if (!settingsOnly || actions.has('config.chat') || actions.has('config.filter')) {
+            loadChatConfig();
+        }
+    }
+
+    if (topics.has('status')) {
+        loadLinkStatuses();
+        if (adminVisible) {
+            loadCertificates();
+        }
+    }
+
+    if (topics.has('projects') && adminVisible && hasRole('viewer')) {
+        loadProjectFiles();
+    }
+
+    if (topics.has('trash') && document.getElementById('trashTab').classList.contains('active')) {
+        loadTrash();
+    }
+}
+
+// =============================================================================
+// SAVE CONFLICTS
+// =============================================================================
+
+/**
+ * Combine two versions of a text, wrapping the lines that differ in conflict markers
+ * Lines the versions share at the start and end are kept once.
+ * @param {string} mine - The user's version
+ * @param {string} theirs - The version saved by someone else
+ * @returns {string} - Text to edit by hand
+ */
+function mergeWithConflictMarkers(mine, theirs) {
+    if (mine === theirs) return mine;
+    
+    const mineLines = mine.split('\n');
+    const theirLines = theirs.split('\n');
+    
+    let start = 0;
+    while (start < mineLines.length && start < theirLines.length && mineLines[start] === theirLines[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < mineLines.length - start && end < theirLines.length - start &&
+        mineLines[mineLines.length - 1 - end] === theirLines[theirLines.length - 1 - end]) {
+        end++;
+    }
+    
+    return [
+        ...mineLines.slice(0, start),
+        '<<<<<<< mine',
+        ...mineLines.slice(start, mineLines.length - end),
+        '=======',
+        ...theirLines.slice(start, theirLines.length - end),
+        '>>>>>>> theirs',
+        ...mineLines.slice(mineLines.length - end)
+    ].join('\n');
+}
+
+/**
+ * Ask how to resolve a save that conflicts with someone else's change
+ * @param {Object} options - { title, fields: [{ key, label, mine, theirs, format, equals }] } for records,
+ *                           or { title, text: { mine, theirs } } for documents
+ * @returns {Promise<Object|null>} - { choice: 'mine' | 'theirs' } or { choice: 'merge', value } where value is
+ *                                   the picked field values or the edited text; null when cancelled
+ */
+function showConflictDialog(options) {
+    const dialog = document.getElementById('conflictDialog');
+    const body = document.getElementById('conflictDialogBody');
+    document.getElementById('conflictDialogTitle').textContent = options.title;
+    
+    if (options.fields) {
+        // Fields holding objects pass their own comparison
+        const isSame = field => field.equals ? field.equals(field.mine, field.theirs) : field.mine === field.theirs;
+        const cell = (field, side) => {
+            const format = field.format || (value => value ?? '');
+            const text = escapeHtml(String(format(field[side])));
+            return isSame(field)
+                ? `<td>${text}</td>`
+                : `<td><label><input type="radio" name="conflict-${field.key}" value="${side}" ${side === 'mine' ? 'checked' : ''}> ${text}</label></td>`;
+        };
+        body.innerHTML = `
+            <table class="conflict-table">
+                <tr><th></th><th>Mine</th><th>Theirs</th></tr>
+                ${options.fields.map(field => `
+                    <tr class="${isSame(field) ? '' : 'differs'}">
+                        <th>${escapeHtml(field.label)}</th>${cell(field, 'mine')}${cell(field, 'theirs')}
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    } else {
+        body.innerHTML = `
+            <div class="conflict-versions">
+                <div><strong>Mine</strong><pre>${escapeHtml(options.text.mine)}</pre></div>
+                <div><strong>Theirs</strong><pre>${escapeHtml(options.text.theirs)}</pre></div>
+            </div>
+            <textarea id="conflictMergeText" class="conflict-merge-text" spellcheck="false"></textarea>
+        `;
+        document.getElementById('conflictMergeText').value = mergeWithConflictMarkers(options.text.mine, options.text.theirs);
+    }
+    
+    const readMerged = () => {
+        if (!options.fields) {
+            return document.getElementById('conflictMergeText').value;
+        }
+        return Object.fromEntries(options.fields.map(field => {
+            const picked = body.querySelector(`input[name="conflict-${field.key}"]:checked`);
+            return [field.key, picked && picked.value === 'theirs' ? field.theirs : field.mine];
+        }));
+    };
+    
+    dialog.classList.remove('hidden');
+    
+    return new Promise(resolve => {
+        const handlers = {
+            conflictKeepMine: () => ({ choice: 'mine' }),
+            conflictUseTheirs: () => ({ choice: 'theirs' }),
+            conflictMerge: () => ({ choice: 'merge', value: readMerged() }),
+            conflictCancel: () => null
+        };
+        Object.entries(handlers).forEach(([id, handler]) => {
+            document.getElementById(id).onclick = () => {
+                dialog.classList.add('hidden');
+                Object.keys(handlers).forEach(buttonId => {
+                    document.getElementById(buttonId).onclick = null;
+                });
+                resolve(handler());
+            };
+        });
+    });
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -2726,9 +5414,10 @@ function escapeHtml(text) {
 /**
  * Show user feedback message
  */
-function showFeedback(message, type) {
+function showFeedback(message, type, action) {
     const feedbackElement = document.getElementById('globalFeedback');
     const messageElement = document.getElementById('feedbackMessage');
+    const actionElement = document.getElementById('feedbackAction');
     
     // Clear any existing timeout
     if (window.feedbackTimeout) {
@@ -2739,13 +5428,24 @@ function showFeedback(message, type) {
     messageElement.textContent = message;
     feedbackElement.className = `global-feedback ${type}`;
     
+    // Optional action button, e.g. { label: 'Undo', onClick }
+    actionElement.classList.toggle('hidden', !action);
+    actionElement.onclick = null;
+    if (action) {
+        actionElement.textContent = action.label;
+        actionElement.onclick = () => {
+            feedbackElement.classList.add('hidden');
+            action.onClick();
+        };
+    }
+    
     // Show feedback
     feedbackElement.classList.remove('hidden');
     
-    // Hide feedback after 4 seconds
+    // Hide feedback after 4 seconds (8 when there is something to click)
     window.feedbackTimeout = setTimeout(() => {
         feedbackElement.classList.add('hidden');
-    }, 4000);
+    }, action ? 8000 : 4000);
 }
 
 /**
@@ -2773,10 +5473,12 @@ function updateFavicon(primaryColor) {
 // =============================================================================
 
 let currentProjectFile = '';
+let currentProjectEtag = null; // version of currentProjectFile the editor was loaded from or last saved as
+let projectConflictOpen = false;
 
 async function loadProjectFiles() {
     try {
-        const res = await fetch('/api/projects');
+        const res = await apiFetch('/api/projects');
         const result = await res.json();
         if (result.success) {
             renderProjectFileList(result.files || []);
@@ -2805,7 +5507,7 @@ function renderProjectFileList(files) {
 
 async function openProjectFile(filename) {
     try {
-        const res = await fetch(`/api/projects/${encodeURIComponent(filename)}`);
+        const res = await apiFetch(`/api/projects/${encodeURIComponent(filename)}`);
         const result = await res.json();
         if (result.success) {
             currentProjectFile = filename;
@@ -2832,6 +5534,7 @@ async function createNewProjectFile() {
     }
     
     currentProjectFile = '';
+    currentProjectEtag = null;
     document.getElementById('projectTitle').value = '';
     const editorEl = document.getElementById('projectEditor');
     if (editorEl) editorEl.innerHTML = '';
@@ -2862,7 +5565,7 @@ async function saveProjectFile() {
     }
  
     try {
-        const res = await fetch('/api/projects', {
+        const res = await apiFetch('/api/projects', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ name, content: markdown })
@@ -2881,27 +5584,65 @@ async function saveProjectFile() {
     }
 }
 
+/**
+ * Let the user resolve a project note save that conflicts with someone else's change
+ * @param {string} name - File name
+ * @param {string} mine - Markdown the user tried to save
+ * @param {Object} conflict - 409 response with the current content (null if deleted) and its ETag
+ * @returns {Promise<boolean>} - Whether the note ended up saved
+ */
+async function resolveProjectConflict(name, mine, conflict) {
+    // Autosave keeps firing while the dialog is open
+    if (projectConflictOpen) return false;
+    
+    projectConflictOpen = true;
+    const resolution = await showConflictDialog({
+        title: conflict.current === null ? `"${name}" was deleted by someone else` : `"${name}" was changed by someone else`,
+        text: { mine, theirs: conflict.current ?? '' }
+    });
+    projectConflictOpen = false;
+    if (!resolution) return false;
+    
+    currentProjectFile = name;
+    currentProjectEtag = conflict.etag;
+    
+    const editorEl = document.getElementById('projectEditor');
+    const showMarkdown = markdown => {
+        editorEl.innerHTML = window.marked ? marked.parse(markdown) : markdown;
+    };
+    
+    if (resolution.choice === 'theirs') {
+        showMarkdown(conflict.current ?? '');
+        return true;
+    }
+    if (resolution.choice === 'merge') {
+        showMarkdown(resolution.value);
+    }
+    return saveProjectFile();
+}
+
 async function deleteProjectFile() {
     const titleVal = document.getElementById('projectTitle').value.trim();
     if (!titleVal && !currentProjectFile) return;
-    if (!confirm('Delete this file?')) return;
+    if (!confirm('Move this file to the trash?')) return;
 
     // Determine filename to delete (ensure .md extension)
     let filename = currentProjectFile || titleVal;
     if (!filename.toLowerCase().endsWith('.md')) filename += '.md';
 
     try {
-        const res = await fetch(`/api/projects/${encodeURIComponent(filename)}`, { method: 'DELETE' });
+        const res = await apiFetch(`/api/projects/${encodeURIComponent(filename)}`, { method: 'DELETE' });
         let result = null;
         try { result = await res.json(); } catch(e) { /* empty body */ }
         if ((result && result.success) || res.ok) {
             currentProjectFile = '';
+            currentProjectEtag = null;
             // Clear the editor without trying to save
             document.getElementById('projectTitle').value = '';
             const editorEl = document.getElementById('projectEditor');
             if (editorEl) editorEl.innerHTML = '';
             loadProjectFiles();
-            showFeedback('File deleted', 'success');
+            showFeedback('File moved to trash', 'success', result?.trashId ? undoDeleteAction(result.trashId) : undefined);
         } else {
             showFeedback(result?.error || 'Failed to delete', 'error');
         }
@@ -2994,6 +5735,8 @@ function changeFontSize(e, delta){
 // Autosave support
 let autosaveTimer = null;
 function queueAutosave() {
+    // Viewers can read project notes but not save them
+    if (!hasRole('editor')) return;
     clearTimeout(autosaveTimer);
     autosaveTimer = setTimeout(() => {
         saveProjectFile(true); // silent save
@@ -3013,10 +5756,11 @@ async function openProjectFile(filename) {
     // save current edits silently first
     await saveProjectFile(true);
     try {
-        const res = await fetch(`/api/projects/${encodeURIComponent(filename)}`);
+        const res = await apiFetch(`/api/projects/${encodeURIComponent(filename)}`);
         const result = await res.json();
         if (result.success) {
             currentProjectFile = filename;
+            currentProjectEtag = result.etag;
             document.getElementById('projectTitle').value = filename.replace(/\.md$/i, '');
             const editorEl = document.getElementById('projectEditor');
             if (editorEl) {
@@ -3035,6 +5779,7 @@ async function openProjectFile(filename) {
 
 // Modify saveProjectFile to accept silent param
 async function saveProjectFile(silent=false) {
+    if (!hasRole('editor')) return false;
     const titleEl = document.getElementById('projectTitle');
     const editorEl = document.getElementById('projectEditor');
     if (!titleEl || !editorEl) return false;
@@ -3051,15 +5796,23 @@ async function saveProjectFile(silent=false) {
         const turndownService = new TurndownService();
         markdown = turndownService.turndown(editorEl.innerHTML);
     }
+    // Overwrite only the version we loaded; a new name must not replace someone else's file
+    const versionHeader = name === currentProjectFile && currentProjectEtag
+        ? { 'If-Match': currentProjectEtag }
+        : { 'If-None-Match': '*' };
     try {
-        const res = await fetch('/api/projects', {
+        const res = await apiFetch('/api/projects', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...versionHeader },
             body: JSON.stringify({ name, content: markdown })
         });
         const result = await res.json();
+        if (res.status === 409) {
+            return resolveProjectConflict(name, markdown, result);
+        }
         if (result.success) {
             currentProjectFile = name;
+            currentProjectEtag = result.etag;
             if(!silent) showFeedback('File saved', 'success');
             loadProjectFiles();
             return true;
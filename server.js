@@ -10,7 +10,14 @@ const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const crypto = require('crypto');
 const { URL } = require('url');
+const QRCode = require('qrcode');
+const YAML = require('yaml');
+const nodemailer = require('nodemailer');
 
 // =============================================================================
 // SERVER CONFIGURATION
@@ -20,8 +27,12 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware setup
+// Import bundles include every project file, so they get a larger body limit
+app.use('/api/import', bodyParser.json({ limit: process.env.IMPORT_MAX_SIZE || '20mb' }));
+app.use('/api/config-file', bodyParser.json({ limit: '2mb' }), bodyParser.text({ type: ['application/yaml', 'application/x-yaml', 'text/*'], limit: '2mb' }));
 app.use(bodyParser.json());
 app.use(express.static('public'));
+app.use('/api', csrfProtection);
 
 // =============================================================================
 // AUTHENTICATION CONFIGURATION
@@ -31,11 +42,25 @@ app.use(express.static('public'));
 const DEFAULT_ADMIN_PASSWORD_HASH = '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi';
 let ADMIN_PASSWORD_HASH = DEFAULT_ADMIN_PASSWORD_HASH;
 
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+
+// User roles in ascending order of privilege
+const USER_ROLES = ['viewer', 'editor', 'admin'];
+const BOOTSTRAP_ADMIN_USERNAME = 'admin';
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{1,32}$/;
+
 /**
  * Initialize admin password from environment variable
- * Hashes plaintext password if ADMIN_PASSWORD env var is provided
+ * Hashes plaintext password if ADMIN_PASSWORD env var is provided. It only
+ * applies to the bootstrap admin account until a password is set from the admin panel
  */
 async function initializeAdminPassword() {
+    const bootstrapAdmin = authData.users.find(user => !user.passwordHash);
+    if (!bootstrapAdmin) {
+        console.log('User passwords loaded from data directory');
+        return;
+    }
+
     const plainPassword = process.env.ADMIN_PASSWORD;
     
     if (plainPassword) {
@@ -47,290 +72,5311 @@ async function initializeAdminPassword() {
             console.log('Falling back to default password');
         }
     } else {
-        console.log('Using default admin password: "password"');
+        console.log('Using default admin password: "password" (change required on first login)');
     }
 }
 
+/**
+ * Create the bootstrap admin account when no users exist yet
+ * Migrates a password hash saved before user accounts were introduced
+ */
+function initializeUsers() {
+    if (authData.users.length > 0) return;
+
+    authData.users.push({
+        id: authData.nextUserId++,
+        username: BOOTSTRAP_ADMIN_USERNAME,
+        role: 'admin',
+        // null falls back to ADMIN_PASSWORD / the default password
+        passwordHash: authData.adminPasswordHash || null,
+        createdAt: new Date().toISOString()
+    });
+    delete authData.adminPasswordHash;
+    saveAuthData();
+
+    console.log(`Created default "${BOOTSTRAP_ADMIN_USERNAME}" user account`);
+}
+
+/**
+ * Get the bcrypt hash a user's password is checked against
+ * @param {Object} user - User account
+ * @returns {string} - bcrypt hash
+ */
+function getUserPasswordHash(user) {
+    return user.passwordHash || ADMIN_PASSWORD_HASH;
+}
+
+/**
+ * Check whether a user still signs in with the built-in default password
+ * @param {Object} user - User account
+ * @returns {boolean} - True if the default hash is active
+ */
+function isUsingDefaultPassword(user) {
+    return getUserPasswordHash(user) === DEFAULT_ADMIN_PASSWORD_HASH;
+}
+
+/**
+ * Find a user account by username (case-insensitive)
+ * @param {string} username - Username to look up
+ * @returns {Object|undefined} - User account
+ */
+function findUserByUsername(username) {
+    const normalized = String(username).trim().toLowerCase();
+    return authData.users.find(user => user.username.toLowerCase() === normalized);
+}
+
+/**
+ * Check whether a user's role grants at least the given role
+ * @param {Object} user - User account
+ * @param {string} role - Minimum required role
+ * @returns {boolean} - True if the user has the role or a higher one
+ */
+function hasRole(user, role) {
+    return USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+/**
+ * Strip secrets from a user account before sending it to a client
+ * @param {Object} user - User account
+ * @returns {Object} - Public user fields
+ */
+function sanitizeUser(user) {
+    const {
+        passwordHash,
+        totpSecret,
+        totpPendingSecret,
+        totpLastUsedStep,
+        recoveryCodeHashes,
+        ...publicUser
+    } = user;
+
+    return {
+        ...publicUser,
+        twoFactorEnabled: Boolean(totpSecret),
+        recoveryCodesRemaining: totpSecret ? (recoveryCodeHashes || []).length : 0
+    };
+}
+
 // =============================================================================
-// DATA MANAGEMENT
+// SESSION MANAGEMENT
 // =============================================================================
 
-const DATA_FILE = path.join(__dirname, 'data', 'data.json');
+const SESSION_COOKIE_NAME = 'proteusbox_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-// Directory for markdown project files
-const PROJECT_DIR = path.join(__dirname, 'data', 'projects');
+// Active admin sessions keyed by token (in-memory, cleared on restart)
+const sessions = new Map();
 
-function ensureProjectDir() {
-    try {
-        if (!fs.existsSync(PROJECT_DIR)) {
-            fs.mkdirSync(PROJECT_DIR, { recursive: true });
+/**
+ * Parse the Cookie header into a plain object
+ * @param {Object} req - Express request object
+ * @returns {Object} - Cookie name/value pairs
+ */
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const separatorIndex = pair.indexOf('=');
+        if (separatorIndex === -1) return;
+        const name = pair.slice(0, separatorIndex).trim();
+        const value = pair.slice(separatorIndex + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+/**
+ * Remove expired sessions from the session store
+ */
+function pruneExpiredSessions() {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (session.expiresAt <= now) {
+            sessions.delete(token);
         }
-    } catch (error) {
-        console.error('Error ensuring project directory:', error);
     }
 }
 
-// Ensure on startup
-ensureProjectDir();
+/**
+ * Create a new session for a user
+ * @param {Object} req - Express request object
+ * @param {Object} user - Authenticated user account
+ * @returns {Object} - Session object including its token
+ */
+function createSession(req, user) {
+    pruneExpiredSessions();
 
-// Default data structure
-let data = {
-    links: [],
-    categories: [],
-    nextId: 1,
-    nextCategoryId: 1,
-    homepageMessage: 'Welcome to your local network hub',
-    siteTitle: 'Local Network Hub',
-    chatConfig: {
-        provider: 'flowise', // default provider
-        apiUrl: '',
-        chatflowId: '',
-        ollamaBaseUrl: '',
-        ollamaModel: ''
-    },
-    filterConfig: { 
-        enabled: false, 
-        keyword: '</think>' 
-    },
-    colorConfig: {
-        primaryColor: '#330099'
-    }
-};
+    const now = Date.now();
+    const session = {
+        token: crypto.randomBytes(32).toString('hex'),
+        userId: user.id,
+        createdAt: now,
+        expiresAt: now + SESSION_TTL_MS,
+        ip: req.ip,
+        mustChangePassword: isUsingDefaultPassword(user)
+    };
+
+    sessions.set(session.token, session);
+    return session;
+}
 
 /**
- * Ensure default NAVIGATION category exists
+ * Look up the valid session attached to a request
+ * The session's user account is resolved on every call so role changes apply immediately
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Session object (with `user`) or null if missing/expired
  */
-function ensureNavigationCategory() {
-    // Check if NAVIGATION category already exists
-    const navigationExists = data.categories.some(cat => cat.name === 'NAVIGATION' && cat.isDefault);
-    
-    if (!navigationExists) {
-        // Create default NAVIGATION category
-        const navigationCategory = {
-            id: -1, // Use negative ID to distinguish from user categories
-            name: 'NAVIGATION',
-            private: false,
-            order: -1, // Ensure it appears first
-            isDefault: true, // Mark as default category
-            createdAt: new Date().toISOString()
-        };
-        
-        // Add to beginning of categories array
-        data.categories.unshift(navigationCategory);
-        
-        // Update nextCategoryId to avoid conflicts
-        if (data.nextCategoryId <= 0) {
-            data.nextCategoryId = 1;
-        }
-        
-        console.log('Created default NAVIGATION category');
+function getSession(req) {
+    // An identity asserted by a trusted proxy takes precedence over any cookie
+    const forwardAuthSession = getForwardAuthSession(req);
+    if (forwardAuthSession) return forwardAuthSession;
+
+    const token = parseCookies(req)[SESSION_COOKIE_NAME];
+    if (!token) return null;
+
+    const session = sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+
+    const user = authData.users.find(u => u.id === session.userId);
+    if (!user) {
+        sessions.delete(token);
+        return null;
     }
+
+    session.user = user;
+    return session;
 }
 
 /**
- * Load data from JSON file with proper error handling
+ * Set the session cookie on a response
+ * @param {Object} res - Express response object
+ * @param {Object} session - Session object
  */
-function loadData() {
-    try {
-        const dataDir = path.dirname(DATA_FILE);
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
-        
-        if (fs.existsSync(DATA_FILE)) {
-            const fileContent = fs.readFileSync(DATA_FILE, 'utf8');
-            const loadedData = JSON.parse(fileContent);
+function setSessionCookie(res, session) {
+    res.cookie(SESSION_COOKIE_NAME, session.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.SESSION_COOKIE_SECURE === 'true',
+        path: '/',
+        maxAge: SESSION_TTL_MS
+    });
+}
 
-            // Merge top-level fields
-            data = { ...data, ...loadedData };
+/**
+ * Clear the session cookie on a response
+ * @param {Object} res - Express response object
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE_NAME, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.SESSION_COOKIE_SECURE === 'true',
+        path: '/'
+    });
+}
 
-            // Deep-merge nested config objects to preserve new keys added in future versions
-            if (loadedData.chatConfig) {
-                data.chatConfig = { ...data.chatConfig, ...loadedData.chatConfig };
-            }
-            if (loadedData.filterConfig) {
-                data.filterConfig = { ...data.filterConfig, ...loadedData.filterConfig };
-            }
-            if (loadedData.colorConfig) {
-                data.colorConfig = { ...data.colorConfig, ...loadedData.colorConfig };
-            }
+/**
+ * Revoke every session belonging to a user
+ * @param {number} userId - User account ID
+ * @param {string} keepToken - Token of a session to keep (optional)
+ */
+function revokeUserSessions(userId, keepToken) {
+    for (const [token, session] of sessions) {
+        if (session.userId === userId && token !== keepToken) {
+            sessions.delete(token);
         }
-        
-        // Ensure default NAVIGATION category exists
-        ensureNavigationCategory();
-        
-        console.log('Data loaded successfully');
-    } catch (error) {
-        console.error('Error loading data:', error);
-        console.log('Using default data structure');
     }
 }
 
 /**
- * Save data to JSON file with proper error handling
+ * Middleware rejecting requests without a valid session
+ * Sessions pending a forced password change are allowed through
  */
-function saveData() {
-    try {
-        const dataDir = path.dirname(DATA_FILE);
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
-        
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error('Error saving data:', error);
+function requireSession(req, res, next) {
+    const session = getSession(req);
+    if (!session) {
+        return res.status(401).json(createApiResponse(false, null, 'Authentication required'));
     }
+
+    req.session = session;
+    req.user = session.user;
+    next();
+}
+
+/**
+ * Create middleware rejecting requests from users below the given role
+ * Requests carrying an API token are accepted only when a scope is given and
+ * the token holds it; routes without a scope are session-only
+ * @param {string} role - Minimum required role ('viewer', 'editor' or 'admin')
+ * @param {string} scope - API token scope accepted by the route (optional)
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role, scope) {
+    return (req, res, next) => {
+        if (getBearerToken(req) !== null) {
+            return requireApiToken(req, res, () => {
+                if (!scope) {
+                    return res.status(403).json(createApiResponse(false, null, 'This endpoint does not accept API tokens'));
+                }
+                if (!req.apiToken.scopes.includes(scope)) {
+                    return res.status(403).json(createApiResponse(false, null, `API token lacks the "${scope}" scope`));
+                }
+                if (!hasRole(req.user, role)) {
+                    return res.status(403).json(createApiResponse(false, null, 'Insufficient permissions'));
+                }
+                next();
+            });
+        }
+
+        requireSession(req, res, () => {
+            if (req.session.mustChangePassword) {
+                return res.status(403).json(createApiResponse(false, null, 'Password change required'));
+            }
+            if (!hasRole(req.user, role)) {
+                return res.status(403).json(createApiResponse(false, null, 'Insufficient permissions'));
+            }
+            next();
+        });
+    };
 }
 
 // =============================================================================
-// UTILITY FUNCTIONS
+// FORWARD AUTHENTICATION (TRUSTED REVERSE PROXY)
 // =============================================================================
 
+// Forward auth is enabled by listing the proxies allowed to assert identities
+const FORWARD_AUTH_TRUSTED_PROXIES = parseList(process.env.FORWARD_AUTH_TRUSTED_PROXIES);
+const FORWARD_AUTH_HEADER = (process.env.FORWARD_AUTH_HEADER || 'Remote-User').toLowerCase();
+const FORWARD_AUTH_GROUPS_HEADER = (process.env.FORWARD_AUTH_GROUPS_HEADER || 'Remote-Groups').toLowerCase();
+const FORWARD_AUTH_ADMIN_USERS = parseList(process.env.FORWARD_AUTH_ADMIN_USERS).map(name => name.toLowerCase());
+const FORWARD_AUTH_ADMIN_GROUPS = parseList(process.env.FORWARD_AUTH_ADMIN_GROUPS);
+const FORWARD_AUTH_DEFAULT_ROLE = USER_ROLES.includes(process.env.FORWARD_AUTH_DEFAULT_ROLE)
+    ? process.env.FORWARD_AUTH_DEFAULT_ROLE
+    : 'viewer';
+const FORWARD_AUTH_LOGOUT_URL = process.env.FORWARD_AUTH_LOGOUT_URL || null;
+// Proxies commonly pass e-mail addresses, so allow a wider set than local usernames
+const FORWARD_AUTH_USERNAME_PATTERN = /^[a-zA-Z0-9._@+-]{1,128}$/;
+
 /**
- * Create HTTP/HTTPS request options from URL
- * @param {string} url - URL to parse
- * @param {string} method - HTTP method (GET, HEAD, POST, etc.)
- * @param {Object} additionalHeaders - Additional headers to include
- * @returns {Object} - Request options object
+ * Split a comma-separated setting into trimmed, non-empty entries
+ * @param {string} value - Raw setting value
+ * @returns {Array<string>} - List entries
  */
-function createHttpOptions(url, method = 'GET', additionalHeaders = {}) {
-    const parsedUrl = new URL(url);
-    return {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-        path: parsedUrl.pathname + parsedUrl.search,
-        method,
-        headers: {
-            'User-Agent': 'LocalNetworkHub/1.0',
-            ...additionalHeaders
-        }
-    };
+function parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
 }
 
 /**
- * Make HTTP/HTTPS request with timeout and error handling
- * @param {string} url - URL to request
- * @param {Object} options - Request options
- * @param {number} timeout - Request timeout in milliseconds
- * @returns {Promise} - Promise that resolves with response or rejects with error
+ * Convert a dotted IPv4 address to an unsigned integer
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} - Address as integer, or null if not IPv4
  */
-function makeHttpRequest(url, options = {}, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-        try {
-            const parsedUrl = new URL(url);
-            const client = parsedUrl.protocol === 'https:' ? https : http;
-            
-            const requestOptions = {
-                ...createHttpOptions(url, options.method, options.headers),
-                timeout
-            };
-            
-            const req = client.request(requestOptions, (res) => {
-                resolve(res);
-            });
-            
-            req.on('error', (error) => {
-                reject(error);
-            });
-            
-            req.on('timeout', () => {
-                req.destroy();
-                reject(new Error('Request timeout'));
-            });
-            
-            req.setTimeout(timeout);
-            req.end();
-            
-        } catch (error) {
-            reject(error);
+function ipv4ToInt(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+        return null;
+    }
+    return parts.reduce((acc, part) => acc * 256 + Number(part), 0);
+}
+
+/**
+ * Check whether the directly connected peer is a configured trusted proxy
+ * Entries may be exact addresses or IPv4 CIDR ranges (e.g. 172.18.0.0/16).
+ * X-Forwarded-For is deliberately ignored: only the socket address counts.
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the peer may assert identities
+ */
+function isTrustedProxy(req) {
+    const peer = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+
+    return FORWARD_AUTH_TRUSTED_PROXIES.some(entry => {
+        if (!entry.includes('/')) {
+            return entry.replace(/^::ffff:/, '') === peer;
         }
+
+        const [range, bits] = entry.split('/');
+        const rangeInt = ipv4ToInt(range);
+        const peerInt = ipv4ToInt(peer);
+        const prefix = parseInt(bits);
+        if (rangeInt === null || peerInt === null || !(prefix >= 0 && prefix <= 32)) {
+            return false;
+        }
+
+        const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+        return ((rangeInt & mask) >>> 0) === ((peerInt & mask) >>> 0);
     });
 }
 
 /**
- * Check website status via HTTP/HTTPS HEAD request
- * @param {string} url - URL to check
- * @returns {Promise<boolean>} - True if site is accessible
+ * Map a proxy-asserted identity to a role
+ * @param {string} username - Username from the identity header
+ * @param {Array<string>} groups - Groups from the groups header
+ * @returns {string} - 'admin' or the configured default role
  */
-async function checkWebsiteStatus(url) {
-    try {
-        const response = await makeHttpRequest(url, { method: 'HEAD' }, 5000);
-        return response.statusCode >= 200 && response.statusCode < 400;
-    } catch (error) {
-        return false;
-    }
+function mapForwardAuthRole(username, groups) {
+    if (FORWARD_AUTH_ADMIN_USERS.includes(username.toLowerCase())) return 'admin';
+    if (groups.some(group => FORWARD_AUTH_ADMIN_GROUPS.includes(group))) return 'admin';
+    return FORWARD_AUTH_DEFAULT_ROLE;
 }
 
 /**
- * Validate required fields in request body
- * @param {Object} body - Request body object
- * @param {Array} requiredFields - Array of required field names
- * @returns {Object} - Validation result with success flag and error message
+ * Resolve the account for a proxy-asserted identity
+ * A local account with the same username is used as-is (keeping its own role);
+ * otherwise a proxy-managed account is provisioned and its role kept in sync
+ * with the proxy on every request.
+ * @param {string} username - Username from the identity header
+ * @param {Array<string>} groups - Groups from the groups header
+ * @returns {Object} - User account
  */
-function validateRequiredFields(body, requiredFields) {
-    const missingFields = requiredFields.filter(field => !body[field] || !body[field].toString().trim());
-    
-    if (missingFields.length > 0) {
-        return {
-            success: false,
-            error: `Missing required fields: ${missingFields.join(', ')}`
+function resolveForwardAuthUser(username, groups) {
+    const role = mapForwardAuthRole(username, groups);
+    let user = findUserByUsername(username);
+
+    if (!user) {
+        user = {
+            id: authData.nextUserId++,
+            username,
+            role,
+            passwordHash: null,
+            authSource: 'forward-auth',
+            createdAt: new Date().toISOString()
         };
+        authData.users.push(user);
+        saveAuthData();
+        console.log(`Provisioned forward-auth user "${username}" with role "${role}"`);
+    } else if (user.authSource === 'forward-auth' && user.role !== role) {
+        console.log(`Forward-auth user "${username}" role changed from "${user.role}" to "${role}"`);
+        user.role = role;
+        user.updatedAt = new Date().toISOString();
+        saveAuthData();
     }
-    
-    return { success: true };
+
+    return user;
 }
 
 /**
- * Create standardized API response
- * @param {boolean} success - Success flag
- * @param {Object} data - Response data
- * @param {string} error - Error message (if any)
- * @returns {Object} - Standardized response object
+ * Build a per-request session from a trusted proxy's identity header
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Session object (with `user`) or null if not applicable
  */
-function createApiResponse(success, data = null, error = null) {
-    const response = { success };
-    
-    if (success && data) {
-        Object.assign(response, data);
+function getForwardAuthSession(req) {
+    if (FORWARD_AUTH_TRUSTED_PROXIES.length === 0) return null;
+
+    const username = (req.headers[FORWARD_AUTH_HEADER] || '').toString().trim();
+    if (!username || !isTrustedProxy(req)) return null;
+
+    if (!FORWARD_AUTH_USERNAME_PATTERN.test(username)) {
+        console.warn(`Ignoring forward-auth identity with unsupported username: ${JSON.stringify(username)}`);
+        return null;
     }
-    
-    if (!success && error) {
-        response.error = error;
+
+    const groups = parseList(req.headers[FORWARD_AUTH_GROUPS_HEADER]);
+    const user = resolveForwardAuthUser(username, groups);
+
+    return {
+        token: null,
+        userId: user.id,
+        createdAt: Date.now(),
+        expiresAt: null,
+        ip: req.ip,
+        mustChangePassword: false,
+        forwardAuth: true,
+        user
+    };
+}
+
+// =============================================================================
+// API TOKENS
+// =============================================================================
+
+const API_TOKEN_PREFIX = 'pbx_';
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Token scopes and the minimum role the token owner needs for each
+const API_TOKEN_SCOPES = {
+    'links:read': 'viewer',
+    'links:write': 'editor',
+    'categories:read': 'viewer',
+    'categories:write': 'editor',
+    'projects:read': 'viewer',
+    'projects:write': 'editor',
+    'config:write': 'admin'
+};
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Raw token or null if no bearer credentials were sent
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization');
+    if (!header) return null;
+
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Hash a raw API token for storage and lookup
+ * @param {string} token - Raw API token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the token hash before sending token metadata to a client
+ * @param {Object} apiToken - Stored API token record
+ * @returns {Object} - Public token fields
+ */
+function sanitizeApiToken(apiToken) {
+    const { tokenHash, ...publicToken } = apiToken;
+    const owner = authData.users.find(user => user.id === apiToken.userId);
+    return { ...publicToken, username: owner ? owner.username : null };
+}
+
+/**
+ * Resolve the API token and owner for a request
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - { apiToken, user } or null if the token is unknown/expired
+ */
+function findApiToken(req) {
+    const rawToken = getBearerToken(req);
+    if (!rawToken) return null;
+
+    const tokenHash = hashApiToken(rawToken);
+    const apiToken = authData.apiTokens.find(t => t.tokenHash === tokenHash);
+    if (!apiToken) return null;
+
+    if (apiToken.expiresAt && new Date(apiToken.expiresAt).getTime() <= Date.now()) {
+        return null;
     }
-    
-    return response;
+
+    const user = authData.users.find(u => u.id === apiToken.userId);
+    if (!user) return null;
+
+    return { apiToken, user };
 }
 
 /**
- * Handle API errors consistently
+ * Middleware rejecting requests without a valid API token
+ * Records the token's last-used time (at most once a minute to limit disk writes)
+ */
+function requireApiToken(req, res, next) {
+    const match = findApiToken(req);
+    if (!match) {
+        return res.status(401).json(createApiResponse(false, null, 'Invalid or expired API token'));
+    }
+
+    const now = Date.now();
+    const lastUsed = match.apiToken.lastUsedAt ? new Date(match.apiToken.lastUsedAt).getTime() : 0;
+    if (now - lastUsed >= API_TOKEN_TOUCH_INTERVAL_MS || match.apiToken.lastUsedIp !== req.ip) {
+        match.apiToken.lastUsedAt = new Date(now).toISOString();
+        match.apiToken.lastUsedIp = req.ip;
+        saveAuthData();
+    }
+
+    req.apiToken = match.apiToken;
+    req.user = match.user;
+    next();
+}
+
+// =============================================================================
+// CSRF PROTECTION
+// =============================================================================
+
+const CSRF_HEADER = 'x-csrf-token';
+const STATE_CHANGING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Per-process secret; sessions are in-memory too, so tokens never outlive it
+const CSRF_SECRET = crypto.randomBytes(32);
+// Hostnames (optionally with port) browsers may submit changes from, e.g. "hub.lan,192.168.1.10:7111"
+const ALLOWED_HOSTS = parseList(process.env.ALLOWED_HOSTS)
+    .map(entry => entry.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '').toLowerCase());
+
+/**
+ * Derive the CSRF token bound to a session
+ * Forward-auth sessions are rebuilt per request, so theirs is bound to the user instead
+ * @param {Object} session - Session object
+ * @returns {string} - CSRF token
+ */
+function getCsrfToken(session) {
+    const subject = session.forwardAuth ? `forward-auth:${session.userId}` : `session:${session.token}`;
+    return crypto.createHmac('sha256', CSRF_SECRET).update(subject).digest('hex');
+}
+
+/**
+ * Check the Origin (or Referer) of a request against the allowed hostnames
+ * Requests without either header come from non-browser clients and are allowed.
+ * Without ALLOWED_HOSTS configured, only the request's own Host is accepted.
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the request may proceed
+ */
+function isAllowedOrigin(req) {
+    const source = req.headers.origin || req.headers.referer;
+    if (!source) return true;
+
+    let url;
+    try {
+        url = new URL(source);
+    } catch (error) {
+        // Includes the opaque "null" origin sent by sandboxed frames
+        return false;
+    }
+
+    const host = url.host.toLowerCase();
+    if (ALLOWED_HOSTS.length === 0) {
+        return host === (req.headers.host || '').toLowerCase();
+    }
+    return ALLOWED_HOSTS.includes(host) || ALLOWED_HOSTS.includes(url.hostname.toLowerCase());
+}
+
+/**
+ * Middleware rejecting cross-site state-changing requests
+ * Checks Origin/Referer on every change and requires the session's CSRF token
+ * in the X-CSRF-Token header whenever cookie (or proxy) credentials are present.
+ * Bearer-token requests skip the token check since browsers never send them on their own.
+ */
+function csrfProtection(req, res, next) {
+    if (!STATE_CHANGING_METHODS.includes(req.method)) return next();
+
+    if (!isAllowedOrigin(req)) {
+        console.warn(`Rejected cross-origin ${req.method} ${req.originalUrl} from ${req.headers.origin || req.headers.referer}`);
+        return res.status(403).json(createApiResponse(false, null, 'Cross-origin request rejected'));
+    }
+
+    if (getBearerToken(req) !== null) return next();
+
+    const session = getSession(req);
+    if (!session) return next();
+
+    const provided = (req.headers[CSRF_HEADER] || '').toString();
+    const expected = getCsrfToken(session);
+    if (provided.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))) {
+        res.set('X-CSRF-Rejected', '1');
+        return res.status(403).json(createApiResponse(false, null, 'Invalid or missing CSRF token'));
+    }
+
+    next();
+}
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// =============================================================================
+
+const TOTP_ISSUER = 'ProteusBox';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+// Ten hex digits once dashes and spaces are stripped
+const RECOVERY_CODE_PATTERN = /^[0-9a-f]{10}$/;
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Logins that passed the password check and await a second factor: token -> { userId, expiresAt, attempts }
+const twoFactorChallenges = new Map();
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a TOTP code for a given time step (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 shared secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded numeric code
+ */
+function generateTotpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, rejecting codes from already-used time steps
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Last accepted time step (optional)
+ * @returns {number|null} - Matched time step or null if invalid
+ */
+function verifyTotpCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let offset = -TOTP_DRIFT_STEPS; offset <= TOTP_DRIFT_STEPS; offset++) {
+        const step = currentStep + offset;
+        if (step <= lastUsedStep) continue;
+
+        const expected = generateTotpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps enroll from
+ * @param {Object} user - User account
+ * @param {string} secret - Base32 shared secret
+ * @returns {string} - otpauth URI
+ */
+function buildTotpUri(user, secret) {
+    const issuer = data.siteTitle || TOTP_ISSUER;
+    const label = encodeURIComponent(`${issuer}:${user.username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Normalize a recovery code as typed (any case, with or without the dash)
+ * @param {string} code - Recovery code
+ * @returns {string} - Lowercase letters and digits only
+ */
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * Uses bcrypt like passwords: with only 40 bits of entropy a fast hash could be brute-forced offline
+ * @param {string} code - Plaintext recovery code
+ * @returns {Promise<string>} - bcrypt hash of the normalized code
+ */
+function hashRecoveryCode(code) {
+    return bcrypt.hash(normalizeRecoveryCode(code), 10);
+}
+
+/**
+ * Find the stored hash an unused recovery code matches
+ * @param {Object} user - User account
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} - Matching stored hash, or null
+ */
+async function findRecoveryCodeHash(user, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!RECOVERY_CODE_PATTERN.test(normalized)) return null;
+
+    for (const codeHash of user.recoveryCodeHashes || []) {
+        if (await bcrypt.compare(normalized, codeHash)) return codeHash;
+    }
+    return null;
+}
+
+/**
+ * Generate a fresh set of single-use recovery codes for a user
+ * Only the hashes are kept on the user; the plaintext codes are returned once
+ * @param {Object} user - User account
+ * @returns {Promise<Array<string>>} - Plaintext recovery codes
+ */
+async function issueRecoveryCodes(user) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    user.recoveryCodeHashes = await Promise.all(codes.map(hashRecoveryCode));
+    return codes;
+}
+
+/**
+ * Verify a second factor (TOTP or unused recovery code) for a user
+ * Consumes recovery codes and records the TOTP step to prevent replay
+ * @param {Object} user - User account with 2FA enabled
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} - True if the code is valid
+ */
+async function verifySecondFactor(user, code) {
+    const step = verifyTotpCode(user.totpSecret, code, user.totpLastUsedStep);
+    if (step !== null) {
+        user.totpLastUsedStep = step;
+        saveAuthData();
+        return true;
+    }
+
+    const codeHash = await findRecoveryCodeHash(user, code);
+    // Looked up again: a parallel request may have used the same code while this one was comparing
+    const recoveryIndex = codeHash === null ? -1 : (user.recoveryCodeHashes || []).indexOf(codeHash);
+    if (recoveryIndex !== -1) {
+        user.recoveryCodeHashes.splice(recoveryIndex, 1);
+        saveAuthData();
+        console.log(`Recovery code used by "${user.username}" (${user.recoveryCodeHashes.length} remaining)`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Clear all two-factor settings from a user account
+ * @param {Object} user - User account
+ */
+function clearTwoFactor(user) {
+    delete user.totpSecret;
+    delete user.totpPendingSecret;
+    delete user.totpLastUsedStep;
+    delete user.recoveryCodeHashes;
+}
+
+/**
+ * Create a short-lived challenge for a login awaiting its second factor
+ * @param {Object} user - User account that passed the password check
+ * @returns {string} - Challenge token
+ */
+function createTwoFactorChallenge(user) {
+    const now = Date.now();
+    for (const [token, challenge] of twoFactorChallenges) {
+        if (challenge.expiresAt <= now) {
+            twoFactorChallenges.delete(token);
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    twoFactorChallenges.set(token, {
+        userId: user.id,
+        expiresAt: now + TWO_FACTOR_CHALLENGE_TTL_MS,
+        attempts: 0
+    });
+
+    return token;
+}
+
+// =============================================================================
+// LOGIN THROTTLING
+// =============================================================================
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const LOGIN_GLOBAL_MAX_FAILURES = parseInt(process.env.LOGIN_GLOBAL_MAX_FAILURES) || 50;
+const LOGIN_BACKOFF_BASE_MS = 1000;
+const LOGIN_BACKOFF_MAX_MS = 60 * 1000;
+const FAILED_LOGIN_HISTORY_LIMIT = 200;
+
+// Per-IP failure counters: ip -> { failures, lastFailureAt, lockedUntil, usernames }
+// where usernames counts the failures per (lowercased) account they were made for
+const loginThrottle = new Map();
+
+// IPs with a password check in progress. Failures are only counted once bcrypt answers,
+// so attempts are serialized per IP to keep a parallel burst from slipping past the limits.
+const pendingLoginAttempts = new Set();
+
+/**
+ * Get the throttle state for an IP, resetting it once the lockout window has passed
+ * @param {string} ip - Client IP address
+ * @returns {Object|null} - Throttle state or null if the IP has no recent failures
+ */
+function getLoginThrottleState(ip) {
+    const state = loginThrottle.get(ip);
+    if (!state) return null;
+
+    const now = Date.now();
+    const lockoutExpired = state.lockedUntil && state.lockedUntil <= now;
+    const failuresStale = now - state.lastFailureAt > LOGIN_LOCKOUT_MS;
+
+    if (lockoutExpired || failuresStale) {
+        loginThrottle.delete(ip);
+        return null;
+    }
+
+    return state;
+}
+
+/**
+ * Calculate how long a client must wait before its next login attempt
+ * Combines per-IP exponential backoff/lockout with a global failure ceiling
+ * @param {string} ip - Client IP address
+ * @returns {number} - Milliseconds to wait (0 if an attempt is allowed now)
+ */
+function getLoginRetryDelay(ip) {
+    const now = Date.now();
+    let delay = 0;
+
+    // Global ceiling across all clients within the lockout window
+    const recentFailures = authData.failedLogins
+        .map(entry => new Date(entry.timestamp).getTime())
+        .filter(time => now - time < LOGIN_LOCKOUT_MS);
+    if (recentFailures.length >= LOGIN_GLOBAL_MAX_FAILURES) {
+        delay = Math.min(...recentFailures) + LOGIN_LOCKOUT_MS - now;
+    } else if (recentFailures.length + pendingLoginAttempts.size >= LOGIN_GLOBAL_MAX_FAILURES) {
+        // The attempts still being checked could all fail and reach the ceiling
+        delay = LOGIN_BACKOFF_BASE_MS;
+    }
+
+    if (pendingLoginAttempts.has(ip)) {
+        delay = Math.max(delay, LOGIN_BACKOFF_BASE_MS);
+    }
+
+    const state = getLoginThrottleState(ip);
+    if (state) {
+        if (state.lockedUntil) {
+            delay = Math.max(delay, state.lockedUntil - now);
+        } else {
+            const backoff = Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (state.failures - 1), LOGIN_BACKOFF_MAX_MS);
+            delay = Math.max(delay, state.lastFailureAt + backoff - now);
+        }
+    }
+
+    return Math.max(delay, 0);
+}
+
+/**
+ * Record a failed login attempt for throttling and the persisted history
+ * @param {Object} req - Express request object
+ * @param {string} username - Username the attempt was made for
+ */
+function recordFailedLogin(req, username) {
+    const now = Date.now();
+    const state = getLoginThrottleState(req.ip) || { failures: 0, lastFailureAt: 0, lockedUntil: null, usernames: {} };
+    const account = (username || '').toLowerCase();
+
+    state.failures++;
+    state.usernames[account] = (state.usernames[account] || 0) + 1;
+    state.lastFailureAt = now;
+    if (state.failures >= LOGIN_MAX_FAILURES) {
+        state.lockedUntil = now + LOGIN_LOCKOUT_MS;
+        console.warn(`Admin login locked for ${req.ip} after ${state.failures} failed attempts`);
+    }
+    loginThrottle.set(req.ip, state);
+
+    authData.failedLogins.push({
+        ip: req.ip,
+        username: username || '',
+        timestamp: new Date(now).toISOString(),
+        userAgent: req.get('User-Agent') || ''
+    });
+    if (authData.failedLogins.length > FAILED_LOGIN_HISTORY_LIMIT) {
+        authData.failedLogins = authData.failedLogins.slice(-FAILED_LOGIN_HISTORY_LIMIT);
+    }
+    saveAuthData();
+}
+
+/**
+ * Forget an IP's failed attempts at an account after that account signed in
+ * Failures at other accounts keep counting, so signing in with one's own account
+ * between guesses at someone else's does not reset the backoff or lockout.
+ * @param {string} ip - Client IP address
+ * @param {string} username - Account that signed in
+ */
+function resetLoginThrottle(ip, username) {
+    const state = getLoginThrottleState(ip);
+    if (!state) return;
+
+    const account = username.toLowerCase();
+    state.failures -= state.usernames[account] || 0;
+    delete state.usernames[account];
+    if (state.failures <= 0) {
+        loginThrottle.delete(ip);
+    }
+}
+
+/**
+ * Respond with 429 if the client must wait before another login attempt
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {Error} error - Error object
- * @param {string} operation - Operation being performed
- * @param {number} statusCode - HTTP status code
+ * @returns {boolean} - True if the request was rejected
  */
-function handleApiError(res, error, operation, statusCode = 500) {
-    console.error(`${operation} error:`, error);
-    res.status(statusCode).json(createApiResponse(false, null, `Server error during ${operation}`));
+function rejectThrottledLogin(req, res) {
+    const retryAfterMs = getLoginRetryDelay(req.ip);
+    if (retryAfterMs <= 0) return false;
+
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json(createApiResponse(false, null,
+        `Too many failed login attempts. Try again in ${retryAfterSeconds} seconds`));
+    return true;
+}
+
+/**
+ * Check the throttle and hold the IP's attempt slot until releaseLoginAttempt
+ * Use for attempts that await a password check; the caller must release the slot when done.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if the attempt may go ahead (false means a 429 was sent)
+ */
+function reserveLoginAttempt(req, res) {
+    if (rejectThrottledLogin(req, res)) return false;
+
+    pendingLoginAttempts.add(req.ip);
+    return true;
+}
+
+/**
+ * Free an IP's attempt slot once its failure (if any) has been recorded
+ * @param {string} ip - Client IP address
+ */
+function releaseLoginAttempt(ip) {
+    pendingLoginAttempts.delete(ip);
+}
+
+/**
+ * Rebuild per-IP throttle state from persisted failures so a restart
+ * does not lift an active lockout
+ */
+function restoreLoginThrottle() {
+    const now = Date.now();
+
+    authData.failedLogins.forEach(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        if (now - time >= LOGIN_LOCKOUT_MS) return;
+
+        const state = loginThrottle.get(entry.ip) || { failures: 0, lastFailureAt: 0, lockedUntil: null, usernames: {} };
+        const account = (entry.username || '').toLowerCase();
+        state.failures++;
+        state.usernames[account] = (state.usernames[account] || 0) + 1;
+        state.lastFailureAt = Math.max(state.lastFailureAt, time);
+        if (state.failures >= LOGIN_MAX_FAILURES) {
+            state.lockedUntil = state.lastFailureAt + LOGIN_LOCKOUT_MS;
+        }
+        loginThrottle.set(entry.ip, state);
+    });
+}
+
+// =============================================================================
+// DATA MIGRATIONS
+// =============================================================================
+
+// Bump together with a new entry in DATA_MIGRATIONS
+const CURRENT_SCHEMA_VERSION = 1;
+
+/**
+ * Ordered data migrations
+ * Each one upgrades data from `version - 1` to `version` in place and returns
+ * human-readable descriptions of what it changed, which are logged on boot.
+ * Files written before versioning existed are treated as version 0.
+ */
+const DATA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize categories, link category IDs and ID counters',
+        migrate(target) {
+            const changes = [];
+
+            target.categories.forEach((category, index) => {
+                if (typeof category.private !== 'boolean') {
+                    category.private = Boolean(category.private);
+                    changes.push(`Category "${category.name}": set private to ${category.private}`);
+                }
+                if (typeof category.order !== 'number') {
+                    category.order = index;
+                    changes.push(`Category "${category.name}": set order to ${index}`);
+                }
+            });
+
+            const categoryIds = new Set(target.categories.map(category => category.id));
+            target.links.forEach(link => {
+                const categoryId = link.categoryId === undefined || link.categoryId === null || link.categoryId === ''
+                    ? null
+                    : parseInt(link.categoryId);
+                const normalized = categoryId !== null && categoryIds.has(categoryId) ? categoryId : null;
+                if (normalized !== link.categoryId) {
+                    changes.push(`Link "${link.name}": category ${JSON.stringify(link.categoryId)} -> ${JSON.stringify(normalized)}`);
+                    link.categoryId = normalized;
+                }
+            });
+
+            const nextLinkId = Math.max(0, ...target.links.map(link => link.id || 0)) + 1;
+            if (!(target.nextId >= nextLinkId)) {
+                changes.push(`nextId ${target.nextId} -> ${nextLinkId}`);
+                target.nextId = nextLinkId;
+            }
+            const nextCategoryId = Math.max(0, ...target.categories.map(category => category.id || 0)) + 1;
+            if (!(target.nextCategoryId >= nextCategoryId)) {
+                changes.push(`nextCategoryId ${target.nextCategoryId} -> ${nextCategoryId}`);
+                target.nextCategoryId = nextCategoryId;
+            }
+
+            return changes;
+        }
+    }
+];
+
+/**
+ * Get the schema version of a data object
+ * @param {Object} loadedData - Parsed data file
+ * @returns {number} - Schema version (0 for unversioned files)
+ */
+function getSchemaVersion(loadedData) {
+    return Number.isInteger(loadedData.schemaVersion) ? loadedData.schemaVersion : 0;
 }
 
-// =============================================================================
-// API ROUTES - AUTHENTICATION
-// =============================================================================
+/**
+ * Upgrade a data object to the current schema, one migration at a time
+ * @param {Object} loadedData - Parsed data file (modified in place)
+ * @param {string} source - Where the data came from, for log messages
+ * @returns {Array<number>} - Versions of the migrations that were applied
+ * @throws {Error} - If the data was written by a newer, unsupported version
+ */
+function migrateData(loadedData, source) {
+    const fromVersion = getSchemaVersion(loadedData);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`${source} uses data schema v${fromVersion}, but this version of ProteusBox only supports up to v${CURRENT_SCHEMA_VERSION}. Please upgrade ProteusBox.`);
+    }
+
+    const pending = DATA_MIGRATIONS.filter(migration => migration.version > fromVersion);
+    pending.forEach(migration => {
+        const changes = migration.migrate(loadedData);
+        loadedData.schemaVersion = migration.version;
+
+        console.log(`Migrated ${source} to schema v${migration.version}: ${migration.description}`);
+        changes.forEach(change => console.log(`  - ${change}`));
+        if (changes.length === 0) {
+            console.log('  - no changes needed');
+        }
+    });
+
+    return pending.map(migration => migration.version);
+}
+
+// =============================================================================
+// DATA MANAGEMENT
+// =============================================================================
+
+// Directory holding data.json, auth.json and the other state files
+const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, 'data');
+
+const DATA_FILE = path.join(DATA_DIR, 'data.json');
+
+// Authentication state, kept out of data.json so it is never served to clients
+const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
+
+// Directory for markdown project files
+const PROJECT_DIR = path.join(DATA_DIR, 'projects');
+
+// Rolling timestamped copies of data.json
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BACKUP_INTERVAL_MS = (parseInt(process.env.BACKUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 20;
+const BACKUP_NAME_PATTERN = /^data-[0-9TZ-]+(-[a-z0-9]+)*\.json$/;
+
+function ensureProjectDir() {
+    try {
+        if (!fs.existsSync(PROJECT_DIR)) {
+            fs.mkdirSync(PROJECT_DIR, { recursive: true });
+        }
+    } catch (error) {
+        console.error('Error ensuring project directory:', error);
+    }
+}
+
+// Ensure on startup
+ensureProjectDir();
+
+// Default data structure
+let data = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    links: [],
+    categories: [],
+    nextId: 1,
+    nextCategoryId: 1,
+    homepageMessage: 'Welcome to your local network hub',
+    siteTitle: 'Local Network Hub',
+    chatConfig: {
+        provider: 'flowise', // default provider
+        apiUrl: '',
+        chatflowId: '',
+        ollamaBaseUrl: '',
+        ollamaModel: ''
+    },
+    filterConfig: { 
+        enabled: false, 
+        keyword: '</think>' 
+    },
+    colorConfig: {
+        primaryColor: '#330099'
+    },
+    trash: [],
+    nextTrashId: 1
+};
+
+// Pristine copy of the defaults, used when replacing data wholesale (e.g. restoring a backup)
+const DEFAULT_DATA = structuredClone(data);
+
+/**
+ * Ensure default NAVIGATION category exists
+ */
+function ensureNavigationCategory() {
+    // Check if NAVIGATION category already exists
+    const navigationExists = data.categories.some(cat => cat.name === 'NAVIGATION' && cat.isDefault);
+    
+    if (!navigationExists) {
+        // Create default NAVIGATION category
+        const navigationCategory = {
+            id: -1, // Use negative ID to distinguish from user categories
+            name: 'NAVIGATION',
+            private: false,
+            order: -1, // Ensure it appears first
+            isDefault: true, // Mark as default category
+            createdAt: new Date().toISOString()
+        };
+        
+        // Add to beginning of categories array
+        data.categories.unshift(navigationCategory);
+        
+        // Update nextCategoryId to avoid conflicts
+        if (data.nextCategoryId <= 0) {
+            data.nextCategoryId = 1;
+        }
+        
+        console.log('Created default NAVIGATION category');
+    }
+}
+
+/**
+ * Write a file atomically: write a temp file, flush it to disk, then rename it
+ * over the target so readers only ever see the old or the new content
+ * @param {string} filePath - Destination file
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeFileSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, filePath);
+    } catch (error) {
+        fs.rmSync(tempFile, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Parse a data file, rejecting anything that is not a data object
+ * @param {string} filePath - File to read
+ * @returns {Object} - Parsed data
+ */
+function readDataFile(filePath) {
+    const loadedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!loadedData || typeof loadedData !== 'object' || !Array.isArray(loadedData.links) || !Array.isArray(loadedData.categories)) {
+        throw new Error('File does not contain hub data');
+    }
+    return loadedData;
+}
+
+/**
+ * Merge loaded data over the defaults
+ * @param {Object} loadedData - Parsed data file
+ */
+function applyLoadedData(loadedData) {
+    // Merge top-level fields
+    data = { ...data, ...loadedData };
+
+    // Deep-merge nested config objects to preserve new keys added in future versions
+    if (loadedData.chatConfig) {
+        data.chatConfig = { ...data.chatConfig, ...loadedData.chatConfig };
+    }
+    if (loadedData.filterConfig) {
+        data.filterConfig = { ...data.filterConfig, ...loadedData.filterConfig };
+    }
+    if (loadedData.colorConfig) {
+        data.colorConfig = { ...data.colorConfig, ...loadedData.colorConfig };
+    }
+
+    // Ensure default NAVIGATION category exists
+    ensureNavigationCategory();
+}
+
+/**
+ * List backups of data.json, newest first
+ * @returns {Array<string>} - Backup file names
+ */
+function listBackupFiles() {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+    return fs.readdirSync(BACKUP_DIR)
+        .filter(name => BACKUP_NAME_PATTERN.test(name))
+        .sort()
+        .reverse();
+}
+
+/**
+ * Copy the saved data into the backup directory (as JSON, whatever the backend) and prune old backups
+ * @param {string} label - Suffix describing why the backup was taken (optional)
+ * @returns {string|null} - Name of the new backup, or null if there was nothing to back up
+ */
+function createBackup(label) {
+    const content = storage.readSaved();
+    if (content === null) return null;
+
+    if (!fs.existsSync(BACKUP_DIR)) {
+        fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `data-${timestamp}${label ? `-${label}` : ''}.json`;
+    writeFileAtomic(path.join(BACKUP_DIR, name), content);
+
+    listBackupFiles().slice(BACKUP_KEEP).forEach(oldName => {
+        fs.rmSync(path.join(BACKUP_DIR, oldName), { force: true });
+    });
+
+    return name;
+}
+
+/**
+ * Back up the saved data if the newest backup is older than the backup interval
+ */
+function rotateBackups() {
+    const [newest] = listBackupFiles();
+    if (newest && Date.now() - fs.statSync(path.join(BACKUP_DIR, newest)).mtimeMs < BACKUP_INTERVAL_MS) {
+        return;
+    }
+
+    const name = createBackup();
+    if (name) {
+        console.log(`Created backup ${name}`);
+    }
+}
+
+/**
+ * Restore data from the newest backup that parses
+ * @returns {string|null} - Name of the restored backup, or null if none was usable
+ */
+function recoverFromBackup() {
+    for (const name of listBackupFiles()) {
+        try {
+            const backupData = readDataFile(path.join(BACKUP_DIR, name));
+            migrateData(backupData, `backup ${name}`);
+            applyLoadedData(backupData);
+            return name;
+        } catch (error) {
+            console.error(`Backup ${name} is not usable:`, error.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Load data from the storage backend with proper error handling
+ * Unreadable data is moved aside and the newest valid backup is restored
+ */
+function loadStoredData() {
+    const dataDir = path.dirname(DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    if (!storage.hasData()) {
+        ensureNavigationCategory();
+        console.log('No data file found, using default data structure');
+        return;
+    }
+
+    let loadedData = null;
+    try {
+        loadedData = storage.load();
+    } catch (error) {
+        console.error('Error loading data:', error);
+    }
+
+    if (loadedData) {
+        const fromVersion = getSchemaVersion(loadedData);
+        if (fromVersion < CURRENT_SCHEMA_VERSION) {
+            // Keep the pre-migration file so an upgrade can be rolled back
+            console.log(`Backed up data as ${createBackup(`pre-v${CURRENT_SCHEMA_VERSION}`)} before migrating from schema v${fromVersion}`);
+        }
+        // Throws, refusing to start, if the file was written by a newer version
+        const applied = migrateData(loadedData, path.basename(storage.location));
+
+        applyLoadedData(loadedData);
+        console.log('Data loaded successfully');
+        if (applied.length > 0) {
+            saveData();
+        } else {
+            rotateBackups();
+        }
+        return;
+    }
+
+    // Keep the unreadable file for inspection instead of overwriting it
+    const corruptFile = storage.quarantine();
+    console.error(`Moved unreadable data file to ${path.basename(corruptFile)}`);
+
+    const restoredBackup = recoverFromBackup();
+    if (restoredBackup) {
+        console.log(`Recovered data from backup ${restoredBackup}`);
+        saveData();
+    } else {
+        ensureNavigationCategory();
+        console.log('No valid backup found, using default data structure');
+    }
+}
+
+/**
+ * Open the storage backend and load the data, then apply the config file on top of it when there is one
+ */
+function loadData() {
+    storage = openStorage();
+    loadStoredData();
+    syncFromConfigFile();
+}
+
+/**
+ * Save data to the storage backend with proper error handling
+ * @param {Object} options - { skipConfigFile: don't write the change back to the config file }
+ */
+function saveData({ skipConfigFile = false } = {}) {
+    try {
+        const dataDir = path.dirname(DATA_FILE);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        
+        rotateBackups();
+        storage.save(data);
+    } catch (error) {
+        console.error('Error saving data:', error);
+    }
+
+    if (!skipConfigFile) {
+        writeConfigFile();
+    }
+
+    if (data.links.some(isLinkStatusStale)) {
+        scheduleStaleLinkChecks();
+    }
+}
+
+// Default authentication state structure
+let authData = {
+    users: [],
+    nextUserId: 1,
+    apiTokens: [],
+    nextApiTokenId: 1,
+    failedLogins: []
+};
+
+/**
+ * Load authentication state from its JSON file
+ */
+function loadAuthData() {
+    try {
+        if (fs.existsSync(AUTH_FILE)) {
+            const loadedAuthData = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+            authData = { ...authData, ...loadedAuthData };
+        }
+    } catch (error) {
+        console.error('Error loading auth data:', error);
+    }
+}
+
+/**
+ * Save authentication state to its JSON file
+ */
+function saveAuthData() {
+    try {
+        const dataDir = path.dirname(AUTH_FILE);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        
+        writeFileAtomic(AUTH_FILE, JSON.stringify(authData, null, 2));
+    } catch (error) {
+        console.error('Error saving auth data:', error);
+    }
+}
+
+// =============================================================================
+// STORAGE BACKENDS
+// =============================================================================
+
+// 'json' keeps everything in data.json and audit.log; 'sqlite' uses one local database file
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE
+    ? path.resolve(process.env.SQLITE_FILE)
+    : path.join(DATA_DIR, 'proteusbox.db');
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS categories (id INTEGER PRIMARY KEY, position INTEGER NOT NULL, record TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS links (id INTEGER PRIMARY KEY, position INTEGER NOT NULL, record TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS audit (id INTEGER PRIMARY KEY AUTOINCREMENT, entry TEXT NOT NULL);
+`;
+
+// Active backend, opened by loadData()
+let storage = null;
+
+/**
+ * Storage backend keeping the data object in data.json and the audit log in audit.log
+ * Every save rewrites the whole file.
+ * @returns {Object} - Storage backend
+ */
+function createJsonStorage() {
+    return {
+        name: 'json',
+        location: DATA_FILE,
+
+        hasData: () => fs.existsSync(DATA_FILE),
+
+        load: () => readDataFile(DATA_FILE),
+
+        save(currentData) {
+            writeFileAtomic(DATA_FILE, JSON.stringify(currentData, null, 2));
+        },
+
+        readSaved: () => fs.existsSync(DATA_FILE) ? fs.readFileSync(DATA_FILE, 'utf8') : null,
+
+        quarantine() {
+            const corruptFile = `${DATA_FILE}.corrupt-${Date.now()}`;
+            fs.renameSync(DATA_FILE, corruptFile);
+            return corruptFile;
+        },
+
+        appendAudit(entry) {
+            const dataDir = path.dirname(AUDIT_FILE);
+            if (!fs.existsSync(dataDir)) {
+                fs.mkdirSync(dataDir, { recursive: true });
+            }
+
+            fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+        },
+
+        /**
+         * Malformed lines (e.g. from a crash mid-append) are skipped.
+         */
+        readAudit() {
+            if (!fs.existsSync(AUDIT_FILE)) return [];
+
+            const entries = [];
+            fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    entries.push({ id: index + 1, ...JSON.parse(line) });
+                } catch (error) {
+                    console.warn(`Skipping malformed audit log line ${index + 1}`);
+                }
+            });
+
+            return entries;
+        }
+    };
+}
+
+/**
+ * Storage backend keeping the data object in a SQLite database
+ * Links and categories are stored one row each and settings one row per key;
+ * a save only writes the rows that changed since the last save, in one transaction.
+ * @param {string} filePath - Database file
+ * @returns {Object} - Storage backend
+ */
+function createSqliteStorage(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    let db = null;
+
+    // Rows as last read from or written to the database, keyed by ID (or setting key)
+    let saved = { settings: new Map(), categories: new Map(), links: new Map() };
+
+    const open = () => {
+        if (!db) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            db = new Database(filePath);
+            db.exec(SQLITE_SCHEMA);
+        }
+        return db;
+    };
+
+    const toRows = currentData => {
+        const { links, categories, ...settings } = currentData;
+        const byId = records => new Map(records.map((record, position) => [record.id, { position, record: JSON.stringify(record) }]));
+        return {
+            settings: new Map(Object.entries(settings).map(([key, value]) => [key, JSON.stringify(value)])),
+            categories: byId(categories),
+            links: byId(links)
+        };
+    };
+
+    const fromRows = rows => ({
+        ...Object.fromEntries([...rows.settings].map(([key, value]) => [key, JSON.parse(value)])),
+        links: [...rows.links.values()].sort((a, b) => a.position - b.position).map(row => JSON.parse(row.record)),
+        categories: [...rows.categories.values()].sort((a, b) => a.position - b.position).map(row => JSON.parse(row.record))
+    });
+
+    const isEmpty = rows => rows.settings.size === 0 && rows.categories.size === 0 && rows.links.size === 0;
+
+    const writeRows = next => {
+        const database = open();
+        database.transaction(() => {
+            const upsertSetting = database.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+            const deleteSetting = database.prepare('DELETE FROM settings WHERE key = ?');
+            next.settings.forEach((value, key) => {
+                if (saved.settings.get(key) !== value) upsertSetting.run(key, value);
+            });
+            saved.settings.forEach((value, key) => {
+                if (!next.settings.has(key)) deleteSetting.run(key);
+            });
+
+            ['categories', 'links'].forEach(table => {
+                const upsert = database.prepare(`INSERT INTO ${table} (id, position, record) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET position = excluded.position, record = excluded.record`);
+                const remove = database.prepare(`DELETE FROM ${table} WHERE id = ?`);
+                next[table].forEach((row, id) => {
+                    const previous = saved[table].get(id);
+                    if (!previous || previous.position !== row.position || previous.record !== row.record) {
+                        upsert.run(id, row.position, row.record);
+                    }
+                });
+                saved[table].forEach((row, id) => {
+                    if (!next[table].has(id)) remove.run(id);
+                });
+            });
+        })();
+        saved = next;
+    };
+
+    return {
+        name: 'sqlite',
+        location: filePath,
+
+        hasData: () => fs.existsSync(filePath),
+
+        load() {
+            const database = open();
+            const rows = {
+                settings: new Map(database.prepare('SELECT key, value FROM settings').all().map(row => [row.key, row.value])),
+                categories: new Map(database.prepare('SELECT id, position, record FROM categories').all().map(row => [row.id, { position: row.position, record: row.record }])),
+                links: new Map(database.prepare('SELECT id, position, record FROM links').all().map(row => [row.id, { position: row.position, record: row.record }]))
+            };
+            const loadedData = fromRows(rows);
+            saved = rows;
+            return loadedData;
+        },
+
+        save(currentData) {
+            writeRows(toRows(currentData));
+        },
+
+        readSaved: () => isEmpty(saved) ? null : JSON.stringify(fromRows(saved), null, 2),
+
+        quarantine() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+            saved = { settings: new Map(), categories: new Map(), links: new Map() };
+
+            const corruptFile = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptFile);
+            fs.rmSync(`${filePath}-journal`, { force: true });
+            return corruptFile;
+        },
+
+        appendAudit(entry) {
+            open().prepare('INSERT INTO audit (entry) VALUES (?)').run(JSON.stringify(entry));
+        },
+
+        readAudit() {
+            const entries = [];
+            open().prepare('SELECT id, entry FROM audit ORDER BY id').all().forEach(row => {
+                try {
+                    entries.push({ id: row.id, ...JSON.parse(row.entry) });
+                } catch (error) {
+                    console.warn(`Skipping malformed audit entry ${row.id}`);
+                }
+            });
+            return entries;
+        },
+
+        /**
+         * Import existing data and audit entries into an empty database in one transaction
+         * @param {Object} importedData - Data object
+         * @param {Array} auditEntries - Audit entries, oldest first
+         */
+        importAll(importedData, auditEntries) {
+            const database = open();
+            database.transaction(() => {
+                writeRows(toRows(importedData));
+                const insertAudit = database.prepare('INSERT INTO audit (entry) VALUES (?)');
+                auditEntries.forEach(({ id, ...entry }) => insertAudit.run(JSON.stringify(entry)));
+            })();
+        },
+
+        close() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+        }
+    };
+}
+
+/**
+ * Move data.json and audit.log into a new SQLite database
+ * The JSON files are renamed to *.migrated afterwards so they are not used by accident.
+ * @param {Object} sqlite - SQLite storage backend with no database file yet
+ */
+function migrateJsonToSqlite(sqlite) {
+    const json = createJsonStorage();
+    let legacyData;
+    try {
+        legacyData = json.load();
+    } catch (error) {
+        throw new Error(`Cannot move ${DATA_FILE} to SQLite, it could not be read: ${error.message}`);
+    }
+
+    const auditEntries = json.readAudit();
+    try {
+        sqlite.importAll(legacyData, auditEntries);
+    } catch (error) {
+        // Never leave a half-imported database behind, it would be taken for the real data next time
+        sqlite.close();
+        fs.rmSync(sqlite.location, { force: true });
+        throw error;
+    }
+
+    fs.renameSync(DATA_FILE, `${DATA_FILE}.migrated`);
+    if (fs.existsSync(AUDIT_FILE)) {
+        fs.renameSync(AUDIT_FILE, `${AUDIT_FILE}.migrated`);
+    }
+    console.log(`Moved ${legacyData.links.length} links, ${legacyData.categories.length} categories and ${auditEntries.length} audit entries from data.json into ${path.basename(sqlite.location)}`);
+}
+
+/**
+ * Open the backend selected by STORAGE_BACKEND, migrating data.json on the first SQLite start
+ * @returns {Object} - Storage backend
+ */
+function openStorage() {
+    if (STORAGE_BACKEND === 'json') {
+        return createJsonStorage();
+    }
+
+    if (STORAGE_BACKEND === 'sqlite') {
+        const sqlite = createSqliteStorage(SQLITE_FILE);
+        if (!sqlite.hasData() && fs.existsSync(DATA_FILE)) {
+            migrateJsonToSqlite(sqlite);
+        }
+        return sqlite;
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected json or sqlite)`);
+}
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+// Append-only JSON Lines file, one entry per mutation (JSON storage backend)
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const AUDIT_VALUE_MAX_LENGTH = 1000;
+const AUDIT_IGNORED_FIELDS = ['updatedAt'];
+const AUDIT_REDACTED_FIELD_PATTERN = /password|secret|token|hash|apikey/i;
+
+/**
+ * Describe who performed a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Actor username and how they authenticated
+ */
+function describeActor(req) {
+    let authMethod = 'session';
+    if (req.system) {
+        authMethod = 'system';
+    } else if (req.apiToken) {
+        authMethod = `token:${req.apiToken.name}`;
+    } else if (req.session && req.session.forwardAuth) {
+        authMethod = 'forward-auth';
+    }
+
+    return {
+        actor: req.user ? req.user.username : null,
+        authMethod
+    };
+}
+
+/**
+ * Shorten long values so a single entry stays readable
+ * @param {*} value - Value to store
+ * @returns {*} - Value, truncated if it is a long string
+ */
+function truncateAuditValue(value) {
+    if (typeof value === 'string' && value.length > AUDIT_VALUE_MAX_LENGTH) {
+        return `${value.slice(0, AUDIT_VALUE_MAX_LENGTH)}… (${value.length} chars)`;
+    }
+    return value;
+}
+
+/**
+ * Reduce a multi-line text change to the lines that actually differ
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Object} - First changed line number and the differing lines
+ */
+function diffText(before, after) {
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+
+    let start = 0;
+    while (start < beforeLines.length && start < afterLines.length && beforeLines[start] === afterLines[start]) {
+        start++;
+    }
+
+    let endBefore = beforeLines.length;
+    let endAfter = afterLines.length;
+    while (endBefore > start && endAfter > start && beforeLines[endBefore - 1] === afterLines[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    return {
+        line: start + 1,
+        before: truncateAuditValue(beforeLines.slice(start, endBefore).join('\n')),
+        after: truncateAuditValue(afterLines.slice(start, endAfter).join('\n'))
+    };
+}
+
+/**
+ * Compute a field-level diff between two snapshots
+ * Objects are compared key by key; any other values are compared as a whole.
+ * Secret-looking fields are recorded as changed without their values.
+ * @param {*} before - Snapshot before the change (null when created)
+ * @param {*} after - Snapshot after the change (null when deleted)
+ * @returns {Array} - Changes as { field, before, after } (plus `line` for text)
+ */
+function diffAuditValues(before, after) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const describeChange = (field, oldValue, newValue) => {
+        if (field && AUDIT_REDACTED_FIELD_PATTERN.test(field)) {
+            return { field, before: oldValue === undefined ? undefined : '[redacted]', after: newValue === undefined ? undefined : '[redacted]' };
+        }
+        if (field === 'check') {
+            // Health check headers often carry credentials
+            oldValue = oldValue && redactCheckHeaders({ check: oldValue }).check;
+            newValue = newValue && redactCheckHeaders({ check: newValue }).check;
+        }
+        if (typeof oldValue === 'string' && typeof newValue === 'string' && (oldValue + newValue).includes('\n')) {
+            return { field, ...diffText(oldValue, newValue) };
+        }
+        return { field, before: truncateAuditValue(oldValue), after: truncateAuditValue(newValue) };
+    };
+
+    if (!isObject(before) && !isObject(after)) {
+        return JSON.stringify(before) === JSON.stringify(after) ? [] : [describeChange(null, before, after)];
+    }
+
+    const oldObject = isObject(before) ? before : {};
+    const newObject = isObject(after) ? after : {};
+    const fields = new Set([...Object.keys(oldObject), ...Object.keys(newObject)]);
+
+    return [...fields]
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify(oldObject[field]) !== JSON.stringify(newObject[field]))
+        .map(field => describeChange(field, oldObject[field], newObject[field]));
+}
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged but never block the change itself.
+ * @param {Object} req - Express request object
+ * @param {string} action - Action name, e.g. 'link.update'
+ * @param {Object} target - What was changed, e.g. { id, name }
+ * @param {*} before - Snapshot before the change (null when created)
+ * @param {*} after - Snapshot after the change (null when deleted)
+ */
+function recordAudit(req, action, target, before, after) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        ...describeActor(req),
+        ip: req.ip,
+        method: req.method,
+        route: req.originalUrl,
+        action,
+        target,
+        changes: diffAuditValues(before, after)
+    };
+
+    try {
+        storage.appendAudit(entry);
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+
+    // Every mutation is audited, so this is also where open dashboards hear about it
+    broadcastChange(action);
+}
+
+// =============================================================================
+// LIVE UPDATES (SERVER-SENT EVENTS)
+// =============================================================================
+
+const LIVE_UPDATE_HEARTBEAT_MS = 25 * 1000;
+const LIVE_UPDATE_MAX_CLIENTS = parseInt(process.env.LIVE_UPDATE_MAX_CLIENTS) || 200;
+const LIVE_UPDATE_MAX_CLIENTS_PER_IP = parseInt(process.env.LIVE_UPDATE_MAX_CLIENTS_PER_IP) || 10;
+
+// Parts of the dashboard each audited action invalidates; exact actions win over their prefix
+const LIVE_UPDATE_TOPICS = {
+    'link': ['links'],
+    'category': ['categories', 'links'],
+    'config': ['config'],
+    'config-file': ['config', 'categories', 'links', 'trash'],
+    'project': ['projects'],
+    'trash': ['trash'],
+    'status': ['status'],
+    'data.import': ['config', 'categories', 'links', 'projects'],
+    'data.import-dashboard': ['categories', 'links'],
+    'backup.restore': ['config', 'categories', 'links', 'trash']
+};
+
+// Open event streams (Express responses)
+const liveUpdateClients = new Set();
+// Open streams per client IP, and how many of all streams are anonymous
+const liveUpdateClientsByIp = new Map();
+let anonymousLiveUpdateClients = 0;
+
+/**
+ * Work out which parts of the dashboard an audited action changed
+ * @param {string} action - Audit action, e.g. 'link.update'
+ * @returns {string[]} - Topics, empty for actions no dashboard displays
+ */
+function getLiveUpdateTopics(action) {
+    const topics = LIVE_UPDATE_TOPICS[action] || LIVE_UPDATE_TOPICS[action.split('.')[0]] || [];
+    // Deleting and restoring moves items in and out of the trash
+    if (/\.(delete|restore)$/.test(action) && !topics.includes('trash')) {
+        return [...topics, 'trash'];
+    }
+    return topics;
+}
+
+/**
+ * Tell every open dashboard what changed. Only topics are sent, never data:
+ * clients refetch through the normal routes, which apply their own visibility rules.
+ * @param {string} action - Audit action that caused the change
+ */
+function broadcastChange(action) {
+    const topics = getLiveUpdateTopics(action);
+    if (topics.length === 0 || liveUpdateClients.size === 0) return;
+
+    const message = `event: change\ndata: ${JSON.stringify({ action, topics })}\n\n`;
+    liveUpdateClients.forEach(res => res.write(message));
+}
+
+/**
+ * Keep idle streams from being closed by proxies and browsers
+ */
+function sendLiveUpdateHeartbeat() {
+    liveUpdateClients.forEach(res => res.write(': heartbeat\n\n'));
+}
+
+// =============================================================================
+// CONFIG FILE (CONFIG AS CODE)
+// =============================================================================
+
+// Human-editable YAML mirror of the dashboard, meant to be kept in git
+const CONFIG_FILE = process.env.CONFIG_FILE
+    ? path.resolve(process.env.CONFIG_FILE)
+    : path.join(DATA_DIR, 'proteusbox.yml');
+const CONFIG_WATCH_INTERVAL_MS = parseInt(process.env.CONFIG_WATCH_INTERVAL_MS) || 2000;
+
+const CONFIG_FILE_HEADER = [
+    '# ProteusBox dashboard configuration',
+    '# Edits are picked up automatically and changes made in the admin panel are written back.',
+    '# Sections you leave out keep their current values; categories and links together list every link.',
+    ''
+].join('\n');
+
+const CONFIG_LINK_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', required: true },
+        url: { type: 'string', required: true },
+        // Same settings as the admin panel's health check form, checked by validateLinkCheck
+        check: { type: 'custom', validate: validateConfigLinkCheck }
+    }
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    fields: {
+        title: { type: 'string' },
+        homepageMessage: { type: 'string' },
+        theme: {
+            type: 'object',
+            fields: {
+                primaryColor: { type: 'string', pattern: /^#[0-9A-F]{6}$/i, hint: 'a hex color such as #330099' }
+            }
+        },
+        chat: {
+            type: 'object',
+            fields: {
+                provider: { type: 'string', oneOf: ['none', 'flowise', 'ollama'] },
+                apiUrl: { type: 'string' },
+                chatflowId: { type: 'string' },
+                ollamaBaseUrl: { type: 'string' },
+                ollamaModel: { type: 'string' },
+                filter: {
+                    type: 'object',
+                    fields: {
+                        enabled: { type: 'boolean' },
+                        keyword: { type: 'string' }
+                    }
+                }
+            }
+        },
+        categories: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    name: { type: 'string', required: true },
+                    private: { type: 'boolean' },
+                    links: { type: 'array', items: CONFIG_LINK_SCHEMA }
+                }
+            }
+        },
+        links: { type: 'array', items: CONFIG_LINK_SCHEMA }
+    }
+};
+
+/**
+ * Validate a link's check settings in the config file
+ * The file is meant to be kept in git, so header values must come from environment variables.
+ * @param {Object} value - Check settings from the file
+ * @returns {string|undefined} - Error message, if any
+ */
+function validateConfigLinkCheck(value) {
+    const { error } = validateLinkCheck(value, { allowEnvReferences: true });
+    if (error) return error;
+
+    const literal = Object.entries(value.headers || {}).find(([, headerValue]) => !isEnvReference(headerValue));
+    if (literal) {
+        return `header "${literal[0]}" must take its value from an environment variable, e.g. Bearer \${API_TOKEN} ` +
+            '(headers typed into the admin panel are kept out of this file)';
+    }
+}
+
+/**
+ * Describe a link's check for the config file, leaving out header values typed into the admin panel
+ * @param {Object} check - Link check settings
+ * @returns {Object|null} - Check without literal header values, null if nothing is left to write
+ */
+function toConfigCheck(check) {
+    if (!check) return null;
+    if (!check.headers) return check;
+
+    const { headers, ...rest } = check;
+    const envHeaders = Object.fromEntries(Object.entries(headers).filter(([, value]) => isEnvReference(value)));
+    return Object.keys(envHeaders).length > 0 ? { ...rest, headers: envHeaders } : validateLinkCheck(rest, { allowEnvReferences: true }).check;
+}
+
+/**
+ * Get the header values of a link that only live in data.json, not in the config file
+ * @param {Object} link - Link record
+ * @returns {Object} - Literal headers by name
+ */
+function getLiteralCheckHeaders(link) {
+    const headers = (link.check && link.check.headers) || {};
+    return Object.fromEntries(Object.entries(headers).filter(([, value]) => !isEnvReference(value)));
+}
+
+// Actor recorded in the audit log for changes made by editing the file
+const CONFIG_FILE_ACTOR = { system: true, user: { username: 'config-file' }, ip: null, method: null, originalUrl: null };
+
+// Last content read from or written to the file, so the watcher ignores our own writes
+let configFileContent = null;
+
+// Outcome of the last attempt to apply the file, shown in the admin panel
+let configFileStatus = { checkedAt: null, errors: [] };
+
+/**
+ * Describe the dashboard in config file form
+ * @returns {Object} - Plain object matching CONFIG_SCHEMA
+ */
+function dataToConfig() {
+    const toConfigLink = link => {
+        const check = toConfigCheck(link.check);
+        return check ? { name: link.name, url: link.url, check } : { name: link.name, url: link.url };
+    };
+    const categoryIds = new Set(data.categories.map(category => category.id));
+
+    const config = {
+        title: data.siteTitle,
+        homepageMessage: data.homepageMessage,
+        theme: { primaryColor: data.colorConfig.primaryColor },
+        chat: {
+            provider: data.chatConfig.provider,
+            apiUrl: data.chatConfig.apiUrl,
+            chatflowId: data.chatConfig.chatflowId,
+            ollamaBaseUrl: data.chatConfig.ollamaBaseUrl,
+            ollamaModel: data.chatConfig.ollamaModel,
+            filter: {
+                enabled: Boolean(data.filterConfig.enabled),
+                keyword: data.filterConfig.keyword
+            }
+        },
+        categories: [...data.categories]
+            .sort((a, b) => a.order - b.order)
+            .map(category => {
+                const entry = { name: category.name };
+                if (category.private) entry.private = true;
+                const links = data.links.filter(link => link.categoryId === category.id).map(toConfigLink);
+                if (links.length > 0) entry.links = links;
+                return entry;
+            })
+    };
+
+    const uncategorized = data.links.filter(link => !categoryIds.has(link.categoryId)).map(toConfigLink);
+    if (uncategorized.length > 0) {
+        config.links = uncategorized;
+    }
+
+    return config;
+}
+
+/**
+ * Format a path inside the config file, e.g. categories[2].links[0].url
+ * @param {Array} keyPath - Keys and indexes
+ * @returns {string} - Readable path
+ */
+function formatConfigPath(keyPath) {
+    return keyPath.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : key), '');
+}
+
+/**
+ * Check a parsed value against a CONFIG_SCHEMA rule
+ * @param {*} value - Value from the file
+ * @param {Object} rule - Schema rule
+ * @param {Array} keyPath - Location of the value
+ * @param {Function} report - Called with (keyPath, message) for every problem
+ */
+function checkConfigValue(value, rule, keyPath, report) {
+    if (value === undefined || value === null) {
+        if (rule.required) report(keyPath, 'is required');
+        return;
+    }
+
+    if (rule.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            report(keyPath, 'must be a mapping (key: value pairs)');
+            return;
+        }
+        Object.keys(value).forEach(key => {
+            if (!rule.fields[key]) {
+                report([...keyPath, key], `unknown key "${key}" (expected ${Object.keys(rule.fields).join(', ')})`);
+            }
+        });
+        Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+            checkConfigValue(value[key], fieldRule, [...keyPath, key], report);
+        });
+    } else if (rule.type === 'array') {
+        if (!Array.isArray(value)) {
+            report(keyPath, 'must be a list');
+            return;
+        }
+        value.forEach((item, index) => checkConfigValue(item, rule.items, [...keyPath, index], report));
+    } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') report(keyPath, 'must be true or false');
+    } else if (rule.type === 'custom') {
+        const error = rule.validate(value);
+        if (error) report(keyPath, error);
+    } else if (typeof value !== 'string') {
+        report(keyPath, 'must be text (quote it if it looks like a number or date)');
+    } else if (rule.required && !value.trim()) {
+        report(keyPath, 'must not be empty');
+    } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+        report(keyPath, `must be one of ${rule.oneOf.join(', ')}`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+        report(keyPath, `must be ${rule.hint}`);
+    }
+}
+
+/**
+ * Parse and validate config file content
+ * @param {string} content - YAML text
+ * @returns {Object} - { config, errors } where errors carry 1-based line and column numbers
+ */
+function validateConfigContent(content) {
+    const lineCounter = new YAML.LineCounter();
+    const doc = YAML.parseDocument(content, { lineCounter, prettyErrors: false });
+
+    const errors = doc.errors.map(error => {
+        const { line, col } = lineCounter.linePos(error.pos[0]);
+        return { line, column: col, path: '', message: error.message };
+    });
+    if (errors.length > 0) {
+        return { config: null, errors };
+    }
+
+    // Point at the closest node that exists, e.g. the mapping a required key is missing from
+    const locate = keyPath => {
+        for (let depth = keyPath.length; depth >= 0; depth--) {
+            const node = depth === 0 ? doc.contents : doc.getIn(keyPath.slice(0, depth), true);
+            if (node && node.range) return lineCounter.linePos(node.range[0]);
+        }
+        return { line: 1, col: 1 };
+    };
+    const report = (keyPath, message) => {
+        const { line, col } = locate(keyPath);
+        errors.push({ line, column: col, path: formatConfigPath(keyPath), message });
+    };
+
+    const config = doc.toJS() ?? {};
+    checkConfigValue(config, CONFIG_SCHEMA, [], report);
+
+    if (Array.isArray(config.categories)) {
+        const seen = new Set();
+        config.categories.forEach((category, index) => {
+            if (!category || typeof category.name !== 'string') return;
+            const name = category.name.trim().toLowerCase();
+            if (seen.has(name)) report(['categories', index, 'name'], `duplicate category "${category.name}"`);
+            seen.add(name);
+        });
+    }
+
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { config: errors.length === 0 ? config : null, errors };
+}
+
+/**
+ * Apply a validated config to the dashboard
+ * Categories are matched by name and links by URL (then by name), so existing
+ * records keep their IDs when they are renamed or moved in the file. Links and
+ * categories the file no longer lists go to the trash, like deletions in the admin panel.
+ * @param {Object} config - Output of validateConfigContent
+ * @param {Object} req - Request (or CONFIG_FILE_ACTOR) responsible for the change
+ */
+function applyConfig(config, req) {
+    if (config.title != null) data.siteTitle = config.title.trim();
+    if (config.homepageMessage != null) data.homepageMessage = config.homepageMessage.trim();
+    if (config.theme && config.theme.primaryColor) {
+        data.colorConfig = { ...data.colorConfig, primaryColor: config.theme.primaryColor };
+    }
+
+    if (config.chat) {
+        const { filter, ...chatConfig } = config.chat;
+        Object.entries(chatConfig).forEach(([key, value]) => {
+            data.chatConfig[key] = value ?? '';
+        });
+        if (filter) {
+            data.filterConfig = {
+                enabled: filter.enabled ?? data.filterConfig.enabled,
+                keyword: filter.keyword ?? data.filterConfig.keyword
+            };
+        }
+    }
+
+    if (config.categories == null && config.links == null) return;
+
+    const previousCategories = data.categories;
+    const previousLinks = [...data.links];
+    const takeLink = (entry, categoryId) => {
+        const name = entry.name.trim();
+        const url = normalizeLinkUrl(entry.url);
+        const matchers = [
+            link => normalizeLinkUrl(link.url) === url && link.categoryId === categoryId,
+            link => normalizeLinkUrl(link.url) === url,
+            link => link.name === name && link.categoryId === categoryId
+        ];
+
+        for (const matches of matchers) {
+            const index = previousLinks.findIndex(matches);
+            if (index === -1) continue;
+
+            const [link] = previousLinks.splice(index, 1);
+            const { check } = validateLinkCheck(mergeLiteralCheckHeaders(entry.check, link), { allowEnvReferences: true });
+            const updated = { ...link, name, url: entry.url.trim(), categoryId };
+            if (check) {
+                updated.check = check;
+            } else {
+                delete updated.check;
+            }
+            if (updated.name !== link.name || updated.url !== link.url || updated.categoryId !== link.categoryId ||
+                getCheckSignature(updated) !== getCheckSignature(link)) {
+                updated.updatedAt = new Date().toISOString();
+            }
+            return updated;
+        }
+
+        const { check } = validateLinkCheck(entry.check, { allowEnvReferences: true });
+        return createLinkRecord({ name: entry.name, url: entry.url, categoryId, check });
+    };
+
+    const categories = [];
+    const links = [];
+    (config.categories || []).forEach((entry, index) => {
+        const name = entry.name.trim();
+        const existing = previousCategories.find(category => category.name.toLowerCase() === name.toLowerCase());
+        const category = {
+            ...(existing || createCategoryRecord(name)),
+            name,
+            private: Boolean(entry.private),
+            order: index
+        };
+        categories.push(category);
+        (entry.links || []).forEach(link => links.push(takeLink(link, category.id)));
+    });
+    (config.links || []).forEach(link => links.push(takeLink(link, null)));
+
+    // NAVIGATION only moves when the file lists it; otherwise it keeps its place among the categories
+    const navigation = previousCategories.find(category => category.isDefault);
+    if (navigation && !categories.some(category => category.id === navigation.id)) {
+        const position = [...previousCategories].sort((a, b) => (a.order || 0) - (b.order || 0)).indexOf(navigation);
+        categories.splice(Math.min(position, categories.length), 0, navigation);
+        categories.forEach((category, index) => {
+            category.order = index;
+        });
+    }
+
+    // Whatever was not matched above has been left out of the file
+    previousCategories
+        .filter(category => !category.isDefault && !categories.some(c => c.id === category.id))
+        .forEach(category => {
+            const linkIds = previousLinks.filter(link => link.categoryId === category.id).map(link => link.id);
+            moveToTrash(req, 'category', category, { linkIds });
+        });
+    previousLinks.forEach(link => moveToTrash(req, 'link', link));
+
+    data.categories = categories;
+    data.links = links;
+    ensureNavigationCategory();
+}
+
+/**
+ * Add back the header values a link was given in the admin panel, which the config file never holds
+ * @param {Object} [fileCheck] - Check settings from the file
+ * @param {Object} link - Existing link record
+ * @returns {Object|undefined} - Check settings to validate
+ */
+function mergeLiteralCheckHeaders(fileCheck, link) {
+    const literalHeaders = getLiteralCheckHeaders(link);
+    const type = (fileCheck && fileCheck.type) || 'http';
+    if (Object.keys(literalHeaders).length === 0 || type !== 'http') return fileCheck;
+
+    // Without the check the file would describe a plain HEAD request
+    const check = fileCheck || { type: 'http', method: link.check.method };
+    return { ...check, headers: { ...literalHeaders, ...(check.headers || {}) } };
+}
+
+/**
+ * Apply a config and save it, recording the change in the audit log
+ * @param {Object} config - Output of validateConfigContent
+ * @param {Object} req - Request (or CONFIG_FILE_ACTOR) responsible for the change
+ * @param {string} action - Audit action
+ * @returns {boolean} - Whether the dashboard changed
+ */
+function applyConfigChange(config, req, action) {
+    const before = YAML.stringify(dataToConfig(), { lineWidth: 0 });
+    applyConfig(config, req);
+    const after = YAML.stringify(dataToConfig(), { lineWidth: 0 });
+
+    if (before === after) return false;
+
+    // The file already says this; writing it back would only drop the user's comments and layout
+    saveData({ skipConfigFile: true });
+    recordAudit(req, action, { file: path.basename(CONFIG_FILE) }, before, after);
+    return true;
+}
+
+/**
+ * Read the config file and apply it if it changed since we last saw it
+ * Invalid files are reported and otherwise ignored, keeping the current dashboard.
+ */
+function syncFromConfigFile() {
+    let content;
+    try {
+        content = fs.readFileSync(CONFIG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading config file:', error);
+        }
+        return;
+    }
+
+    if (content === configFileContent) return;
+    configFileContent = content;
+
+    const { config, errors } = validateConfigContent(content);
+    configFileStatus = { checkedAt: new Date().toISOString(), errors };
+
+    if (errors.length > 0) {
+        console.error(`Ignoring ${CONFIG_FILE}, it has ${errors.length} error(s):`);
+        errors.forEach(error => {
+            console.error(`  line ${error.line}, column ${error.column}: ${error.path ? `${error.path} ` : ''}${error.message}`);
+        });
+        return;
+    }
+
+    if (applyConfigChange(config, CONFIG_FILE_ACTOR, 'config-file.reload')) {
+        console.log(`Applied changes from ${CONFIG_FILE}`);
+    }
+}
+
+/**
+ * Write the dashboard back to the config file, keeping its leading comments
+ * Does nothing when there is no config file, or when the file holds edits that
+ * have not been applied yet (invalid, or not picked up by the watcher so far).
+ */
+function writeConfigFile() {
+    try {
+        if (!fs.existsSync(CONFIG_FILE)) return;
+
+        const current = fs.readFileSync(CONFIG_FILE, 'utf8');
+        if (current !== configFileContent || configFileStatus.errors.length > 0) {
+            console.warn(`Not writing to ${CONFIG_FILE}: it has edits that have not been applied`);
+            return;
+        }
+
+        const [header] = current.match(/^(?:[ \t]*(?:#.*)?\r?\n)*/);
+        const content = header + YAML.stringify(dataToConfig(), { lineWidth: 0 });
+        if (content === current) return;
+
+        writeFileAtomic(CONFIG_FILE, content);
+        configFileContent = content;
+    } catch (error) {
+        console.error('Error writing config file:', error);
+    }
+}
+
+/**
+ * Poll the config file and hot-reload it when it changes
+ * Polling (rather than fs.watch) also works for files on bind mounts and network shares.
+ */
+function watchConfigFile() {
+    fs.watchFile(CONFIG_FILE, { interval: CONFIG_WATCH_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+        if (current.mtimeMs === 0) {
+            configFileContent = null;
+            configFileStatus = { checkedAt: null, errors: [] };
+            console.log(`${CONFIG_FILE} was removed; dashboard changes are no longer written to it`);
+            return;
+        }
+
+        syncFromConfigFile();
+    });
+}
+
+// =============================================================================
+// TRASH
+// =============================================================================
+
+// Deleted links, categories and project notes are kept this long before being purged
+const TRASH_RETENTION_MS = (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Move a deleted item into the trash (the caller saves data)
+ * @param {Object} req - Express request object
+ * @param {string} type - 'link', 'category' or 'project'
+ * @param {Object} item - Deleted record ({ name, content } for project notes)
+ * @param {Object} extra - Additional fields, e.g. { linkIds } for categories
+ * @returns {Object} - Trash entry
+ */
+function moveToTrash(req, type, item, extra = {}) {
+    const entry = {
+        id: data.nextTrashId++,
+        type,
+        name: item.name,
+        deletedAt: new Date().toISOString(),
+        deletedBy: req.user ? req.user.username : null,
+        item,
+        ...extra
+    };
+    data.trash.push(entry);
+    return entry;
+}
+
+/**
+ * Permanently remove trash entries older than the retention period
+ */
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - TRASH_RETENTION_MS;
+    const remaining = data.trash.filter(entry => Date.parse(entry.deletedAt) >= cutoff);
+    if (remaining.length === data.trash.length) return;
+
+    console.log(`Purged ${data.trash.length - remaining.length} expired item(s) from the trash`);
+    data.trash = remaining;
+    saveData();
+    broadcastChange('trash.expire');
+}
+
+// =============================================================================
+// HEALTH MONITOR
+// =============================================================================
+
+const HEALTH_CHECK_INTERVAL_MS = (parseInt(process.env.HEALTH_CHECK_INTERVAL_SECONDS) || 60) * 1000;
+const HEALTH_CHECK_CONCURRENCY = parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || 5;
+
+// Check history, kept apart from data.json so checks neither bloat backups nor change link ETags
+const HEALTH_FILE = path.join(DATA_DIR, 'health.json');
+const HEALTH_SAVE_INTERVAL_MS = 5 * 60 * 1000;
+const HEALTH_RECENT_CHECKS = 60;
+const HEALTH_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+const HEALTH_MAX_OUTAGES = 20;
+const HOUR_MS = 60 * 60 * 1000;
+
+const LINK_CHECK_TYPES = ['http', 'tcp', 'dns', 'none'];
+const LINK_CHECK_DEFAULT_TIMEOUT_SECONDS = 5;
+const LINK_CHECK_MAX_BODY_BYTES = 1024 * 1024;
+// e.g. "200-299,301"; ranges are inclusive
+const EXPECTED_STATUS_PATTERN = /^\d{3}(-\d{3})?(,\d{3}(-\d{3})?)*$/;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Header values may pull credentials from the environment, e.g. "Bearer ${GRAFANA_TOKEN}"
+const ENV_REFERENCE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Days before expiry at which HTTPS certificates are flagged, e.g. "30,14,7"; the smallest is critical
+const TLS_EXPIRY_WARNING_DAYS = (process.env.TLS_EXPIRY_WARNING_DAYS || '30,14,7')
+    .split(',')
+    .map(days => parseInt(days))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a);
+const DAY_MS = 24 * HOUR_MS;
+
+const UPTIME_WINDOWS = {
+    day: 24 * HOUR_MS,
+    week: 7 * 24 * HOUR_MS,
+    month: HEALTH_HISTORY_MS
+};
+
+// History per link ID: { url, signature, checks: [latest HEALTH_RECENT_CHECKS results],
+// hourly: [{ hour, checks, up }] for uptime, outages: [{ start, end, checks, error }],
+// certificate: last certificate seen (HTTPS only) }
+const linkHealth = new Map();
+
+let healthHistoryDirty = false;
+let healthCheckRunning = false;
+let healthCheckQueued = false;
+let staleLinkCheckTimer = null;
+
+/**
+ * Split a JSON path such as "$.services[0].status" into keys and indexes
+ * @param {string} jsonPath - Path with dots and [index] steps, optionally starting with "$."
+ * @returns {Array|null} - Steps, or null if the path is malformed
+ */
+function parseJsonPath(jsonPath) {
+    const steps = jsonPath.replace(/^\$\.?/, '');
+    if (!/^([^.[\]]+|\[\d+\])(\.[^.[\]]+|\[\d+\])*$/.test(steps)) return null;
+    return [...steps.matchAll(/[^.[\]]+|\[(\d+)\]/g)].map(match => match[1] !== undefined ? parseInt(match[1]) : match[0]);
+}
+
+/**
+ * Check whether a status code is accepted
+ * @param {number} statusCode - HTTP status code
+ * @param {string} expectedStatus - Accepted codes and ranges, e.g. "200-299,301"; default 200-399
+ * @returns {boolean} - True if the code is accepted
+ */
+function matchesExpectedStatus(statusCode, expectedStatus) {
+    if (!expectedStatus) return statusCode >= 200 && statusCode < 400;
+    return expectedStatus.split(',').some(part => {
+        const [low, high = low] = part.split('-').map(Number);
+        return statusCode >= low && statusCode <= high;
+    });
+}
+
+/**
+ * Validate and normalize a link's health check settings
+ * Header values that read ${NAME} from the server's environment are only accepted
+ * from admins and the config file, or when they are already part of the link's check.
+ * @param {Object} input - { type, method, expectedStatus, keyword, jsonPath, jsonValue, headers, port, timeoutSeconds }
+ * @param {Object} options - { allowEnvReferences, existingCheck } (optional)
+ * @returns {Object} - { success, check, error }; check is null for the default (HTTP HEAD, 200-399)
+ */
+function validateLinkCheck(input, { allowEnvReferences = false, existingCheck = null } = {}) {
+    const fail = error => ({ success: false, check: null, error });
+    if (input === undefined || input === null) {
+        return { success: true, check: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return fail('Health check must be an object');
+    }
+
+    const type = input.type || 'http';
+    if (!LINK_CHECK_TYPES.includes(type)) {
+        return fail(`Health check type must be one of ${LINK_CHECK_TYPES.join(', ')}`);
+    }
+    const check = { type };
+    const isSet = value => value !== undefined && value !== null && String(value).trim() !== '';
+
+    if (type !== 'none' && isSet(input.timeoutSeconds)) {
+        const timeoutSeconds = Number(input.timeoutSeconds);
+        if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 60) {
+            return fail('Health check timeout must be a whole number of seconds from 1 to 60');
+        }
+        check.timeoutSeconds = timeoutSeconds;
+    }
+
+    if (type === 'http') {
+        check.method = String(input.method || 'HEAD').toUpperCase();
+        if (!['HEAD', 'GET'].includes(check.method)) {
+            return fail('Health check method must be HEAD or GET');
+        }
+
+        if (isSet(input.expectedStatus)) {
+            const expectedStatus = String(input.expectedStatus).replace(/\s+/g, '');
+            const ranges = expectedStatus.split(',').map(part => part.split('-').map(Number));
+            if (!EXPECTED_STATUS_PATTERN.test(expectedStatus) || ranges.some(([low, high = low]) => low < 100 || high > 599 || low > high)) {
+                return fail('Expected status must be codes or ranges between 100 and 599, e.g. 200-299,301');
+            }
+            check.expectedStatus = expectedStatus;
+        }
+
+        if (isSet(input.keyword)) {
+            check.keyword = String(input.keyword);
+        }
+        if (isSet(input.jsonPath)) {
+            check.jsonPath = String(input.jsonPath).trim();
+            if (!parseJsonPath(check.jsonPath)) {
+                return fail('JSON path must look like status or $.services[0].healthy');
+            }
+            if (isSet(input.jsonValue)) {
+                check.jsonValue = String(input.jsonValue);
+            }
+        }
+        if ((check.keyword || check.jsonPath) && check.method !== 'GET') {
+            return fail('Keyword and JSON path checks read the response body, so they need the GET method');
+        }
+
+        if (isSet(input.headers)) {
+            if (typeof input.headers !== 'object' || Array.isArray(input.headers)) {
+                return fail('Health check headers must be name: value pairs');
+            }
+            const existingHeaders = (existingCheck && existingCheck.headers) || {};
+            for (const [name, value] of Object.entries(input.headers)) {
+                if (!HEADER_NAME_PATTERN.test(name) || typeof value !== 'string' || /[\r\n]/.test(value)) {
+                    return fail(`Invalid health check header "${name}"`);
+                }
+                if (!allowEnvReferences && isEnvReference(value) && existingHeaders[name] !== value) {
+                    return fail(`Only admins can take health check header values from environment variables ("${name}")`);
+                }
+            }
+            if (Object.keys(input.headers).length > 0) {
+                check.headers = { ...input.headers };
+            }
+        }
+
+        // A plain HEAD check is what every link gets anyway
+        if (Object.keys(check).length === 2 && check.method === 'HEAD') {
+            return { success: true, check: null };
+        }
+    } else if (type === 'tcp' && isSet(input.port)) {
+        const port = Number(input.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            return fail('Health check port must be a number from 1 to 65535');
+        }
+        check.port = port;
+    }
+
+    return { success: true, check };
+}
+
+/**
+ * Identify a link's check settings, so changing them triggers a fresh check
+ * @param {Object} link - Link record
+ * @returns {string} - Comparable signature
+ */
+function getCheckSignature(link) {
+    return JSON.stringify(link.check || null);
+}
+
+/**
+ * Run a link's configured health check
+ * @param {Object} link - Link record
+ * @returns {Promise<Object>} - { online, statusCode, latencyMs, error }
+ */
+function runLinkCheck(link) {
+    const check = link.check || {};
+    const timeout = (check.timeoutSeconds || LINK_CHECK_DEFAULT_TIMEOUT_SECONDS) * 1000;
+
+    if (check.type === 'tcp') return checkTcpPort(link.url, check.port, timeout);
+    if (check.type === 'dns') return checkDnsResolution(link.url, timeout);
+
+    if (check.headers) {
+        const { headers, error } = resolveCheckHeaders(check.headers);
+        if (error) {
+            return Promise.resolve({ online: false, statusCode: null, latencyMs: null, error });
+        }
+        return checkWebsiteStatus(link.url, { ...check, headers }, timeout);
+    }
+    return checkWebsiteStatus(link.url, check, timeout);
+}
+
+/**
+ * Fill in the ${NAME} environment references of health check headers
+ * @param {Object} headers - Header names and values as configured
+ * @returns {Object} - { headers, error }; error names the first variable that is not set
+ */
+function resolveCheckHeaders(headers) {
+    const resolved = {};
+    for (const [name, value] of Object.entries(headers)) {
+        const missing = [...value.matchAll(ENV_REFERENCE_PATTERN)].find(match => process.env[match[1]] === undefined);
+        if (missing) {
+            return { headers: null, error: `Environment variable ${missing[1]} is not set` };
+        }
+        resolved[name] = value.replace(ENV_REFERENCE_PATTERN, (match, variable) => process.env[variable]);
+    }
+    return { headers: resolved, error: null };
+}
+
+/**
+ * Check whether a header value is taken from the environment rather than written out
+ * @param {string} value - Header value
+ * @returns {boolean} - True if it contains a ${NAME} reference
+ */
+function isEnvReference(value) {
+    return [...String(value).matchAll(ENV_REFERENCE_PATTERN)].length > 0;
+}
+
+/**
+ * Hide health check header values, which often carry credentials
+ * @param {Object} link - Link record
+ * @returns {Object} - Link whose check lists header names only
+ */
+function redactCheckHeaders(link) {
+    if (!link.check || !link.check.headers) return link;
+
+    const headers = {};
+    Object.keys(link.check.headers).forEach(name => {
+        headers[name] = '[redacted]';
+    });
+    return { ...link, check: { ...link.check, headers } };
+}
+
+/**
+ * Load check history saved by a previous run
+ */
+function loadHealthHistory() {
+    if (!fs.existsSync(HEALTH_FILE)) return;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(HEALTH_FILE, 'utf8'));
+        Object.entries(saved.links || {}).forEach(([id, health]) => {
+            linkHealth.set(parseInt(id), health);
+        });
+    } catch (error) {
+        console.error('Error loading health history, starting a new one:', error);
+    }
+}
+
+/**
+ * Write check history to disk if anything was recorded since the last save
+ */
+function saveHealthHistory() {
+    if (!healthHistoryDirty) return;
+
+    try {
+        // Compact on purpose: this file is rewritten often and never edited by hand
+        writeFileAtomic(HEALTH_FILE, JSON.stringify({ links: Object.fromEntries(linkHealth) }));
+        healthHistoryDirty = false;
+    } catch (error) {
+        console.error('Error saving health history:', error);
+    }
+}
+
+/**
+ * Get the latest check result for a link's current URL
+ * @param {Object} link - Link record
+ * @returns {Object|null} - { checkedAt, online, statusCode, latencyMs, error } or null if unchecked
+ */
+function getLatestCheck(link) {
+    const health = linkHealth.get(link.id);
+    if (!health || health.url !== link.url || health.checks.length === 0) return null;
+    return health.checks[health.checks.length - 1];
+}
+
+/**
+ * Check whether a link's health check is turned off
+ * @param {Object} link - Link record
+ * @returns {boolean} - True for links with check type "none"
+ */
+function isLinkCheckDisabled(link) {
+    return Boolean(link.check && link.check.type === 'none');
+}
+
+/**
+ * Check whether a link has no result for its current URL and check settings yet
+ * @param {Object} link - Link record
+ * @returns {boolean} - True if the link needs checking
+ */
+function isLinkStatusStale(link) {
+    if (isLinkCheckDisabled(link)) return false;
+    return getLatestCheck(link) === null || linkHealth.get(link.id).signature !== getCheckSignature(link);
+}
+
+/**
+ * Add a check result to a link's history
+ * @param {Object} link - Link record that was checked
+ * @param {Object} checkResult - { online, statusCode, latencyMs, error, certificate } from runLinkCheck
+ * @returns {boolean} - True if the link went up or down (or was checked for the first time)
+ */
+function recordHealthCheck(link, checkResult) {
+    // The certificate rarely changes, so only the latest one is kept rather than one per check
+    const { certificate, ...result } = checkResult;
+    let health = linkHealth.get(link.id);
+    if (!health || health.url !== link.url) {
+        // A re-pointed link is a different service: start its history afresh
+        health = { url: link.url, checks: [], hourly: [], outages: [] };
+        linkHealth.set(link.id, health);
+    }
+
+    health.signature = getCheckSignature(link);
+    if (certificate) {
+        health.certificate = { ...certificate, checkedAt: new Date().toISOString() };
+    }
+
+    const previous = health.checks[health.checks.length - 1];
+    const check = { checkedAt: new Date().toISOString(), ...result };
+    health.checks.push(check);
+    if (health.checks.length > HEALTH_RECENT_CHECKS) {
+        health.checks.shift();
+    }
+
+    const hour = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS).toISOString();
+    let bucket = health.hourly[health.hourly.length - 1];
+    if (!bucket || bucket.hour !== hour) {
+        bucket = { hour, checks: 0, up: 0 };
+        health.hourly.push(bucket);
+    }
+    bucket.checks++;
+    if (result.online) bucket.up++;
+
+    const lastOutage = health.outages[health.outages.length - 1];
+    const openOutage = lastOutage && !lastOutage.end ? lastOutage : null;
+    if (!result.online && openOutage) {
+        openOutage.checks++;
+        openOutage.error = result.error;
+    } else if (!result.online) {
+        health.outages.push({ start: check.checkedAt, end: null, checks: 1, error: result.error });
+    } else if (openOutage) {
+        openOutage.end = check.checkedAt;
+        if (openOutage.notified) {
+            sendStatusNotification('recovered', link, openOutage);
+        }
+    }
+
+    // Only report outages that lasted the configured number of checks, so flapping links stay quiet
+    const currentOutage = health.outages[health.outages.length - 1];
+    if (!result.online && !currentOutage.notified && currentOutage.checks >= notificationConfig.failureThreshold) {
+        currentOutage.notified = true;
+        sendStatusNotification('down', link, currentOutage);
+    }
+
+    pruneHealthHistory(health);
+    healthHistoryDirty = true;
+    return !previous || previous.online !== result.online;
+}
+
+/**
+ * Drop hourly buckets and finished outages older than the history window
+ * @param {Object} health - History of one link
+ */
+function pruneHealthHistory(health) {
+    const cutoff = Date.now() - HEALTH_HISTORY_MS;
+    health.hourly = health.hourly.filter(bucket => Date.parse(bucket.hour) + HOUR_MS > cutoff);
+    health.outages = health.outages
+        .filter(outage => !outage.end || Date.parse(outage.end) > cutoff)
+        .slice(-HEALTH_MAX_OUTAGES);
+}
+
+/**
+ * Compute uptime over a window from the hourly buckets
+ * @param {Object} health - History of one link
+ * @param {number} windowMs - Window length
+ * @returns {number|null} - Percentage with two decimals, null without checks in the window
+ */
+function computeUptime(health, windowMs) {
+    const since = Date.now() - windowMs;
+    let checks = 0;
+    let up = 0;
+    health.hourly.forEach(bucket => {
+        if (Date.parse(bucket.hour) + HOUR_MS > since) {
+            checks += bucket.checks;
+            up += bucket.up;
+        }
+    });
+    return checks === 0 ? null : Math.round((up / checks) * 10000) / 100;
+}
+
+/**
+ * Summarize a link's health for the dashboard badges
+ * @param {Object} link - Link record
+ * @returns {Object|null} - Latest result plus uptime and recent latencies, null if unchecked
+ */
+function summarizeLinkHealth(link) {
+    const latest = getLatestCheck(link);
+    if (!latest || isLinkCheckDisabled(link)) return null;
+
+    const health = linkHealth.get(link.id);
+    const uptime = {};
+    Object.entries(UPTIME_WINDOWS).forEach(([name, windowMs]) => {
+        uptime[name] = computeUptime(health, windowMs);
+    });
+
+    return {
+        ...latest,
+        uptime,
+        // null marks failed checks, so the sparkline shows gaps for them
+        latencies: health.checks.slice(-30).map(check => check.latencyMs),
+        certificate: health.certificate && hasCertificateCheck(link) ? summarizeCertificate(health.certificate) : null
+    };
+}
+
+/**
+ * Check whether a link's health check talks HTTPS and so sees a certificate
+ * @param {Object} link - Link record
+ * @returns {boolean} - True for HTTP checks of https:// URLs
+ */
+function hasCertificateCheck(link) {
+    return (!link.check || link.check.type === 'http') && /^https:/i.test(link.url);
+}
+
+/**
+ * Rate a stored certificate against the expiry thresholds
+ * @param {Object} certificate - Certificate from inspectCertificate
+ * @returns {Object} - Certificate plus daysLeft, level ('ok', 'warning', 'critical' or 'expired'),
+ *                     threshold (the tightest warning threshold reached) and problems (readable list)
+ */
+function summarizeCertificate(certificate) {
+    const msLeft = Date.parse(certificate.validTo) - Date.now();
+    const daysLeft = Math.floor(msLeft / DAY_MS);
+    const reached = TLS_EXPIRY_WARNING_DAYS.filter(days => daysLeft <= days);
+    const threshold = reached.length > 0 ? reached[reached.length - 1] : null;
+
+    let level = 'ok';
+    if (msLeft <= 0) {
+        level = 'expired';
+    } else if (threshold !== null) {
+        level = threshold === TLS_EXPIRY_WARNING_DAYS[TLS_EXPIRY_WARNING_DAYS.length - 1] ? 'critical' : 'warning';
+    }
+
+    const problems = [];
+    if (certificate.hostnameError) {
+        problems.push(certificate.hostnameError);
+    }
+    if (certificate.selfSigned) {
+        problems.push('Self-signed certificate (not issued by a trusted authority)');
+    } else if (certificate.trustError && certificate.trustError !== 'CERT_HAS_EXPIRED') {
+        problems.push(`Untrusted certificate (${certificate.trustError})`);
+    }
+
+    return { ...certificate, daysLeft, level, threshold, problems };
+}
+
+/**
+ * Check links with at most HEALTH_CHECK_CONCURRENCY requests in flight
+ * @param {Array} links - Link records to check
+ * @returns {Promise<boolean>} - True if any link went up or down
+ */
+async function checkLinks(links) {
+    const queue = [...links];
+    let changed = false;
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const link = queue.shift();
+            const result = await runLinkCheck(link);
+
+            // Ignore results for links deleted, re-pointed or reconfigured while being checked
+            const current = data.links.find(l => l.id === link.id);
+            if (!current || current.url !== link.url || getCheckSignature(current) !== getCheckSignature(link)) continue;
+
+            if (recordHealthCheck(link, result)) {
+                changed = true;
+            }
+        }
+    };
+
+    const workerCount = Math.min(HEALTH_CHECK_CONCURRENCY, queue.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return changed;
+}
+
+/**
+ * Run one pass of the health monitor and announce status changes.
+ * Passes never overlap: a request made during a pass becomes a stale-only pass afterwards.
+ * @param {boolean} staleOnly - Only check links without a result for their current URL and settings
+ */
+async function runHealthChecks(staleOnly = false) {
+    if (healthCheckRunning) {
+        healthCheckQueued = true;
+        return;
+    }
+    healthCheckRunning = true;
+
+    try {
+        const linkIds = new Set(data.links.map(link => link.id));
+        for (const id of linkHealth.keys()) {
+            if (!linkIds.has(id)) {
+                linkHealth.delete(id);
+                healthHistoryDirty = true;
+            }
+        }
+
+        const links = staleOnly
+            ? data.links.filter(isLinkStatusStale)
+            : data.links.filter(link => !isLinkCheckDisabled(link));
+        // Uptime figures move on every pass, so full passes always refresh the dashboards
+        if (await checkLinks(links) || (!staleOnly && links.length > 0)) {
+            broadcastChange('status.change');
+        }
+    } catch (error) {
+        console.error('Health check error:', error);
+    } finally {
+        healthCheckRunning = false;
+    }
+
+    if (healthCheckQueued) {
+        healthCheckQueued = false;
+        runHealthChecks(true);
+    }
+}
+
+/**
+ * Check new and re-pointed links shortly after a save instead of waiting for the next pass
+ */
+function scheduleStaleLinkChecks() {
+    clearTimeout(staleLinkCheckTimer);
+    staleLinkCheckTimer = setTimeout(() => runHealthChecks(true), 500);
+}
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+// Channels hold webhook tokens and SMTP passwords, so like auth.json they are kept out of
+// data.json, its backups and exports
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.json');
+const NOTIFICATION_TIMEOUT_MS = 10 * 1000;
+const NOTIFICATION_CHANNEL_TYPES = ['webhook', 'ntfy', 'gotify', 'discord', 'slack', 'email'];
+// Never sent back to the browser; leaving them empty when editing a channel keeps the stored value
+const NOTIFICATION_SECRET_FIELDS = ['token', 'smtpPassword'];
+const EMAIL_ADDRESS_PATTERN = /^[^\s@,<>]+@[^\s@,<>]+$/;
+
+// Default notification settings structure
+let notificationConfig = {
+    // Consecutive failed checks before a link is reported down, so a single blip stays quiet
+    failureThreshold: 3,
+    channels: [],
+    nextChannelId: 1
+};
+
+/**
+ * Load notification channels from their JSON file
+ */
+function loadNotificationConfig() {
+    try {
+        if (fs.existsSync(NOTIFICATIONS_FILE)) {
+            const loadedConfig = JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+            notificationConfig = { ...notificationConfig, ...loadedConfig };
+        }
+    } catch (error) {
+        console.error('Error loading notification channels:', error);
+    }
+}
+
+/**
+ * Save notification channels to their JSON file
+ */
+function saveNotificationConfig() {
+    try {
+        const dataDir = path.dirname(NOTIFICATIONS_FILE);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+
+        writeFileAtomic(NOTIFICATIONS_FILE, JSON.stringify(notificationConfig, null, 2));
+    } catch (error) {
+        console.error('Error saving notification channels:', error);
+    }
+}
+
+/**
+ * Replace a channel's secrets with flags saying whether they are set
+ * @param {Object} channel - Channel record
+ * @returns {Object} - Channel safe to send to the browser or the audit log
+ */
+function sanitizeNotificationChannel(channel) {
+    const sanitized = { ...channel };
+    NOTIFICATION_SECRET_FIELDS.forEach(field => {
+        sanitized[`${field}Set`] = Boolean(channel[field]);
+        delete sanitized[field];
+    });
+    return sanitized;
+}
+
+/**
+ * Validate and normalize a notification channel from the admin panel
+ * @param {Object} input - Submitted channel settings
+ * @param {Object|null} existing - Channel being edited, whose secrets are kept unless replaced
+ * @returns {Object} - { success, channel, error }
+ */
+function validateNotificationChannel(input, existing = null) {
+    const fail = error => ({ success: false, channel: null, error });
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return fail('Channel must be an object');
+    }
+
+    const isSet = value => value !== undefined && value !== null && String(value).trim() !== '';
+    const values = { ...(existing || {}), ...input };
+    NOTIFICATION_SECRET_FIELDS.forEach(field => {
+        // null clears a secret, an empty field keeps it
+        if (existing && (input[field] === undefined || input[field] === '')) {
+            values[field] = existing[field];
+        }
+    });
+
+    if (!NOTIFICATION_CHANNEL_TYPES.includes(values.type)) {
+        return fail(`Channel type must be one of ${NOTIFICATION_CHANNEL_TYPES.join(', ')}`);
+    }
+    const name = isSet(values.name) ? String(values.name).trim() : '';
+    if (!name || name.length > 100) {
+        return fail('Channel name is required (max 100 characters)');
+    }
+
+    const channel = {
+        name,
+        type: values.type,
+        enabled: values.enabled !== false,
+        notifyRecovery: values.notifyRecovery !== false,
+        // null subscribes to every category, 0 stands for links without one
+        categoryIds: null
+    };
+
+    if (values.categoryIds !== undefined && values.categoryIds !== null) {
+        const knownIds = new Set([0, ...data.categories.map(category => category.id)]);
+        if (!Array.isArray(values.categoryIds) || values.categoryIds.some(id => !knownIds.has(id))) {
+            return fail('Categories must be a list of existing category IDs');
+        }
+        if (values.categoryIds.length === 0) {
+            return fail('Choose at least one category, or all of them');
+        }
+        channel.categoryIds = [...new Set(values.categoryIds)];
+    }
+
+    if (channel.type === 'email') {
+        if (!isSet(values.smtpHost)) {
+            return fail('SMTP server is required');
+        }
+        channel.smtpHost = String(values.smtpHost).trim();
+        channel.smtpSecure = values.smtpSecure === true;
+
+        const smtpPort = isSet(values.smtpPort) ? Number(values.smtpPort) : (channel.smtpSecure ? 465 : 587);
+        if (!Number.isInteger(smtpPort) || smtpPort < 1 || smtpPort > 65535) {
+            return fail('SMTP port must be a number from 1 to 65535');
+        }
+        channel.smtpPort = smtpPort;
+
+        if (isSet(values.smtpUser)) {
+            channel.smtpUser = String(values.smtpUser).trim();
+        }
+        if (isSet(values.smtpPassword)) {
+            channel.smtpPassword = String(values.smtpPassword);
+        }
+
+        if (!isSet(values.from) || !EMAIL_ADDRESS_PATTERN.test(String(values.from).trim())) {
+            return fail('Sender must be an e-mail address');
+        }
+        channel.from = String(values.from).trim();
+
+        const to = (Array.isArray(values.to) ? values.to : String(values.to || '').split(','))
+            .map(address => String(address).trim())
+            .filter(Boolean);
+        if (to.length === 0 || !to.every(address => EMAIL_ADDRESS_PATTERN.test(address))) {
+            return fail('Recipients must be one or more comma-separated e-mail addresses');
+        }
+        channel.to = to;
+    } else {
+        let url;
+        try {
+            url = new URL(String(values.url || '').trim());
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return fail('Channel URL must be an http:// or https:// address');
+        }
+        channel.url = url.toString();
+
+        if (isSet(values.token)) {
+            channel.token = String(values.token).trim();
+            if (/[\r\n]/.test(channel.token)) {
+                return fail('Token must be a single line');
+            }
+        } else if (channel.type === 'gotify') {
+            return fail('Gotify needs an application token');
+        }
+    }
+
+    return { success: true, channel };
+}
+
+/**
+ * Describe a duration for people, e.g. "2 h 5 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Rounded duration
+ */
+function describeDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'less than a minute';
+    if (minutes < 60) return `${minutes} min`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    return `${Math.floor(minutes / (24 * 60))} d ${Math.floor((minutes % (24 * 60)) / 60)} h`;
+}
+
+/**
+ * Build the message sent to every channel
+ * @param {string} event - 'down', 'recovered' or 'test'
+ * @param {Object} [link] - Link whose status changed (not set for tests)
+ * @param {Object} [outage] - Outage from the link's health history
+ * @returns {Object} - { event, title, message, hub, link, outage, timestamp }; sent as is by JSON webhooks
+ */
+function buildStatusNotification(event, link = null, outage = null) {
+    const notification = {
+        event,
+        title: 'Test notification',
+        message: `This channel will be told when links on ${data.siteTitle} go down or recover.`,
+        hub: data.siteTitle,
+        link: null,
+        outage: null,
+        timestamp: new Date().toISOString()
+    };
+    if (!link) return notification;
+
+    const category = data.categories.find(c => c.id === link.categoryId);
+    notification.link = { id: link.id, name: link.name, url: link.url, category: category ? category.name : null };
+    notification.outage = { start: outage.start, end: outage.end, checks: outage.checks, error: outage.error };
+
+    if (event === 'down') {
+        notification.title = `${link.name} is down`;
+        notification.message = `${link.url} failed ${outage.checks} checks in a row` +
+            (outage.error ? `: ${outage.error}` : '.');
+    } else {
+        notification.title = `${link.name} is back up`;
+        notification.message = `${link.url} is reachable again after ` +
+            `${describeDuration(Date.parse(outage.end) - Date.parse(outage.start))} down.`;
+    }
+    return notification;
+}
+
+/**
+ * Encode a header value that is not plain ASCII as RFC 2047 UTF-8 (understood by ntfy)
+ * @param {string} value - Header value
+ * @returns {string} - Value safe to send as an HTTP header
+ */
+function encodeHeaderValue(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * POST a notification and fail unless the receiver accepts it
+ * @param {string} url - Receiver URL
+ * @param {string} body - Request body
+ * @param {Object} headers - Request headers, including the content type
+ */
+async function postNotification(url, body, headers) {
+    const response = await makeHttpRequest(url, {
+        method: 'POST',
+        headers: { 'Content-Length': Buffer.byteLength(body), ...headers },
+        body
+    }, NOTIFICATION_TIMEOUT_MS);
+    response.resume();
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw new Error(`Receiver answered HTTP ${response.statusCode}`);
+    }
+}
+
+/**
+ * Send a notification through one channel in the format its service expects
+ * @param {Object} channel - Channel record
+ * @param {Object} notification - Message from buildStatusNotification
+ */
+async function deliverNotification(channel, notification) {
+    const marker = { down: '🔴', recovered: '🟢', test: '🔔' }[notification.event];
+    const json = { 'Content-Type': 'application/json' };
+    const bearer = channel.token ? { Authorization: `Bearer ${channel.token}` } : {};
+
+    if (channel.type === 'email') {
+        const transport = nodemailer.createTransport({
+            host: channel.smtpHost,
+            port: channel.smtpPort,
+            secure: channel.smtpSecure,
+            auth: channel.smtpUser ? { user: channel.smtpUser, pass: channel.smtpPassword } : undefined,
+            connectionTimeout: NOTIFICATION_TIMEOUT_MS,
+            greetingTimeout: NOTIFICATION_TIMEOUT_MS,
+            socketTimeout: NOTIFICATION_TIMEOUT_MS
+        });
+        const lines = [notification.message];
+        if (notification.link && notification.link.category) {
+            lines.push(`Category: ${notification.link.category}`);
+        }
+        await transport.sendMail({
+            from: channel.from,
+            to: channel.to.join(', '),
+            subject: `[${notification.hub}] ${notification.title}`,
+            text: lines.join('\n\n')
+        });
+        return;
+    }
+
+    if (channel.type === 'ntfy') {
+        return postNotification(channel.url, notification.message, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Title': encodeHeaderValue(notification.title),
+            'Priority': notification.event === 'down' ? 'high' : 'default',
+            'Tags': { down: 'rotating_light', recovered: 'white_check_mark', test: 'bell' }[notification.event],
+            ...bearer
+        });
+    }
+    if (channel.type === 'gotify') {
+        const body = JSON.stringify({
+            title: notification.title,
+            message: notification.message,
+            priority: notification.event === 'down' ? 8 : 5
+        });
+        return postNotification(`${channel.url.replace(/\/+$/, '')}/message`, body, { ...json, 'X-Gotify-Key': channel.token });
+    }
+    if (channel.type === 'discord') {
+        const body = JSON.stringify({ content: `${marker} **${notification.title}**\n${notification.message}` });
+        return postNotification(channel.url, body, json);
+    }
+    if (channel.type === 'slack') {
+        const body = JSON.stringify({ text: `${marker} *${notification.title}*\n${notification.message}` });
+        return postNotification(channel.url, body, json);
+    }
+    return postNotification(channel.url, JSON.stringify(notification), { ...json, ...bearer });
+}
+
+/**
+ * Send a notification through one channel and remember how it went
+ * @param {Object} channel - Channel record
+ * @param {Object} notification - Message from buildStatusNotification
+ * @returns {Promise<string|null>} - Error message, or null if it was delivered
+ */
+async function sendToChannel(channel, notification) {
+    let error = null;
+    try {
+        await deliverNotification(channel, notification);
+    } catch (deliveryError) {
+        error = deliveryError.message;
+        console.error(`Notification channel "${channel.name}" failed:`, error);
+    }
+
+    // The channel may have been edited while the message was on its way
+    const current = notificationConfig.channels.find(c => c.id === channel.id);
+    if (current) {
+        if (error) {
+            current.lastError = error;
+            current.lastErrorAt = new Date().toISOString();
+        } else {
+            current.lastSentAt = new Date().toISOString();
+            current.lastError = null;
+        }
+    }
+    return error;
+}
+
+/**
+ * Tell subscribed channels that a link went down or recovered
+ * @param {string} event - 'down' or 'recovered'
+ * @param {Object} link - Link record
+ * @param {Object} outage - The outage that reached the threshold or just ended
+ */
+async function sendStatusNotification(event, link, outage) {
+    // Built before the first await, while the outage still describes this event
+    const notification = buildStatusNotification(event, link, outage);
+    const categoryId = link.categoryId || 0;
+    const channels = notificationConfig.channels.filter(channel =>
+        channel.enabled &&
+        (event !== 'recovered' || channel.notifyRecovery) &&
+        (channel.categoryIds === null || channel.categoryIds.includes(categoryId))
+    );
+    if (channels.length === 0) return;
+
+    await Promise.all(channels.map(channel => sendToChannel(channel, notification)));
+    saveNotificationConfig();
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the IDs of categories marked private
+ * @returns {Set<number>} - Private category IDs
+ */
+function getPrivateCategoryIds() {
+    return new Set(data.categories.filter(cat => cat.private).map(cat => cat.id));
+}
+
+/**
+ * Check whether the requester may see private categories
+ * Any signed-in user (viewer and up) qualifies, as does an API token with the given read scope
+ * @param {Object} req - Express request object
+ * @param {string} scope - API token scope that grants access
+ * @returns {boolean} - True if private content may be returned
+ */
+function canViewPrivate(req, scope) {
+    if (getBearerToken(req) !== null) {
+        const match = findApiToken(req);
+        return Boolean(match && match.apiToken.scopes.includes(scope) && hasRole(match.user, 'viewer'));
+    }
+
+    const session = getSession(req);
+    return Boolean(session && !session.mustChangePassword && hasRole(session.user, 'viewer'));
+}
+
+/**
+ * Check whether the requester may see health check header values, which can carry credentials
+ * Editors qualify, as does an API token with the links:write scope
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if header values may be returned
+ */
+function canViewLinkChecks(req) {
+    if (getBearerToken(req) !== null) {
+        const match = findApiToken(req);
+        return Boolean(match && match.apiToken.scopes.includes('links:write') && hasRole(match.user, 'editor'));
+    }
+
+    const session = getSession(req);
+    return Boolean(session && !session.mustChangePassword && hasRole(session.user, 'editor'));
+}
+
+/**
+ * Check whether the requester may make health checks send server environment variables
+ * Anyone who can point a check at their own host could otherwise read any variable
+ * @param {Object} req - Express request object, after requireRole
+ * @returns {boolean} - True for admins signed in with a session
+ */
+function canUseEnvReferences(req) {
+    return !req.apiToken && hasRole(req.user, 'admin');
+}
+
+/**
+ * Get categories visible to the requester
+ * Private categories are only returned for signed-in users
+ * @param {Object} req - Express request object
+ * @returns {Array} - Visible categories
+ */
+function getVisibleCategories(req) {
+    if (canViewPrivate(req, 'categories:read')) {
+        return data.categories;
+    }
+    return data.categories.filter(cat => !cat.private);
+}
+
+/**
+ * Get links visible to the requester
+ * Links in private categories are only returned for signed-in users
+ * @param {Object} req - Express request object
+ * @returns {Array} - Visible links
+ */
+function getVisibleLinks(req) {
+    if (canViewPrivate(req, 'links:read')) {
+        return data.links;
+    }
+    const privateCategoryIds = getPrivateCategoryIds();
+    return data.links.filter(link => !privateCategoryIds.has(link.categoryId));
+}
+
+/**
+ * Create HTTP/HTTPS request options from URL
+ * @param {string} url - URL to parse
+ * @param {string} method - HTTP method (GET, HEAD, POST, etc.)
+ * @param {Object} additionalHeaders - Additional headers to include
+ * @returns {Object} - Request options object
+ */
+function createHttpOptions(url, method = 'GET', additionalHeaders = {}) {
+    const parsedUrl = new URL(url);
+    return {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+        path: parsedUrl.pathname + parsedUrl.search,
+        method,
+        headers: {
+            'User-Agent': 'LocalNetworkHub/1.0',
+            ...additionalHeaders
+        }
+    };
+}
+
+/**
+ * Make HTTP/HTTPS request with timeout and error handling
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise} - Promise that resolves with response or rejects with error
+ */
+function makeHttpRequest(url, options = {}, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        try {
+            const parsedUrl = new URL(url);
+            const client = parsedUrl.protocol === 'https:' ? https : http;
+            
+            const requestOptions = {
+                ...createHttpOptions(url, options.method, options.headers),
+                timeout
+            };
+            // Health checks inspect certificates themselves instead of failing on them
+            if (options.rejectUnauthorized === false) {
+                requestOptions.rejectUnauthorized = false;
+            }
+            
+            const req = client.request(requestOptions, (res) => {
+                resolve(res);
+            });
+            
+            req.on('error', (error) => {
+                reject(error);
+            });
+            
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('Request timeout'));
+            });
+            
+            req.setTimeout(timeout);
+            req.end(options.body);
+            
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Check website status via an HTTP/HTTPS request
+ * @param {string} url - URL to check
+ * @param {Object} check - Link check settings (method, expectedStatus, keyword, jsonPath, jsonValue, headers)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} - { online, statusCode, latencyMs, error, certificate }; latency is null if no
+ *                              response arrived, certificate is only set for HTTPS
+ */
+async function checkWebsiteStatus(url, check = {}, timeout = 5000) {
+    const startedAt = Date.now();
+    try {
+        const response = await makeHttpRequest(url, {
+            method: check.method || 'HEAD',
+            headers: check.headers,
+            // Self-signed and expiring certificates are reported separately, not as an outage
+            rejectUnauthorized: false
+        }, timeout);
+        const result = { online: false, statusCode: response.statusCode, latencyMs: Date.now() - startedAt, error: null };
+        if (response.socket && typeof response.socket.getPeerCertificate === 'function') {
+            result.certificate = inspectCertificate(response.socket, new URL(url).hostname);
+        }
+
+        if (!matchesExpectedStatus(response.statusCode, check.expectedStatus)) {
+            response.resume();
+            return { ...result, error: `HTTP ${response.statusCode}` };
+        }
+        if (!check.keyword && !check.jsonPath) {
+            response.resume();
+            return { ...result, online: true };
+        }
+
+        const body = await readResponseBody(response, LINK_CHECK_MAX_BODY_BYTES);
+        const bodyError = checkResponseBody(body, check);
+        return { ...result, online: !bodyError, error: bodyError };
+    } catch (error) {
+        return { online: false, statusCode: null, latencyMs: null, error: error.message };
+    }
+}
+
+/**
+ * Describe the certificate a TLS server presented
+ * @param {Object} socket - Connected TLS socket
+ * @param {string} hostname - Host name the link points at
+ * @returns {Object|null} - { subject, issuer, altNames, validFrom, validTo, fingerprint, selfSigned, hostnameError, trustError }
+ */
+function inspectCertificate(socket, hostname) {
+    const certificate = socket.getPeerCertificate(true);
+    if (!certificate || !certificate.valid_to) return null;
+
+    const trustError = socket.authorizationError
+        ? String(socket.authorizationError.code || socket.authorizationError)
+        : null;
+    const selfSigned = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'].includes(trustError) ||
+        certificate.issuerCertificate === certificate;
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    return {
+        subject: certificate.subject ? certificate.subject.CN || null : null,
+        issuer: certificate.issuer ? certificate.issuer.O || certificate.issuer.CN || null : null,
+        altNames: (certificate.subjectaltname || '')
+            .split(', ')
+            .filter(Boolean)
+            .map(name => name.replace(/^(DNS|IP Address):/, '')),
+        validFrom: new Date(certificate.valid_from).toISOString(),
+        validTo: new Date(certificate.valid_to).toISOString(),
+        fingerprint: certificate.fingerprint256,
+        selfSigned,
+        hostnameError: tls.checkServerIdentity(host, certificate) ? `Certificate is not valid for ${host}` : null,
+        trustError
+    };
+}
+
+/**
+ * Read a response body as text, keeping at most maxBytes
+ * @param {Object} response - Node HTTP response
+ * @param {number} maxBytes - Size limit; longer bodies are cut off
+ * @returns {Promise<string>} - Body text
+ */
+function readResponseBody(response, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        response.on('data', chunk => {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size >= maxBytes) {
+                response.destroy();
+                resolve(Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8'));
+            }
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+    });
+}
+
+/**
+ * Look for the expected keyword or JSON value in a response body
+ * @param {string} body - Response body
+ * @param {Object} check - Link check settings
+ * @returns {string|null} - Why the check failed, or null if it passed
+ */
+function checkResponseBody(body, check) {
+    if (check.keyword && !body.includes(check.keyword)) {
+        return `Keyword "${check.keyword}" not found in the response`;
+    }
+    if (!check.jsonPath) return null;
+
+    let value;
+    try {
+        value = parseJsonPath(check.jsonPath).reduce((current, step) => current == null ? undefined : current[step], JSON.parse(body));
+    } catch (error) {
+        return 'Response is not valid JSON';
+    }
+
+    if (check.jsonValue !== undefined) {
+        return String(value) === check.jsonValue ? null : `${check.jsonPath} is ${JSON.stringify(value)}, expected "${check.jsonValue}"`;
+    }
+    return value ? null : `${check.jsonPath} is ${value === undefined ? 'missing' : JSON.stringify(value)}`;
+}
+
+/**
+ * Check that a TCP port accepts connections
+ * @param {string} url - Link URL; its host is used, and its port unless one is given
+ * @param {number} port - Port to connect to (optional)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} - { online, statusCode, latencyMs, error }
+ */
+function checkTcpPort(url, port, timeout) {
+    const startedAt = Date.now();
+    return new Promise(resolve => {
+        const fail = message => resolve({ online: false, statusCode: null, latencyMs: null, error: message });
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            return fail(error.message);
+        }
+
+        const targetPort = port || parseInt(parsedUrl.port) || (parsedUrl.protocol === 'https:' ? 443 : 80);
+        const socket = net.connect({ host: parsedUrl.hostname.replace(/^\[|\]$/g, ''), port: targetPort });
+        socket.setTimeout(timeout);
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve({ online: true, statusCode: null, latencyMs: Date.now() - startedAt, error: null });
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            fail(`Port ${targetPort} did not answer`);
+        });
+        socket.once('error', error => fail(error.message));
+    });
+}
+
+/**
+ * Check that a link's host name resolves, without contacting the service
+ * @param {string} url - Link URL
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} - { online, statusCode, latencyMs, error }
+ */
+async function checkDnsResolution(url, timeout) {
+    const startedAt = Date.now();
+    let timer;
+    try {
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Resolving ${hostname} timed out`)), timeout);
+        });
+        await Promise.race([dns.promises.lookup(hostname), timedOut]);
+        return { online: true, statusCode: null, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+        return { online: false, statusCode: null, latencyMs: null, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Build a new link record and allocate its ID
+ * @param {Object} fields - { name, url, categoryId, check } where check is already validated
+ * @returns {Object} - Link record (not yet added to data.links)
+ */
+function createLinkRecord({ name, url, categoryId, check = null }) {
+    const link = {
+        id: data.nextId++,
+        name: name.trim(),
+        url: url.trim(),
+        categoryId: categoryId ? parseInt(categoryId) : null,
+        createdAt: new Date().toISOString()
+    };
+    if (check) {
+        link.check = check;
+    }
+    return link;
+}
+
+/**
+ * Build a new category record at the end of the category order and allocate its ID
+ * @param {string} name - Category name
+ * @returns {Object} - Category record (not yet added to data.categories)
+ */
+function createCategoryRecord(name) {
+    return {
+        id: data.nextCategoryId++,
+        name: name.trim(),
+        private: false,
+        order: data.categories.length,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Normalize a URL for duplicate detection (case and trailing slashes ignored)
+ * @param {string} url - Link URL
+ * @returns {string} - Comparable URL
+ */
+function normalizeLinkUrl(url) {
+    return String(url).trim().toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Find a category by name (case-insensitive)
+ * @param {string} name - Category name
+ * @returns {Object|undefined} - Category
+ */
+function findCategoryByName(name) {
+    const normalized = String(name).trim().toLowerCase();
+    return data.categories.find(category => category.name.toLowerCase() === normalized);
+}
+
+/**
+ * Validate required fields in request body
+ * @param {Object} body - Request body object
+ * @param {Array} requiredFields - Array of required field names
+ * @returns {Object} - Validation result with success flag and error message
+ */
+function validateRequiredFields(body, requiredFields) {
+    const missingFields = requiredFields.filter(field => !body[field] || !body[field].toString().trim());
+    
+    if (missingFields.length > 0) {
+        return {
+            success: false,
+            error: `Missing required fields: ${missingFields.join(', ')}`
+        };
+    }
+    
+    return { success: true };
+}
+
+/**
+ * Create standardized API response
+ * @param {boolean} success - Success flag
+ * @param {Object} data - Response data
+ * @param {string} error - Error message (if any)
+ * @returns {Object} - Standardized response object
+ */
+function createApiResponse(success, data = null, error = null) {
+    const response = { success };
+    
+    if (success && data) {
+        Object.assign(response, data);
+    }
+    
+    if (!success && error) {
+        response.error = error;
+    }
+    
+    return response;
+}
+
+/**
+ * Handle API errors consistently
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error object
+ * @param {string} operation - Operation being performed
+ * @param {number} statusCode - HTTP status code
+ */
+function handleApiError(res, error, operation, statusCode = 500) {
+    console.error(`${operation} error:`, error);
+    res.status(statusCode).json(createApiResponse(false, null, `Server error during ${operation}`));
+}
+
+/**
+ * Compute the ETag of a resource version
+ * @param {*} value - Resource (record, config object or file content)
+ * @returns {string} - Quoted strong ETag
+ */
+function computeEtag(value) {
+    const content = typeof value === 'string' ? value : JSON.stringify(value);
+    return `"${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}"`;
+}
+
+/**
+ * Add the ETag to a link record for API responses
+ * @param {Object} link - Link record
+ * @returns {Object} - Copy of the link with `etag`
+ */
+function withEtag(link) {
+    return { ...link, etag: computeEtag(link) };
+}
+
+/**
+ * Check If-Match / If-None-Match before overwriting a resource
+ * Requests without either header are let through (scripts, older clients).
+ * On a conflict a 409 is sent with the current version so the client can merge.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {*} current - Current version of the resource, or null if it doesn't exist
+ * @returns {boolean} - True if the write may go ahead
+ */
+function checkPrecondition(req, res, current) {
+    const currentEtag = current === null ? null : computeEtag(current);
+    const ifMatch = req.get('If-Match');
+    const ifNoneMatch = req.get('If-None-Match');
+
+    let conflict = false;
+    if (ifNoneMatch === '*' && current !== null) {
+        conflict = true;
+    }
+    if (ifMatch) {
+        const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        conflict = conflict || current === null || !(tags.includes('*') || tags.includes(currentEtag));
+    }
+
+    if (!conflict) return true;
+
+    if (currentEtag) {
+        res.set('ETag', currentEtag);
+    }
+    res.status(409).json({
+        ...createApiResponse(false, null, current === null
+            ? 'This was deleted by someone else'
+            : 'Someone else changed this since you opened it'),
+        current,
+        etag: currentEtag
+    });
+    return false;
+}
+
+// =============================================================================
+// API ROUTES - AUTHENTICATION
+// =============================================================================
+
+/**
+ * Issue a session for a fully authenticated user and send the login response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user account
+ */
+function completeLogin(req, res, user) {
+    resetLoginThrottle(req.ip, user.username);
+    const session = createSession(req, user);
+    setSessionCookie(res, session);
+    res.json(createApiResponse(true, {
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        mustChangePassword: session.mustChangePassword,
+        csrfToken: getCsrfToken(session),
+        user: sanitizeUser(user)
+    }));
+}
+
+/**
+ * Admin login endpoint
+ * Issues an HttpOnly session cookie on success, or a two-factor challenge
+ * token when the account has TOTP enabled
+ */
+app.post('/api/admin/login', async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['password']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+    
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+    
+    // Username is optional for backwards compatibility with single-password logins
+    const username = (req.body.username || BOOTSTRAP_ADMIN_USERNAME).toString().trim();
+    
+    try {
+        const user = findUserByUsername(username);
+        // Compare against the default hash for unknown users to keep timing uniform
+        const isValid = await bcrypt.compare(req.body.password,
+            user ? getUserPasswordHash(user) : DEFAULT_ADMIN_PASSWORD_HASH);
+        if (!user || !isValid || user.authSource === 'forward-auth') {
+            recordFailedLogin(req, username);
+            return res.status(401).json(createApiResponse(false, null, 'Invalid username or password'));
+        }
+
+        if (user.totpSecret) {
+            return res.json(createApiResponse(true, {
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallenge(user)
+            }));
+        }
+
+        completeLogin(req, res, user);
+    } catch (error) {
+        handleApiError(res, error, 'login');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Second login step for accounts with two-factor authentication
+ * Accepts a TOTP code or a single-use recovery code
+ */
+app.post('/api/admin/login/2fa', async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['challengeToken', 'code']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+
+    const { challengeToken, code } = req.body;
+    const challenge = twoFactorChallenges.get(challengeToken);
+    const user = challenge && authData.users.find(u => u.id === challenge.userId);
+
+    try {
+        if (!challenge || challenge.expiresAt <= Date.now() || !user || !user.totpSecret) {
+            twoFactorChallenges.delete(challengeToken);
+            return res.status(401).json(createApiResponse(false, null, 'Login expired, please sign in again'));
+        }
+
+        if (!await verifySecondFactor(user, code)) {
+            recordFailedLogin(req, user.username);
+            challenge.attempts++;
+            if (challenge.attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+                twoFactorChallenges.delete(challengeToken);
+            }
+            return res.status(401).json(createApiResponse(false, null, 'Invalid verification code'));
+        }
+
+        twoFactorChallenges.delete(challengeToken);
+        completeLogin(req, res, user);
+    } catch (error) {
+        handleApiError(res, error, 'two-factor login');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Change the signed-in user's password
+ * Verifies the current password and persists the new bcrypt hash to the data directory
+ */
+app.post('/api/admin/password', requireSession, async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['currentPassword', 'newPassword']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (req.session.forwardAuth) {
+        return res.status(400).json(createApiResponse(false, null, 'Your password is managed by the authentication proxy'));
+    }
+
+    if (newPassword.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return res.status(400).json(createApiResponse(false, null,
+            `New password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`));
+    }
+
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+
+    try {
+        const isValid = await bcrypt.compare(currentPassword, getUserPasswordHash(req.user));
+        if (!isValid) {
+            recordFailedLogin(req, req.user.username);
+            return res.status(401).json(createApiResponse(false, null, 'Current password is incorrect'));
+        }
+
+        if (await bcrypt.compare(newPassword, DEFAULT_ADMIN_PASSWORD_HASH) || newPassword === currentPassword) {
+            return res.status(400).json(createApiResponse(false, null, 'Please choose a different password'));
+        }
+
+        req.user.passwordHash = await bcrypt.hash(newPassword, 10);
+        req.user.passwordChangedAt = new Date().toISOString();
+        saveAuthData();
+
+        // Sign out the user's other sessions; the current one stays valid
+        revokeUserSessions(req.user.id, req.session.token);
+        req.session.mustChangePassword = false;
+        recordAudit(req, 'user.password-change', { id: req.user.id, name: req.user.username }, null, null);
+
+        console.log(`Password changed for user "${req.user.username}"`);
+        res.json(createApiResponse(true));
+    } catch (error) {
+        handleApiError(res, error, 'change password');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Start two-factor enrollment for the signed-in user
+ * Returns a new secret and a locally rendered QR code; 2FA stays off until confirmed
+ */
+app.post('/api/admin/2fa/setup', requireRole('viewer'), async (req, res) => {
+    if (req.user.authSource === 'forward-auth') {
+        return res.status(400).json(createApiResponse(false, null, 'Two-factor authentication is handled by the authentication proxy'));
+    }
+    if (req.user.totpSecret) {
+        return res.status(400).json(createApiResponse(false, null, 'Two-factor authentication is already enabled'));
+    }
+
+    try {
+        const secret = base32Encode(crypto.randomBytes(20));
+        req.user.totpPendingSecret = secret;
+        saveAuthData();
+
+        const otpauthUrl = buildTotpUri(req.user, secret);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        res.json(createApiResponse(true, { secret, otpauthUrl, qrCode }));
+    } catch (error) {
+        handleApiError(res, error, 'two-factor setup');
+    }
+});
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * Returns the recovery codes, which are only shown this once. Wrong codes are throttled like failed logins.
+ */
+app.post('/api/admin/2fa/enable', requireRole('viewer'), async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['code']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const secret = req.user.totpPendingSecret;
+    if (!secret) {
+        return res.status(400).json(createApiResponse(false, null, 'Start two-factor setup first'));
+    }
+
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+
+    try {
+        const step = verifyTotpCode(secret, req.body.code);
+        if (step === null) {
+            recordFailedLogin(req, req.user.username);
+            return res.status(400).json(createApiResponse(false, null, 'Invalid verification code'));
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(req.user);
+        req.user.totpSecret = secret;
+        req.user.totpLastUsedStep = step;
+        delete req.user.totpPendingSecret;
+        saveAuthData();
+        recordAudit(req, 'user.2fa-enable', { id: req.user.id, name: req.user.username },
+            { twoFactorEnabled: false }, { twoFactorEnabled: true });
+
+        console.log(`Two-factor authentication enabled for "${req.user.username}"`);
+        res.json(createApiResponse(true, { recoveryCodes }));
+    } catch (error) {
+        handleApiError(res, error, 'enable two-factor');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Replace the signed-in user's recovery codes
+ * Takes a TOTP or recovery code; wrong codes are throttled like failed logins
+ */
+app.post('/api/admin/2fa/recovery-codes', requireRole('viewer'), async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['code']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    if (!req.user.totpSecret) {
+        return res.status(400).json(createApiResponse(false, null, 'Two-factor authentication is not enabled'));
+    }
+
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+
+    try {
+        if (!await verifySecondFactor(req.user, req.body.code)) {
+            recordFailedLogin(req, req.user.username);
+            return res.status(400).json(createApiResponse(false, null, 'Invalid verification code'));
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(req.user);
+        saveAuthData();
+
+        res.json(createApiResponse(true, { recoveryCodes }));
+    } catch (error) {
+        handleApiError(res, error, 'regenerate recovery codes');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Turn off two-factor authentication for the signed-in user
+ * Requires the current password and a valid code
+ */
+app.post('/api/admin/2fa/disable', requireRole('viewer'), async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['password', 'code']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    if (!req.user.totpSecret) {
+        return res.status(400).json(createApiResponse(false, null, 'Two-factor authentication is not enabled'));
+    }
+
+    if (!reserveLoginAttempt(req, res)) {
+        return;
+    }
+
+    try {
+        const isValid = await bcrypt.compare(req.body.password, getUserPasswordHash(req.user));
+        if (!isValid || !await verifySecondFactor(req.user, req.body.code)) {
+            recordFailedLogin(req, req.user.username);
+            return res.status(401).json(createApiResponse(false, null, 'Invalid password or verification code'));
+        }
+
+        clearTwoFactor(req.user);
+        saveAuthData();
+        recordAudit(req, 'user.2fa-disable', { id: req.user.id, name: req.user.username },
+            { twoFactorEnabled: true }, { twoFactorEnabled: false });
+
+        console.log(`Two-factor authentication disabled for "${req.user.username}"`);
+        res.json(createApiResponse(true));
+    } catch (error) {
+        handleApiError(res, error, 'disable two-factor');
+    } finally {
+        releaseLoginAttempt(req.ip);
+    }
+});
+
+/**
+ * Admin logout endpoint
+ * Revokes the current session server-side
+ */
+app.post('/api/admin/logout', (req, res) => {
+    const token = parseCookies(req)[SESSION_COOKIE_NAME];
+    if (token) {
+        sessions.delete(token);
+    }
+
+    clearSessionCookie(res);
+    res.json(createApiResponse(true));
+});
+
+/**
+ * Get current admin session status
+ */
+app.get('/api/admin/session', (req, res) => {
+    const session = getSession(req);
+    if (!session) {
+        return res.json(createApiResponse(true, { authenticated: false }));
+    }
+
+    res.json(createApiResponse(true, {
+        authenticated: true,
+        expiresAt: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+        mustChangePassword: session.mustChangePassword,
+        forwardAuth: Boolean(session.forwardAuth),
+        logoutUrl: session.forwardAuth ? FORWARD_AUTH_LOGOUT_URL : null,
+        csrfToken: getCsrfToken(session),
+        user: sanitizeUser(session.user)
+    }));
+});
+
+/**
+ * List recent failed login attempts and currently locked-out IPs
+ */
+app.get('/api/admin/failed-logins', requireRole('admin'), (req, res) => {
+    const attempts = authData.failedLogins.slice(-50).reverse();
+
+    const lockouts = [];
+    for (const ip of loginThrottle.keys()) {
+        const state = getLoginThrottleState(ip);
+        if (state && state.lockedUntil) {
+            lockouts.push({ ip, failures: state.failures, lockedUntil: new Date(state.lockedUntil).toISOString() });
+        }
+    }
+
+    res.json(createApiResponse(true, { attempts, lockouts }));
+});
+
+/**
+ * Clear the failed login history and lift all lockouts
+ */
+app.delete('/api/admin/failed-logins', requireRole('admin'), (req, res) => {
+    const clearedCount = authData.failedLogins.length;
+    authData.failedLogins = [];
+    loginThrottle.clear();
+    saveAuthData();
+    recordAudit(req, 'security.failed-logins-clear', null, { failedLogins: clearedCount }, { failedLogins: 0 });
+
+    res.json(createApiResponse(true));
+});
+
+// =============================================================================
+// API ROUTES - USER MANAGEMENT
+// =============================================================================
+
+/**
+ * Count accounts with the admin role
+ * @returns {number} - Number of admin users
+ */
+function countAdmins() {
+    return authData.users.filter(user => user.role === 'admin').length;
+}
+
+/**
+ * List all user accounts
+ */
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json(createApiResponse(true, { users: authData.users.map(sanitizeUser), roles: USER_ROLES }));
+});
+
+/**
+ * Create a user account
+ */
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const validation = validateRequiredFields(req.body, ['username', 'password', 'role']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const username = req.body.username.trim();
+    const { password, role } = req.body;
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json(createApiResponse(false, null,
+            'Username may only contain letters, numbers, dots, dashes and underscores (max 32)'));
+    }
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json(createApiResponse(false, null, `Role must be one of: ${USER_ROLES.join(', ')}`));
+    }
+    if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return res.status(400).json(createApiResponse(false, null,
+            `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`));
+    }
+    if (findUserByUsername(username)) {
+        return res.status(409).json(createApiResponse(false, null, 'Username already exists'));
+    }
+
+    try {
+        const newUser = {
+            id: authData.nextUserId++,
+            username,
+            role,
+            passwordHash: await bcrypt.hash(password, 10),
+            createdAt: new Date().toISOString()
+        };
+
+        authData.users.push(newUser);
+        saveAuthData();
+        recordAudit(req, 'user.create', { id: newUser.id, name: newUser.username }, null, sanitizeUser(newUser));
+
+        res.json(createApiResponse(true, { user: sanitizeUser(newUser) }));
+    } catch (error) {
+        handleApiError(res, error, 'create user');
+    }
+});
+
+/**
+ * Update a user's role and/or reset their password
+ */
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const user = authData.users.find(u => u.id === id);
+
+    if (!user) {
+        return res.status(404).json(createApiResponse(false, null, 'User not found'));
+    }
+
+    const { role, password } = req.body;
+
+    if (user.authSource === 'forward-auth' && (role !== undefined || password !== undefined)) {
+        return res.status(400).json(createApiResponse(false, null, 'This account is managed by the authentication proxy'));
+    }
+
+    if (role !== undefined) {
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json(createApiResponse(false, null, `Role must be one of: ${USER_ROLES.join(', ')}`));
+        }
+        if (user.role === 'admin' && role !== 'admin' && countAdmins() === 1) {
+            return res.status(400).json(createApiResponse(false, null, 'Cannot demote the last admin'));
+        }
+    }
+    if (password !== undefined && String(password).length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return res.status(400).json(createApiResponse(false, null,
+            `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`));
+    }
+
+    try {
+        const before = sanitizeUser(user);
+        if (role !== undefined) {
+            user.role = role;
+        }
+        if (password !== undefined) {
+            user.passwordHash = await bcrypt.hash(String(password), 10);
+            user.passwordChangedAt = new Date().toISOString();
+            // Force the user to sign in again with the new password
+            revokeUserSessions(user.id, user.id === req.user.id ? req.session.token : undefined);
+        }
+        user.updatedAt = new Date().toISOString();
+        saveAuthData();
+        recordAudit(req, 'user.update', { id: user.id, name: user.username }, before, sanitizeUser(user));
+
+        res.json(createApiResponse(true, { user: sanitizeUser(user) }));
+    } catch (error) {
+        handleApiError(res, error, 'update user');
+    }
+});
+
+/**
+ * Reset another user's two-factor authentication (e.g. lost device)
+ */
+app.post('/api/users/:id/2fa/reset', requireRole('admin'), (req, res) => {
+    const id = parseInt(req.params.id);
+    const user = authData.users.find(u => u.id === id);
+
+    if (!user) {
+        return res.status(404).json(createApiResponse(false, null, 'User not found'));
+    }
+
+    clearTwoFactor(user);
+    user.updatedAt = new Date().toISOString();
+    saveAuthData();
+    recordAudit(req, 'user.2fa-reset', { id: user.id, name: user.username },
+        { twoFactorEnabled: true }, { twoFactorEnabled: false });
+
+    console.log(`Two-factor authentication reset for "${user.username}" by "${req.user.username}"`);
+    res.json(createApiResponse(true, { user: sanitizeUser(user) }));
+});
+
+/**
+ * Delete a user account and revoke its sessions
+ */
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+    const id = parseInt(req.params.id);
+    const userIndex = authData.users.findIndex(u => u.id === id);
+
+    if (userIndex === -1) {
+        return res.status(404).json(createApiResponse(false, null, 'User not found'));
+    }
+    if (id === req.user.id) {
+        return res.status(400).json(createApiResponse(false, null, 'Cannot delete your own account'));
+    }
+    if (authData.users[userIndex].role === 'admin' && countAdmins() === 1) {
+        return res.status(400).json(createApiResponse(false, null, 'Cannot delete the last admin'));
+    }
+
+    const [deletedUser] = authData.users.splice(userIndex, 1);
+    authData.apiTokens = authData.apiTokens.filter(apiToken => apiToken.userId !== id);
+    revokeUserSessions(id);
+    saveAuthData();
+    recordAudit(req, 'user.delete', { id, name: deletedUser.username }, sanitizeUser(deletedUser), null);
+
+    res.json(createApiResponse(true));
+});
+
+// =============================================================================
+// API ROUTES - API TOKENS
+// =============================================================================
+
+/**
+ * List API tokens (admins see every user's tokens, others only their own)
+ */
+app.get('/api/tokens', requireRole('viewer'), (req, res) => {
+    const tokens = authData.apiTokens
+        .filter(apiToken => hasRole(req.user, 'admin') || apiToken.userId === req.user.id)
+        .map(sanitizeApiToken);
+
+    const availableScopes = Object.keys(API_TOKEN_SCOPES)
+        .filter(scope => hasRole(req.user, API_TOKEN_SCOPES[scope]));
+
+    res.json(createApiResponse(true, { tokens, availableScopes }));
+});
+
+/**
+ * Create an API token for the signed-in user
+ * The raw token is only returned in this response; just its hash is stored
+ */
+app.post('/api/tokens', requireRole('viewer'), (req, res) => {
+    const validation = validateRequiredFields(req.body, ['name']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const { scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json(createApiResponse(false, null, 'At least one scope is required'));
+    }
+    const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+        return res.status(400).json(createApiResponse(false, null, `Unknown scopes: ${unknownScopes.join(', ')}`));
+    }
+    const forbiddenScopes = scopes.filter(scope => !hasRole(req.user, API_TOKEN_SCOPES[scope]));
+    if (forbiddenScopes.length > 0) {
+        return res.status(403).json(createApiResponse(false, null, `Your role cannot grant: ${forbiddenScopes.join(', ')}`));
+    }
+
+    const days = parseInt(expiresInDays);
+    const rawToken = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const apiToken = {
+        id: authData.nextApiTokenId++,
+        name: req.body.name.trim(),
+        userId: req.user.id,
+        scopes: [...new Set(scopes)],
+        tokenHash: hashApiToken(rawToken),
+        prefix: rawToken.slice(0, API_TOKEN_PREFIX.length + 6),
+        createdAt: now.toISOString(),
+        expiresAt: days > 0 ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        lastUsedAt: null,
+        lastUsedIp: null
+    };
+
+    authData.apiTokens.push(apiToken);
+    saveAuthData();
+    recordAudit(req, 'token.create', { id: apiToken.id, name: apiToken.name }, null, sanitizeApiToken(apiToken));
+
+    res.json(createApiResponse(true, { token: rawToken, apiToken: sanitizeApiToken(apiToken) }));
+});
+
+/**
+ * Revoke an API token
+ */
+app.delete('/api/tokens/:id', requireRole('viewer'), (req, res) => {
+    const id = parseInt(req.params.id);
+    const tokenIndex = authData.apiTokens.findIndex(apiToken => apiToken.id === id);
+
+    if (tokenIndex === -1) {
+        return res.status(404).json(createApiResponse(false, null, 'Token not found'));
+    }
+    if (authData.apiTokens[tokenIndex].userId !== req.user.id && !hasRole(req.user, 'admin')) {
+        return res.status(403).json(createApiResponse(false, null, 'Insufficient permissions'));
+    }
+
+    const [revokedToken] = authData.apiTokens.splice(tokenIndex, 1);
+    saveAuthData();
+    recordAudit(req, 'token.revoke', { id, name: revokedToken.name }, sanitizeApiToken(revokedToken), null);
+
+    res.json(createApiResponse(true));
+});
+
+// =============================================================================
+// API ROUTES - AUDIT LOG
+// =============================================================================
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+/**
+ * Read the audit log, newest first
+ * Query: page, limit, actor, action (exact or resource prefix such as "link"),
+ * q (text search over target, route and IP), since/until (ISO dates)
+ */
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+    try {
+        const { actor, action, q, since, until } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+        const sinceTime = since ? Date.parse(since) : NaN;
+        const untilTime = until ? Date.parse(until) : NaN;
+        const search = (q || '').toString().trim().toLowerCase();
+
+        const allEntries = storage.readAudit();
+        const entries = allEntries.filter(entry => {
+            if (actor && entry.actor !== actor) return false;
+            if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+
+            const time = Date.parse(entry.timestamp);
+            if (!isNaN(sinceTime) && time < sinceTime) return false;
+            if (!isNaN(untilTime) && time > untilTime) return false;
+
+            if (search) {
+                const haystack = [entry.target && entry.target.name, entry.route, entry.ip]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            return true;
+        }).reverse();
+
+        const pages = Math.max(1, Math.ceil(entries.length / limit));
+        const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), pages);
+
+        res.json(createApiResponse(true, {
+            entries: entries.slice((page - 1) * limit, page * limit),
+            total: entries.length,
+            page,
+            pages,
+            actors: [...new Set(allEntries.map(entry => entry.actor).filter(Boolean))].sort(),
+            actions: [...new Set(allEntries.map(entry => entry.action))].sort()
+        }));
+    } catch (error) {
+        handleApiError(res, error, 'read audit log');
+    }
+});
+
+// =============================================================================
+// API ROUTES - BACKUPS
+// =============================================================================
+
+/**
+ * List backups of data.json with a summary of each
+ */
+app.get('/api/backups', requireRole('admin'), (req, res) => {
+    try {
+        const backups = listBackupFiles().map(name => {
+            const filePath = path.join(BACKUP_DIR, name);
+            const backup = { name, createdAt: fs.statSync(filePath).mtime.toISOString(), size: fs.statSync(filePath).size };
+            try {
+                const backupData = readDataFile(filePath);
+                return {
+                    ...backup,
+                    valid: true,
+                    schemaVersion: getSchemaVersion(backupData),
+                    links: backupData.links.length,
+                    categories: backupData.categories.length
+                };
+            } catch (error) {
+                return { ...backup, valid: false };
+            }
+        });
+
+        res.json(createApiResponse(true, {
+            backups,
+            keep: BACKUP_KEEP,
+            intervalMinutes: BACKUP_INTERVAL_MS / 60000,
+            schemaVersion: CURRENT_SCHEMA_VERSION
+        }));
+    } catch (error) {
+        handleApiError(res, error, 'list backups');
+    }
+});
+
+/**
+ * Create a backup of the current data immediately
+ */
+app.post('/api/backups', requireRole('admin'), (req, res) => {
+    try {
+        const name = createBackup();
+        if (!name) {
+            return res.status(400).json(createApiResponse(false, null, 'Nothing to back up yet'));
+        }
+        recordAudit(req, 'backup.create', { name }, null, null);
+
+        res.json(createApiResponse(true, { name }));
+    } catch (error) {
+        handleApiError(res, error, 'create backup');
+    }
+});
+
+/**
+ * Restore data from a backup
+ * The current data is backed up first so a restore can itself be undone
+ */
+app.post('/api/backups/:name/restore', requireRole('admin'), (req, res) => {
+    const name = req.params.name;
+    if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+        return res.status(404).json(createApiResponse(false, null, 'Backup not found'));
+    }
+
+    let backupData;
+    try {
+        backupData = readDataFile(path.join(BACKUP_DIR, name));
+    } catch (error) {
+        return res.status(400).json(createApiResponse(false, null, 'Backup file is corrupt'));
+    }
+    if (getSchemaVersion(backupData) > CURRENT_SCHEMA_VERSION) {
+        return res.status(400).json(createApiResponse(false, null, 'Backup was written by a newer version of ProteusBox'));
+    }
+
+    try {
+        const summarize = () => ({ links: data.links.length, categories: data.categories.length });
+        const before = summarize();
+
+        const safetyBackup = createBackup();
+        migrateData(backupData, `backup ${name}`);
+        data = structuredClone(DEFAULT_DATA);
+        applyLoadedData(backupData);
+        saveData();
+
+        recordAudit(req, 'backup.restore', { name }, before, summarize());
+        console.log(`Restored data from backup ${name} (previous data saved as ${safetyBackup})`);
+
+        res.json(createApiResponse(true, { restored: name, safetyBackup }));
+    } catch (error) {
+        handleApiError(res, error, 'restore backup');
+    }
+});
+
+// =============================================================================
+// API ROUTES - EXPORT / IMPORT
+// =============================================================================
+
+const EXPORT_FORMAT = 'proteusbox-export';
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORTED_SETTINGS = ['siteTitle', 'homepageMessage', 'chatConfig', 'filterConfig', 'colorConfig'];
+
+/**
+ * Read every markdown project file
+ * @returns {Array<Object>} - Files as { name, content }
+ */
+function readProjectFiles() {
+    ensureProjectDir();
+    return fs.readdirSync(PROJECT_DIR)
+        .filter(name => name.endsWith('.md'))
+        .map(name => ({ name, content: fs.readFileSync(path.join(PROJECT_DIR, name), 'utf8') }));
+}
+
+/**
+ * Validate an export bundle and bring its data up to the current schema
+ * @param {Object} bundle - Parsed export bundle
+ * @returns {Object} - Bundle data and project files
+ * @throws {Error} - If the bundle is not a usable export
+ */
+function readExportBundle(bundle) {
+    if (!bundle || bundle.format !== EXPORT_FORMAT || !bundle.data) {
+        throw new Error('Not a ProteusBox export file');
+    }
+    if (bundle.formatVersion > EXPORT_FORMAT_VERSION) {
+        throw new Error('Export was created by a newer version of ProteusBox');
+    }
+
+    const bundleData = structuredClone(bundle.data);
+    if (!Array.isArray(bundleData.links) || !Array.isArray(bundleData.categories)) {
+        throw new Error('Export is missing links or categories');
+    }
+    bundleData.schemaVersion = bundle.schemaVersion;
+    migrateData(bundleData, 'import bundle');
+
+    // Health checks get the same validation as links saved in the admin panel (imports are admin-only)
+    bundleData.links.forEach(link => {
+        const { success, check, error } = validateLinkCheck(link.check, { allowEnvReferences: true });
+        if (!success) {
+            throw new Error(`Link "${link.name}": ${error}`);
+        }
+        if (check) {
+            link.check = check;
+        } else {
+            delete link.check;
+        }
+    });
+
+    const projects = (Array.isArray(bundle.projects) ? bundle.projects : [])
+        .filter(file => file && typeof file.name === 'string' && typeof file.content === 'string')
+        .map(file => {
+            const name = path.basename(file.name);
+            return { name: name.endsWith('.md') ? name : `${name}.md`, content: file.content };
+        });
+
+    return { bundleData, projects };
+}
+
+/**
+ * Work out what an import would change without touching anything
+ * Replace mode swaps in the bundle wholesale (keeping its IDs) and keeps the
+ * trash, into which the replaced links, categories and project files go. Merge mode
+ * matches categories by name, gives new links and categories fresh IDs so
+ * they never collide with nextId/nextCategoryId, skips links whose URL already
+ * exists in the same category, and keeps the current settings.
+ * @param {Object} bundle - Parsed export bundle
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} - { preview, nextData, projectWrites, projectDeletes, removed }
+ */
+function planImport(bundle, mode) {
+    const { bundleData, projects } = readExportBundle(bundle);
+    const existingProjects = readProjectFiles();
+    const existingProjectNames = new Map(existingProjects.map(file => [file.name, file.content]));
+
+    const preview = {
+        mode,
+        categories: { added: [], matched: [], removed: [] },
+        links: { added: 0, skippedDuplicates: [], removed: 0 },
+        projects: { added: [], overwritten: [], removed: [] },
+        settings: []
+    };
+    const removed = { categories: [], links: [], projects: [] };
+
+    let nextData;
+
+    if (mode === 'replace') {
+        nextData = structuredClone(DEFAULT_DATA);
+        nextData = { ...nextData, ...bundleData, trash: structuredClone(data.trash), nextTrashId: data.nextTrashId };
+        EXPORTED_SETTINGS.forEach(key => {
+            if (JSON.stringify(data[key]) !== JSON.stringify(nextData[key])) {
+                preview.settings.push(key);
+            }
+        });
+
+        preview.categories.added = bundleData.categories.filter(cat => !cat.isDefault).map(cat => cat.name);
+        preview.categories.removed = data.categories.filter(cat => !cat.isDefault).map(cat => cat.name);
+        preview.links.added = bundleData.links.length;
+        preview.links.removed = data.links.length;
+        removed.categories = data.categories.filter(cat => !cat.isDefault);
+        removed.links = data.links;
+        removed.projects = existingProjects.filter(file => !projects.some(project => project.name === file.name));
+        preview.projects.removed = removed.projects.map(file => file.name);
+        preview.trash = { kept: data.trash.length };
+    } else {
+        nextData = structuredClone(data);
+        const categoryIdMap = new Map();
+
+        bundleData.categories.forEach(category => {
+            const existing = nextData.categories.find(cat =>
+                (category.isDefault && cat.isDefault) || cat.name.toLowerCase() === category.name.toLowerCase());
+            if (existing) {
+                categoryIdMap.set(category.id, existing.id);
+                if (!category.isDefault) preview.categories.matched.push(category.name);
+                return;
+            }
+
+            const newCategory = {
+                ...category,
+                id: nextData.nextCategoryId++,
+                order: nextData.categories.length,
+                createdAt: category.createdAt || new Date().toISOString()
+            };
+            delete newCategory.isDefault;
+            nextData.categories.push(newCategory);
+            categoryIdMap.set(category.id, newCategory.id);
+            preview.categories.added.push(category.name);
+        });
+
+        bundleData.links.forEach(link => {
+            const categoryId = link.categoryId === null ? null : (categoryIdMap.get(link.categoryId) ?? null);
+            const isDuplicate = nextData.links.some(existing =>
+                normalizeLinkUrl(existing.url) === normalizeLinkUrl(link.url) && existing.categoryId === categoryId);
+            if (isDuplicate) {
+                preview.links.skippedDuplicates.push(link.name);
+                return;
+            }
+
+            nextData.links.push({ ...link, id: nextData.nextId++, categoryId });
+            preview.links.added++;
+        });
+    }
+
+    projects.forEach(project => {
+        if (!existingProjectNames.has(project.name)) {
+            preview.projects.added.push(project.name);
+        } else if (existingProjectNames.get(project.name) !== project.content) {
+            preview.projects.overwritten.push(project.name);
+        }
+    });
+
+    return {
+        preview,
+        nextData,
+        projectWrites: projects.filter(project => existingProjectNames.get(project.name) !== project.content),
+        projectDeletes: preview.projects.removed,
+        removed
+    };
+}
+
+/**
+ * Give every trashed link and category an ID that is free in the current data
+ * Replace imports bring their own IDs, which can clash with those of trashed items.
+ * References between trashed items (a link's category, a category's links) are kept.
+ */
+function renumberTrash() {
+    const linkIds = new Map();
+    const categoryIds = new Map();
+    data.nextId = Math.max(data.nextId, ...data.links.map(link => link.id + 1));
+    data.nextCategoryId = Math.max(data.nextCategoryId, ...data.categories.map(category => category.id + 1));
+
+    data.trash.forEach(entry => {
+        if (entry.type === 'link') {
+            linkIds.set(entry.item.id, data.nextId++);
+        } else if (entry.type === 'category') {
+            categoryIds.set(entry.item.id, data.nextCategoryId++);
+        }
+    });
+
+    // The NAVIGATION category keeps its ID in every hub
+    const navigationCategory = data.categories.find(category => category.isDefault);
+    data.trash = data.trash.map(entry => {
+        if (entry.type === 'link') {
+            const previousCategoryId = entry.item.categoryId;
+            const categoryId = categoryIds.has(previousCategoryId)
+                ? categoryIds.get(previousCategoryId)
+                : (navigationCategory && previousCategoryId === navigationCategory.id ? previousCategoryId : null);
+            return { ...entry, item: { ...entry.item, id: linkIds.get(entry.item.id), categoryId } };
+        }
+        if (entry.type === 'category') {
+            const linkIdsInTrash = entry.linkIds.filter(id => linkIds.has(id)).map(id => linkIds.get(id));
+            return { ...entry, item: { ...entry.item, id: categoryIds.get(entry.item.id) }, linkIds: linkIdsInTrash };
+        }
+        return entry;
+    });
+}
+
+/**
+ * Download everything as a single JSON bundle: links, categories (with order and
+ * privacy), site settings, chat/filter/color config and all project files
+ */
+app.get('/api/export', requireRole('admin'), (req, res) => {
+    try {
+        const exportData = { links: data.links, categories: data.categories, nextId: data.nextId, nextCategoryId: data.nextCategoryId };
+        EXPORTED_SETTINGS.forEach(key => {
+            exportData[key] = data[key];
+        });
+
+        const bundle = {
+            format: EXPORT_FORMAT,
+            formatVersion: EXPORT_FORMAT_VERSION,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: exportData,
+            projects: readProjectFiles()
+        };
+
+        const filename = `proteusbox-export-${new Date().toISOString().slice(0, 10)}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.json(bundle);
+    } catch (error) {
+        handleApiError(res, error, 'export');
+    }
+});
+
+/**
+ * Import an export bundle
+ * Body => { bundle, mode: 'merge' | 'replace', dryRun: boolean }
+ * A dry run only returns the preview; a real import backs up data.json first
+ */
+app.post('/api/import', requireRole('admin'), (req, res) => {
+    const validation = validateRequiredFields(req.body, ['bundle']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const mode = req.body.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json(createApiResponse(false, null, 'Mode must be "merge" or "replace"'));
+    }
+
+    let plan;
+    try {
+        plan = planImport(req.body.bundle, mode);
+    } catch (error) {
+        return res.status(400).json(createApiResponse(false, null, error.message));
+    }
+
+    if (req.body.dryRun) {
+        return res.json(createApiResponse(true, { dryRun: true, preview: plan.preview }));
+    }
+
+    try {
+        const before = { links: data.links.length, categories: data.categories.length };
+        const backup = createBackup('pre-import');
+
+        data = plan.nextData;
+        ensureNavigationCategory();
+        plan.removed.categories.forEach(category => {
+            const linkIds = plan.removed.links.filter(link => link.categoryId === category.id).map(link => link.id);
+            moveToTrash(req, 'category', category, { linkIds });
+        });
+        plan.removed.links.forEach(link => moveToTrash(req, 'link', link));
+        plan.removed.projects.forEach(file => moveToTrash(req, 'project', file));
+        if (mode === 'replace') {
+            renumberTrash();
+        }
+        saveData();
+
+        ensureProjectDir();
+        plan.projectWrites.forEach(project => {
+            writeFileAtomic(path.join(PROJECT_DIR, project.name), project.content);
+        });
+        plan.projectDeletes.forEach(name => {
+            fs.rmSync(path.join(PROJECT_DIR, name), { force: true });
+        });
+
+        recordAudit(req, 'data.import', { name: mode }, before,
+            { links: data.links.length, categories: data.categories.length });
+        console.log(`Imported bundle (${mode}) by "${req.user.username}"; previous data saved as ${backup}`);
+
+        res.json(createApiResponse(true, { dryRun: false, preview: plan.preview, backup }));
+    } catch (error) {
+        handleApiError(res, error, 'import');
+    }
+});
+
+// =============================================================================
+// API ROUTES - DASHBOARD IMPORT (HEIMDALL, HOMER, DASHY, HOMARR, BOOKMARKS)
+// =============================================================================
+
+// Heimdall's built-in home dashboard tag, which is not a real group
+const HEIMDALL_DASHBOARD_TAG = 'app.dashboard';
+
+// Netscape bookmark file, the format every browser exports
+const BOOKMARK_FILE_PATTERN = /^\s*<!DOCTYPE NETSCAPE-Bookmark-file-1>/i;
+// Browser root folders (toolbar, "other bookmarks") that should not become categories
+const BOOKMARK_ROOT_FOLDER_PATTERN = /PERSONAL_TOOLBAR_FOLDER|UNFILED_BOOKMARKS_FOLDER/i;
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode the HTML entities browsers use in bookmark files
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+            return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Parse a Netscape bookmark file into groups of links
+ * Folders become categories; nested folders are joined as "Parent / Child" and
+ * browser root folders are skipped. Only http(s) bookmarks are kept.
+ * @param {string} html - Bookmark file content
+ * @returns {Array<Object>} - Groups as { name, links }
+ */
+function parseBookmarkHtml(html) {
+    const tokenPattern = /<(\/?)(h3|dl|a)\b([^>]*)>([^<]*)/gi;
+    const folderStack = [];
+    const entries = [];
+    let pendingFolder = null;
+    let match;
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const [, closing, tag, attributes, text] = match;
+        const tagName = tag.toLowerCase();
+
+        if (tagName === 'h3' && !closing) {
+            pendingFolder = {
+                name: decodeHtmlEntities(text.trim()),
+                isRoot: BOOKMARK_ROOT_FOLDER_PATTERN.test(attributes)
+            };
+        } else if (tagName === 'dl') {
+            if (closing) {
+                folderStack.pop();
+            } else {
+                // The <DL> following a folder heading holds that folder's contents
+                folderStack.push(pendingFolder);
+                pendingFolder = null;
+            }
+        } else if (tagName === 'a' && !closing) {
+            const href = /\bhref\s*=\s*"([^"]*)"/i.exec(attributes);
+            const url = href ? decodeHtmlEntities(href[1]) : '';
+            if (!/^https?:\/\//i.test(url)) continue;
+
+            const group = folderStack.filter(folder => folder && !folder.isRoot && folder.name)
+                .map(folder => folder.name)
+                .join(' / ');
+            entries.push({ group, link: toImportedLink(decodeHtmlEntities(text), url) });
+        }
+    }
+
+    return groupImportedLinks(entries);
+}
+
+/**
+ * Coerce a config value to trimmed text
+ * @param {*} value - Raw value
+ * @returns {string} - Text, or '' for non-text values
+ */
+function asText(value) {
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Build an imported link, skipping entries without a URL
+ * @param {*} name - Display name
+ * @param {*} url - Link URL
+ * @returns {Object|null} - { name, url } or null
+ */
+function toImportedLink(name, url) {
+    const linkUrl = asText(url);
+    if (!linkUrl) return null;
+    return { name: asText(name) || linkUrl, url: linkUrl };
+}
+
+/**
+ * Collect links into named groups, preserving first-seen order
+ * @param {Array} entries - Items as { group, link }
+ * @returns {Array<Object>} - Groups as { name, links }
+ */
+function groupImportedLinks(entries) {
+    const groups = new Map();
+    entries.forEach(({ group, link }) => {
+        if (!link) return;
+        const name = group || null;
+        if (!groups.has(name)) groups.set(name, { name, links: [] });
+        groups.get(name).links.push(link);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Converters from other dashboards' configs to groups of links
+ * Each returns an array of { name, links: [{ name, url }] }; a null name means uncategorized
+ */
+const DASHBOARD_CONVERTERS = {
+    // Heimdall item export: tags are items with type 1, apps reference them via tag_id or tags
+    heimdall(config) {
+        const items = (Array.isArray(config) ? config : config.items).filter(item => item && typeof item === 'object');
+        const tags = new Map(items.filter(item => Number(item.type) === 1).map(tag => [tag.id, asText(tag.title)]));
+
+        return groupImportedLinks(items.filter(item => Number(item.type) !== 1).map(item => {
+            const tagRef = item.tag_id ?? (Array.isArray(item.tags) ? item.tags[0] : item.tag);
+            let group = tags.get(tagRef) || asText(typeof tagRef === 'string' ? tagRef : '');
+            if (group === HEIMDALL_DASHBOARD_TAG) group = null;
+            return { group, link: toImportedLink(item.title, item.url) };
+        }));
+    },
+
+    // Homer config.yml: services[] groups with items[]
+    homer(config) {
+        return groupImportedLinks(config.services.flatMap(service =>
+            (Array.isArray(service.items) ? service.items : []).map(item => ({
+                group: asText(service.name),
+                link: toImportedLink(item.name, item.url)
+            }))));
+    },
+
+    // Dashy conf.yml: sections[] with items[]
+    dashy(config) {
+        return groupImportedLinks(config.sections.flatMap(section =>
+            (Array.isArray(section.items) ? section.items : []).map(item => ({
+                group: asText(section.name),
+                link: toImportedLink(item.title, item.url)
+            }))));
+    },
+
+    // Homarr board JSON: apps[] placed in categories[] (older releases: services[] with a category name)
+    homarr(config) {
+        if (Array.isArray(config.apps)) {
+            const categories = new Map((config.categories || []).map(category => [category.id, asText(category.name)]));
+            return groupImportedLinks(config.apps.map(homarrApp => {
+                const area = homarrApp.area || {};
+                const group = area.type === 'category' ? categories.get((area.properties || {}).id) : null;
+                const url = (homarrApp.behaviour && homarrApp.behaviour.externalUrl) || homarrApp.url;
+                return { group, link: toImportedLink(homarrApp.name, url) };
+            }));
+        }
+
+        return groupImportedLinks(config.services.map(service => ({
+            group: asText(service.category),
+            link: toImportedLink(service.name, service.url)
+        })));
+    }
+};
+
+/**
+ * Guess which dashboard a parsed config came from
+ * @param {*} config - Parsed JSON/YAML
+ * @returns {string|null} - Format name or null if unrecognized
+ */
+function detectDashboardFormat(config) {
+    if (Array.isArray(config) || Array.isArray(config.items)) return 'heimdall';
+    if (Array.isArray(config.sections)) return 'dashy';
+    if (Array.isArray(config.apps)) return 'homarr';
+    if (Array.isArray(config.services)) {
+        return config.services.some(service => service && Array.isArray(service.items)) ? 'homer' : 'homarr';
+    }
+    return null;
+}
+
+/**
+ * Parse another dashboard's config and mark duplicates
+ * Links are numbered so a preview selection can be sent back for the import.
+ * @param {string} content - Raw file content (JSON or YAML)
+ * @param {string} format - Format name, or 'auto' to detect it
+ * @returns {Object} - { format, categories, links }
+ * @throws {Error} - If the file can't be parsed or converted
+ */
+function planDashboardImport(content, format) {
+    const autoDetect = !format || format === 'auto';
+    let detectedFormat;
+    let groups;
+
+    if (format === 'bookmarks' || (autoDetect && BOOKMARK_FILE_PATTERN.test(content))) {
+        detectedFormat = 'bookmarks';
+        groups = parseBookmarkHtml(String(content));
+    } else {
+        let config;
+        try {
+            // JSON is valid YAML, so one parser handles every supported config
+            config = YAML.parse(String(content));
+        } catch (error) {
+            throw new Error(`Could not parse file: ${error.message}`);
+        }
+        if (!config || typeof config !== 'object') {
+            throw new Error('File does not contain a dashboard configuration');
+        }
+
+        detectedFormat = autoDetect ? detectDashboardFormat(config) : format;
+        if (!DASHBOARD_CONVERTERS[detectedFormat]) {
+            throw new Error('Unrecognized dashboard format, please choose it explicitly');
+        }
+
+        try {
+            groups = DASHBOARD_CONVERTERS[detectedFormat](config);
+        } catch (error) {
+            throw new Error(`File does not look like a ${detectedFormat} configuration`);
+        }
+    }
+
+    const existingUrls = new Set(data.links.map(link => normalizeLinkUrl(link.url)));
+    const seenUrls = new Set();
+    const links = [];
+
+    groups.forEach(group => group.links.forEach(link => {
+        const key = normalizeLinkUrl(link.url);
+        let duplicate = null;
+        if (existingUrls.has(key)) duplicate = 'existing';
+        else if (seenUrls.has(key)) duplicate = 'import';
+        seenUrls.add(key);
+
+        links.push({ index: links.length, name: link.name, url: link.url, category: group.name, duplicate });
+    }));
+
+    const categories = [...new Set(links.map(link => link.category).filter(Boolean))]
+        .map(name => ({ name, exists: Boolean(findCategoryByName(name)) }));
+
+    return { format: detectedFormat, categories, links };
+}
+
+/**
+ * Import links from Heimdall, Homer, Dashy, Homarr or a browser bookmark file
+ * Body => { content, format: 'auto' | 'heimdall' | 'homer' | 'dashy' | 'homarr' | 'bookmarks', dryRun, selected: [index] }
+ * Without `selected`, every link that is not a duplicate is imported.
+ */
+app.post('/api/import/dashboard', requireRole('admin'), (req, res) => {
+    const validation = validateRequiredFields(req.body, ['content']);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    let plan;
+    try {
+        plan = planDashboardImport(req.body.content, req.body.format);
+    } catch (error) {
+        return res.status(400).json(createApiResponse(false, null, error.message));
+    }
+
+    if (req.body.dryRun) {
+        return res.json(createApiResponse(true, { dryRun: true, ...plan }));
+    }
+
+    try {
+        const selected = Array.isArray(req.body.selected)
+            ? new Set(req.body.selected.map(Number))
+            : new Set(plan.links.filter(link => !link.duplicate).map(link => link.index));
+        const linksToImport = plan.links.filter(link => selected.has(link.index));
+
+        const backup = createBackup('pre-import');
+        const createdCategories = [];
+
+        linksToImport.forEach(link => {
+            let category = link.category ? findCategoryByName(link.category) : null;
+            if (link.category && !category) {
+                category = createCategoryRecord(link.category);
+                data.categories.push(category);
+                createdCategories.push(category.name);
+            }
+            data.links.push(createLinkRecord({ name: link.name, url: link.url, categoryId: category ? category.id : null }));
+        });
+        saveData();
+
+        recordAudit(req, 'data.import-dashboard', { name: plan.format }, null,
+            { links: linksToImport.length, categories: createdCategories });
+
+        res.json(createApiResponse(true, {
+            dryRun: false,
+            format: plan.format,
+            importedLinks: linksToImport.length,
+            createdCategories,
+            backup
+        }));
+    } catch (error) {
+        handleApiError(res, error, 'dashboard import');
+    }
+});
 
 /**
- * Admin login endpoint
+ * Export the links the requester can see as a Netscape bookmark file
+ * Everything sits in one toolbar folder named after the hub, with a subfolder per category
  */
-app.post('/api/admin/login', async (req, res) => {
-    const validation = validateRequiredFields(req.body, ['password']);
-    if (!validation.success) {
-        return res.status(400).json(createApiResponse(false, null, validation.error));
-    }
-    
+app.get('/api/bookmarks/export', (req, res) => {
     try {
-        const isValid = await bcrypt.compare(req.body.password, ADMIN_PASSWORD_HASH);
-        res.json(createApiResponse(isValid));
+        const toUnixTime = iso => Math.floor((iso ? Date.parse(iso) : Date.now()) / 1000) || '';
+        const visibleLinks = getVisibleLinks(req);
+        const renderLink = (link, indent) =>
+            `${indent}<DT><A HREF="${escapeHtml(link.url)}" ADD_DATE="${toUnixTime(link.createdAt)}">${escapeHtml(link.name)}</A>\n`;
+
+        let body = '';
+        [...getVisibleCategories(req)]
+            .sort((a, b) => (a.order || 0) - (b.order || 0))
+            .forEach(category => {
+                const categoryLinks = visibleLinks.filter(link => link.categoryId === category.id);
+                if (categoryLinks.length === 0) return;
+
+                body += `        <DT><H3 ADD_DATE="${toUnixTime(category.createdAt)}">${escapeHtml(category.name)}</H3>\n`;
+                body += '        <DL><p>\n';
+                categoryLinks.forEach(link => {
+                    body += renderLink(link, '            ');
+                });
+                body += '        </DL><p>\n';
+            });
+
+        const visibleCategoryIds = new Set(getVisibleCategories(req).map(category => category.id));
+        visibleLinks
+            .filter(link => link.categoryId === null || !visibleCategoryIds.has(link.categoryId))
+            .forEach(link => {
+                body += renderLink(link, '        ');
+            });
+
+        const html = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>',
+            `    <DT><H3 ADD_DATE="${toUnixTime()}" PERSONAL_TOOLBAR_FOLDER="true">${escapeHtml(data.siteTitle)}</H3>`,
+            '    <DL><p>',
+            body.trimEnd(),
+            '    </DL><p>',
+            '</DL><p>',
+            ''
+        ].join('\n');
+
+        const filename = `${data.siteTitle.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'proteusbox'}-bookmarks.html`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type('html').send(html);
     } catch (error) {
-        handleApiError(res, error, 'login');
+        handleApiError(res, error, 'bookmark export');
     }
 });
 
@@ -339,35 +5385,35 @@ app.post('/api/admin/login', async (req, res) => {
 // =============================================================================
 
 /**
- * Get all links
+ * Get all links visible to the requester
  */
 app.get('/api/links', (req, res) => {
-    res.json(createApiResponse(true, { links: data.links }));
+    const links = getVisibleLinks(req).map(withEtag);
+    res.json(createApiResponse(true, { links: canViewLinkChecks(req) ? links : links.map(redactCheckHeaders) }));
 });
 
 /**
  * Create new link
  */
-app.post('/api/links', (req, res) => {
+app.post('/api/links', requireRole('editor', 'links:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['name', 'url']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
     }
     
     const { name, url, categoryId } = req.body;
+    const checkValidation = validateLinkCheck(req.body.check, { allowEnvReferences: canUseEnvReferences(req) });
+    if (!checkValidation.success) {
+        return res.status(400).json(createApiResponse(false, null, checkValidation.error));
+    }
     
-    const newLink = {
-        id: data.nextId++,
-        name: name.trim(),
-        url: url.trim(),
-        categoryId: categoryId ? parseInt(categoryId) : null,
-        createdAt: new Date().toISOString()
-    };
+    const newLink = createLinkRecord({ name, url, categoryId, check: checkValidation.check });
     
     data.links.push(newLink);
     saveData();
+    recordAudit(req, 'link.create', { id: newLink.id, name: newLink.name }, null, newLink);
     
-    res.json(createApiResponse(true, { link: newLink }));
+    res.json(createApiResponse(true, { link: withEtag(newLink) }));
 });
 
 /**
@@ -376,7 +5422,7 @@ app.post('/api/links', (req, res) => {
 /**
  * Update link by ID
  */
-app.put('/api/links/:id', (req, res) => {
+app.put('/api/links/:id', requireRole('editor', 'links:write'), (req, res) => {
     const id = parseInt(req.params.id);
     const validation = validateRequiredFields(req.body, ['name', 'url']);
     if (!validation.success) {
@@ -389,25 +5435,44 @@ app.put('/api/links/:id', (req, res) => {
     if (linkIndex === -1) {
         return res.status(404).json(createApiResponse(false, null, 'Link not found'));
     }
+    if (!checkPrecondition(req, res, data.links[linkIndex])) return;
+    
+    // Clients that don't send a check keep the current one. Environment references an admin
+    // set up stay usable by editors, but only while the link keeps pointing at the same URL.
+    const previousLink = data.links[linkIndex];
+    const checkValidation = validateLinkCheck(req.body.check === undefined ? previousLink.check : req.body.check, {
+        allowEnvReferences: canUseEnvReferences(req),
+        existingCheck: previousLink.url === url.trim() ? previousLink.check : null
+    });
+    if (!checkValidation.success) {
+        return res.status(400).json(createApiResponse(false, null, checkValidation.error));
+    }
     
     // Update the link
-    data.links[linkIndex] = {
-        ...data.links[linkIndex],
+    const updatedLink = {
+        ...previousLink,
         name: name.trim(),
         url: url.trim(),
         categoryId: categoryId ? parseInt(categoryId) : null,
         updatedAt: new Date().toISOString()
     };
+    if (checkValidation.check) {
+        updatedLink.check = checkValidation.check;
+    } else {
+        delete updatedLink.check;
+    }
+    data.links[linkIndex] = updatedLink;
     
     saveData();
+    recordAudit(req, 'link.update', { id, name: data.links[linkIndex].name }, previousLink, data.links[linkIndex]);
     
-    res.json(createApiResponse(true, { link: data.links[linkIndex] }));
+    res.json(createApiResponse(true, { link: withEtag(data.links[linkIndex]) }));
 });
 
 /**
- * Delete link by ID
+ * Delete link by ID (moves it to the trash)
  */
-app.delete('/api/links/:id', (req, res) => {
+app.delete('/api/links/:id', requireRole('editor', 'links:write'), (req, res) => {
     const id = parseInt(req.params.id);
     const linkIndex = data.links.findIndex(link => link.id === id);
     
@@ -415,27 +5480,63 @@ app.delete('/api/links/:id', (req, res) => {
         return res.status(404).json(createApiResponse(false, null, 'Link not found'));
     }
     
-    data.links.splice(linkIndex, 1);
+    const [deletedLink] = data.links.splice(linkIndex, 1);
+    const trashEntry = moveToTrash(req, 'link', deletedLink);
     saveData();
+    recordAudit(req, 'link.delete', { id, name: deletedLink.name }, deletedLink, null);
     
-    res.json(createApiResponse(true));
+    res.json(createApiResponse(true, { trashId: trashEntry.id }));
 });
 
 /**
- * Check link status
+ * Get the health monitor's latest result, uptime and recent latencies for every link visible to the requester
  */
-app.post('/api/status/:id', async (req, res) => {
-    const validation = validateRequiredFields(req.body, ['url']);
-    if (!validation.success) {
-        return res.status(400).json(createApiResponse(false, null, validation.error));
-    }
-    
-    try {
-        const isOnline = await checkWebsiteStatus(req.body.url);
-        res.json(createApiResponse(true, { online: isOnline }));
-    } catch (error) {
-        handleApiError(res, error, 'status check');
+app.get('/api/status', (req, res) => {
+    const statuses = {};
+    getVisibleLinks(req).forEach(link => {
+        const summary = summarizeLinkHealth(link);
+        if (summary) {
+            statuses[link.id] = summary;
+        }
+    });
+
+    res.json(createApiResponse(true, { statuses, intervalSeconds: HEALTH_CHECK_INTERVAL_MS / 1000 }));
+});
+
+/**
+ * Get one link's recent checks and outages, newest first
+ */
+app.get('/api/status/:id', (req, res) => {
+    const id = parseInt(req.params.id);
+    const link = getVisibleLinks(req).find(l => l.id === id);
+    if (!link) {
+        return res.status(404).json(createApiResponse(false, null, 'Link not found'));
     }
+
+    const summary = summarizeLinkHealth(link);
+    const health = summary ? linkHealth.get(id) : { checks: [], outages: [] };
+    res.json(createApiResponse(true, {
+        status: summary,
+        checks: [...health.checks].reverse().slice(0, 20),
+        outages: [...health.outages].reverse()
+    }));
+});
+
+/**
+ * List the certificates of visible HTTPS links, soonest expiry first
+ */
+app.get('/api/certificates', requireRole('viewer', 'links:read'), (req, res) => {
+    const certificates = getVisibleLinks(req)
+        .map(link => {
+            const summary = summarizeLinkHealth(link);
+            return summary && summary.certificate
+                ? { linkId: link.id, name: link.name, url: link.url, ...summary.certificate }
+                : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+
+    res.json(createApiResponse(true, { certificates, warningDays: TLS_EXPIRY_WARNING_DAYS }));
 });
 
 // =============================================================================
@@ -443,43 +5544,36 @@ app.post('/api/status/:id', async (req, res) => {
 // =============================================================================
 
 /**
- * Get all categories
+ * Get all categories visible to the requester
  */
 app.get('/api/categories', (req, res) => {
     // Sort categories by order before returning
-    const sortedCategories = [...data.categories].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const sortedCategories = [...getVisibleCategories(req)].sort((a, b) => (a.order || 0) - (b.order || 0));
     res.json(createApiResponse(true, { categories: sortedCategories }));
 });
 
 /**
  * Create new category
  */
-app.post('/api/categories', (req, res) => {
+app.post('/api/categories', requireRole('editor', 'categories:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['name']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
     }
     
-    const { name } = req.body;
-    
-    const newCategory = {
-        id: data.nextCategoryId++,
-        name: name.trim(),
-        private: false,
-        order: data.categories.length,
-        createdAt: new Date().toISOString()
-    };
+    const newCategory = createCategoryRecord(req.body.name);
     
     data.categories.push(newCategory);
     saveData();
+    recordAudit(req, 'category.create', { id: newCategory.id, name: newCategory.name }, null, newCategory);
     
     res.json(createApiResponse(true, { category: newCategory }));
 });
 
 /**
- * Delete category by ID and update affected links
+ * Delete category by ID (moves it to the trash) and uncategorize affected links
  */
-app.delete('/api/categories/:id', (req, res) => {
+app.delete('/api/categories/:id', requireRole('editor', 'categories:write'), (req, res) => {
     const id = parseInt(req.params.id);
     const categoryIndex = data.categories.findIndex(category => category.id === id);
     
@@ -494,22 +5588,27 @@ app.delete('/api/categories/:id', (req, res) => {
     }
     
     // Remove category from all links
+    const uncategorizedLinkIds = [];
     data.links.forEach(link => {
         if (link.categoryId === id) {
             link.categoryId = null;
+            uncategorizedLinkIds.push(link.id);
         }
     });
     
     data.categories.splice(categoryIndex, 1);
+    const trashEntry = moveToTrash(req, 'category', category, { linkIds: uncategorizedLinkIds });
     saveData();
+    recordAudit(req, 'category.delete', { id, name: category.name },
+        { ...category, linkIds: uncategorizedLinkIds }, null);
     
-    res.json(createApiResponse(true));
+    res.json(createApiResponse(true, { trashId: trashEntry.id }));
 });
 
 /**
  * Update category privacy status
  */
-app.patch('/api/categories/:id/privacy', (req, res) => {
+app.patch('/api/categories/:id/privacy', requireRole('editor', 'categories:write'), (req, res) => {
     const id = parseInt(req.params.id);
     const { private: isPrivate } = req.body;
     
@@ -519,8 +5618,10 @@ app.patch('/api/categories/:id/privacy', (req, res) => {
         return res.status(404).json(createApiResponse(false, null, 'Category not found'));
     }
     
+    const wasPrivate = Boolean(category.private);
     category.private = Boolean(isPrivate);
     saveData();
+    recordAudit(req, 'category.privacy', { id, name: category.name }, { private: wasPrivate }, { private: category.private });
     
     res.json(createApiResponse(true, { category }));
 });
@@ -528,7 +5629,7 @@ app.patch('/api/categories/:id/privacy', (req, res) => {
 /**
  * Reorder categories
  */
-app.post('/api/categories/reorder', (req, res) => {
+app.post('/api/categories/reorder', requireRole('editor', 'categories:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['categoryOrder']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
@@ -541,6 +5642,12 @@ app.post('/api/categories/reorder', (req, res) => {
     }
     
     try {
+        // Snapshot orders keyed by category for the audit diff
+        const snapshotOrder = () => Object.fromEntries(
+            data.categories.map(cat => [`${cat.name} (#${cat.id})`, cat.order || 0])
+        );
+        const previousOrder = snapshotOrder();
+        
         // Update the order property for each category
         categoryOrder.forEach(({ id, order }) => {
             const category = data.categories.find(cat => cat.id === id);
@@ -553,6 +5660,7 @@ app.post('/api/categories/reorder', (req, res) => {
         data.categories.sort((a, b) => (a.order || 0) - (b.order || 0));
         
         saveData();
+        recordAudit(req, 'category.reorder', null, previousOrder, snapshotOrder());
         
         res.json(createApiResponse(true));
     } catch (error) {
@@ -574,14 +5682,16 @@ app.get('/api/homepage-message', (req, res) => {
 /**
  * Update homepage message
  */
-app.post('/api/homepage-message', (req, res) => {
+app.post('/api/homepage-message', requireRole('admin', 'config:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['message']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
     }
     
+    const previousMessage = data.homepageMessage;
     data.homepageMessage = req.body.message.trim();
     saveData();
+    recordAudit(req, 'config.homepage-message', null, previousMessage, data.homepageMessage);
     
     res.json(createApiResponse(true));
 });
@@ -596,14 +5706,16 @@ app.get('/api/site-title', (req, res) => {
 /**
  * Update site title
  */
-app.post('/api/site-title', (req, res) => {
+app.post('/api/site-title', requireRole('admin', 'config:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['title']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
     }
     
+    const previousTitle = data.siteTitle;
     data.siteTitle = req.body.title.trim();
     saveData();
+    recordAudit(req, 'config.site-title', null, previousTitle, data.siteTitle);
     
     res.json(createApiResponse(true));
 });
@@ -612,16 +5724,20 @@ app.post('/api/site-title', (req, res) => {
  * Get chat configuration
  */
 app.get('/api/chat-config', (req, res) => {
-    res.json(createApiResponse(true, { config: data.chatConfig }));
+    const etag = computeEtag(data.chatConfig);
+    res.set('ETag', etag).json(createApiResponse(true, { config: data.chatConfig, etag }));
 });
 
 /**
  * Update chat configuration
  */
-app.post('/api/chat-config', (req, res) => {
+app.post('/api/chat-config', requireRole('admin', 'config:write'), (req, res) => {
+    if (!checkPrecondition(req, res, data.chatConfig)) return;
+
     const { provider, apiUrl, chatflowId, ollamaBaseUrl, ollamaModel } = req.body;
 
     // Persist full configuration for both Flowise and Ollama providers
+    const previousConfig = data.chatConfig;
     data.chatConfig = {
         provider: provider || 'flowise',
         apiUrl: apiUrl || '',
@@ -630,8 +5746,110 @@ app.post('/api/chat-config', (req, res) => {
         ollamaModel: ollamaModel || ''
     };
     saveData();
+    recordAudit(req, 'config.chat', null, previousConfig, data.chatConfig);
 
-    res.json(createApiResponse(true));
+    res.json(createApiResponse(true, { etag: computeEtag(data.chatConfig) }));
+});
+
+// =============================================================================
+// API ROUTES - CONFIG FILE
+// =============================================================================
+
+/**
+ * Read config file content from a JSON body ({ content }) or a raw YAML body
+ * @param {Object} req - Express request object
+ * @returns {string|null} - YAML text
+ */
+function readConfigFileBody(req) {
+    if (typeof req.body === 'string') return req.body;
+    return req.body && typeof req.body.content === 'string' ? req.body.content : null;
+}
+
+/**
+ * Get the config file, its location and the outcome of the last reload
+ */
+app.get('/api/config-file', requireRole('admin'), (req, res) => {
+    try {
+        const enabled = fs.existsSync(CONFIG_FILE);
+        const relativePath = path.relative(__dirname, CONFIG_FILE);
+
+        res.json(createApiResponse(true, {
+            enabled,
+            path: relativePath.startsWith('..') ? CONFIG_FILE : relativePath,
+            content: enabled ? fs.readFileSync(CONFIG_FILE, 'utf8') : null,
+            checkedAt: configFileStatus.checkedAt,
+            errors: configFileStatus.errors
+        }));
+    } catch (error) {
+        handleApiError(res, error, 'reading config file');
+    }
+});
+
+/**
+ * Create the config file from the current dashboard
+ */
+app.post('/api/config-file', requireRole('admin', 'config:write'), (req, res) => {
+    try {
+        if (fs.existsSync(CONFIG_FILE)) {
+            return res.status(400).json(createApiResponse(false, null, 'Config file already exists'));
+        }
+
+        fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+        const content = CONFIG_FILE_HEADER + YAML.stringify(dataToConfig(), { lineWidth: 0 });
+        writeFileAtomic(CONFIG_FILE, content);
+        configFileContent = content;
+        configFileStatus = { checkedAt: new Date().toISOString(), errors: [] };
+        recordAudit(req, 'config-file.create', { file: path.basename(CONFIG_FILE) }, null, content);
+
+        res.json(createApiResponse(true, { content }));
+    } catch (error) {
+        handleApiError(res, error, 'creating config file');
+    }
+});
+
+/**
+ * Validate config file content without applying it
+ * Accepts { content } as JSON or the YAML itself (Content-Type: application/yaml),
+ * so CI jobs can check a file before it is deployed.
+ */
+app.post('/api/config-file/validate', requireRole('admin', 'config:write'), (req, res) => {
+    const content = readConfigFileBody(req);
+    if (content === null) {
+        return res.status(400).json(createApiResponse(false, null, 'content is required'));
+    }
+
+    const { errors } = validateConfigContent(content);
+    res.json(createApiResponse(true, { valid: errors.length === 0, errors }));
+});
+
+/**
+ * Replace the config file and apply it
+ */
+app.put('/api/config-file', requireRole('admin', 'config:write'), (req, res) => {
+    const content = readConfigFileBody(req);
+    if (content === null) {
+        return res.status(400).json(createApiResponse(false, null, 'content is required'));
+    }
+
+    const { config, errors } = validateConfigContent(content);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            ...createApiResponse(false, null, `Config file has ${errors.length} error(s)`),
+            errors
+        });
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+        writeFileAtomic(CONFIG_FILE, content);
+        configFileContent = content;
+        configFileStatus = { checkedAt: new Date().toISOString(), errors: [] };
+        const changed = applyConfigChange(config, req, 'config-file.update');
+
+        res.json(createApiResponse(true, { changed }));
+    } catch (error) {
+        handleApiError(res, error, 'saving config file');
+    }
 });
 
 // =============================================================================
@@ -707,14 +5925,16 @@ app.get('/api/filter-config', (req, res) => {
 /**
  * Update filter configuration
  */
-app.post('/api/filter-config', (req, res) => {
+app.post('/api/filter-config', requireRole('admin', 'config:write'), (req, res) => {
     const { enabled, keyword } = req.body;
     
+    const previousConfig = data.filterConfig;
     data.filterConfig = {
         enabled: enabled || false,
         keyword: keyword || '</think>'
     };
     saveData();
+    recordAudit(req, 'config.filter', null, previousConfig, data.filterConfig);
     
     res.json(createApiResponse(true));
 });
@@ -729,7 +5949,7 @@ app.get('/api/color-config', (req, res) => {
 /**
  * Update color configuration
  */
-app.post('/api/color-config', (req, res) => {
+app.post('/api/color-config', requireRole('admin', 'config:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['primaryColor']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
@@ -741,10 +5961,12 @@ app.post('/api/color-config', (req, res) => {
         return res.status(400).json(createApiResponse(false, null, 'Valid hex color code is required (e.g., #330099)'));
     }
     
+    const previousConfig = data.colorConfig;
     data.colorConfig = {
         primaryColor: primaryColor
     };
     saveData();
+    recordAudit(req, 'config.color', null, previousConfig, data.colorConfig);
     
     res.json(createApiResponse(true));
 });
@@ -801,7 +6023,7 @@ app.get('/api/image-proxy', async (req, res) => {
 // ================= PROJECT FILES =================
 
 /** List markdown project files */
-app.get('/api/projects', (req, res) => {
+app.get('/api/projects', requireRole('viewer', 'projects:read'), (req, res) => {
     try {
         ensureProjectDir();
         const files = fs.readdirSync(PROJECT_DIR)
@@ -813,7 +6035,7 @@ app.get('/api/projects', (req, res) => {
 });
 
 /** Get content of specific file */
-app.get('/api/projects/:name', (req, res) => {
+app.get('/api/projects/:name', requireRole('viewer', 'projects:read'), (req, res) => {
     try {
         const name = path.basename(req.params.name);
         const filePath = path.join(PROJECT_DIR, name);
@@ -821,14 +6043,15 @@ app.get('/api/projects/:name', (req, res) => {
             return res.status(404).json(createApiResponse(false, null, 'File not found'));
         }
         const content = fs.readFileSync(filePath, 'utf8');
-        res.json(createApiResponse(true, { content }));
+        const etag = computeEtag(content);
+        res.set('ETag', etag).json(createApiResponse(true, { content, etag }));
     } catch (err) {
         handleApiError(res, err, 'read project file');
     }
 });
 
 /** Create or update file */
-app.post('/api/projects', (req, res) => {
+app.post('/api/projects', requireRole('editor', 'projects:write'), (req, res) => {
     const validation = validateRequiredFields(req.body, ['name', 'content']);
     if (!validation.success) {
         return res.status(400).json(createApiResponse(false, null, validation.error));
@@ -839,28 +6062,336 @@ app.post('/api/projects', (req, res) => {
         name = path.basename(name);
         if (!name.endsWith('.md')) name += '.md';
         const filePath = path.join(PROJECT_DIR, name);
+        const previousContent = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        if (!checkPrecondition(req, res, previousContent)) return;
         fs.writeFileSync(filePath, content, 'utf8');
-        res.json(createApiResponse(true));
+        if (previousContent !== content) {
+            recordAudit(req, previousContent === null ? 'project.create' : 'project.update', { name },
+                previousContent, content);
+        }
+        res.json(createApiResponse(true, { name, etag: computeEtag(content) }));
     } catch (err) {
         handleApiError(res, err, 'save project file');
     }
 });
 
-/** Delete file */
-app.delete('/api/projects/:name', (req, res) => {
+/** Delete file (moves it to the trash) */
+app.delete('/api/projects/:name', requireRole('editor', 'projects:write'), (req, res) => {
     try {
         const name = path.basename(req.params.name);
         const filePath = path.join(PROJECT_DIR, name);
         if (!fs.existsSync(filePath)) {
             return res.status(404).json(createApiResponse(false, null, 'File not found'));
         }
+        const previousContent = fs.readFileSync(filePath, 'utf8');
         fs.unlinkSync(filePath);
-        res.json(createApiResponse(true));
+        const trashEntry = moveToTrash(req, 'project', { name, content: previousContent });
+        saveData();
+        recordAudit(req, 'project.delete', { name }, previousContent, null);
+        res.json(createApiResponse(true, { trashId: trashEntry.id }));
     } catch (err) {
         handleApiError(res, err, 'delete project file');
     }
 });
 
+// =============================================================================
+// API ROUTES - TRASH
+// =============================================================================
+
+/**
+ * List trashed items, most recently deleted first
+ */
+app.get('/api/trash', requireRole('editor'), (req, res) => {
+    const items = [...data.trash].reverse().map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        name: entry.name,
+        deletedAt: entry.deletedAt,
+        deletedBy: entry.deletedBy,
+        expiresAt: new Date(Date.parse(entry.deletedAt) + TRASH_RETENTION_MS).toISOString(),
+        url: entry.type === 'link' ? entry.item.url : undefined,
+        linkCount: entry.type === 'category' ? entry.linkIds.length : undefined,
+        size: entry.type === 'project' ? Buffer.byteLength(entry.item.content) : undefined
+    }));
+
+    res.json(createApiResponse(true, { items, retentionDays: TRASH_RETENTION_MS / (24 * 60 * 60 * 1000) }));
+});
+
+/**
+ * Restore a trashed item
+ * A restored category takes back its former links that are still uncategorized.
+ */
+app.post('/api/trash/:id/restore', requireRole('editor'), (req, res) => {
+    const id = parseInt(req.params.id);
+    const entry = data.trash.find(trashEntry => trashEntry.id === id);
+
+    if (!entry) {
+        return res.status(404).json(createApiResponse(false, null, 'Item not found in trash'));
+    }
+
+    try {
+        let after = entry.item;
+
+        if (entry.type === 'link') {
+            const link = { ...entry.item };
+            if (link.categoryId !== null && !data.categories.some(category => category.id === link.categoryId)) {
+                link.categoryId = null;
+            }
+            data.links.push(link);
+            after = link;
+        } else if (entry.type === 'category') {
+            if (findCategoryByName(entry.item.name)) {
+                return res.status(400).json(createApiResponse(false, null, `A category named "${entry.item.name}" already exists`));
+            }
+
+            const category = entry.item;
+            data.categories.push(category);
+
+            const reattachedLinkIds = [];
+            data.links.forEach(link => {
+                if (entry.linkIds.includes(link.id) && link.categoryId === null) {
+                    link.categoryId = category.id;
+                    reattachedLinkIds.push(link.id);
+                }
+            });
+            // Links trashed after the category should come back into it too
+            data.trash.forEach(trashEntry => {
+                if (trashEntry.type === 'link' && entry.linkIds.includes(trashEntry.item.id) && trashEntry.item.categoryId === null) {
+                    trashEntry.item.categoryId = category.id;
+                }
+            });
+            after = { ...category, linkIds: reattachedLinkIds };
+        } else {
+            const name = path.basename(entry.item.name);
+            const filePath = path.join(PROJECT_DIR, name);
+            if (fs.existsSync(filePath)) {
+                return res.status(400).json(createApiResponse(false, null, `A file named "${name}" already exists`));
+            }
+
+            ensureProjectDir();
+            fs.writeFileSync(filePath, entry.item.content, 'utf8');
+            after = entry.item.content;
+        }
+
+        data.trash = data.trash.filter(trashEntry => trashEntry !== entry);
+        saveData();
+        recordAudit(req, `${entry.type}.restore`, { id: entry.item.id, name: entry.name }, null, after);
+
+        res.json(createApiResponse(true, { type: entry.type }));
+    } catch (error) {
+        handleApiError(res, error, 'restore from trash');
+    }
+});
+
+/**
+ * Permanently delete one trashed item
+ */
+app.delete('/api/trash/:id', requireRole('editor'), (req, res) => {
+    const id = parseInt(req.params.id);
+    const entry = data.trash.find(trashEntry => trashEntry.id === id);
+
+    if (!entry) {
+        return res.status(404).json(createApiResponse(false, null, 'Item not found in trash'));
+    }
+
+    data.trash = data.trash.filter(trashEntry => trashEntry !== entry);
+    saveData();
+    recordAudit(req, 'trash.purge', { id: entry.item.id, name: entry.name, type: entry.type }, null, null);
+
+    res.json(createApiResponse(true));
+});
+
+/**
+ * Permanently delete everything in the trash
+ */
+app.delete('/api/trash', requireRole('admin'), (req, res) => {
+    const count = data.trash.length;
+    data.trash = [];
+    saveData();
+    recordAudit(req, 'trash.empty', null, { items: count }, { items: 0 });
+
+    res.json(createApiResponse(true, { purged: count }));
+});
+
+// =============================================================================
+// API ROUTES - NOTIFICATIONS
+// =============================================================================
+
+/**
+ * Find a notification channel by its route ID
+ * @param {string} id - Channel ID from the URL
+ * @returns {Object|undefined} - Channel record
+ */
+function findNotificationChannel(id) {
+    return notificationConfig.channels.find(channel => channel.id === parseInt(id));
+}
+
+/**
+ * List notification channels (without their secrets) and settings
+ */
+app.get('/api/notifications', requireRole('admin'), (req, res) => {
+    res.json(createApiResponse(true, {
+        failureThreshold: notificationConfig.failureThreshold,
+        channels: notificationConfig.channels.map(sanitizeNotificationChannel),
+        channelTypes: NOTIFICATION_CHANNEL_TYPES
+    }));
+});
+
+/**
+ * Change how many failed checks in a row count as a link being down
+ */
+app.put('/api/notifications/settings', requireRole('admin'), (req, res) => {
+    const failureThreshold = Number(req.body.failureThreshold);
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1 || failureThreshold > 20) {
+        return res.status(400).json(createApiResponse(false, null, 'Failure threshold must be a whole number from 1 to 20'));
+    }
+
+    const before = { failureThreshold: notificationConfig.failureThreshold };
+    notificationConfig.failureThreshold = failureThreshold;
+    saveNotificationConfig();
+    recordAudit(req, 'notification.settings', null, before, { failureThreshold });
+
+    res.json(createApiResponse(true, { failureThreshold }));
+});
+
+/**
+ * Add a notification channel
+ */
+app.post('/api/notifications/channels', requireRole('admin'), (req, res) => {
+    const validation = validateNotificationChannel(req.body);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const channel = {
+        id: notificationConfig.nextChannelId++,
+        ...validation.channel,
+        createdAt: new Date().toISOString(),
+        lastSentAt: null,
+        lastError: null
+    };
+    notificationConfig.channels.push(channel);
+    saveNotificationConfig();
+    recordAudit(req, 'notification.create', { id: channel.id, name: channel.name }, null, sanitizeNotificationChannel(channel));
+
+    res.json(createApiResponse(true, { channel: sanitizeNotificationChannel(channel) }));
+});
+
+/**
+ * Update a notification channel; secrets left empty keep their stored value
+ */
+app.put('/api/notifications/channels/:id', requireRole('admin'), (req, res) => {
+    const channel = findNotificationChannel(req.params.id);
+    if (!channel) {
+        return res.status(404).json(createApiResponse(false, null, 'Notification channel not found'));
+    }
+
+    const validation = validateNotificationChannel(req.body, channel);
+    if (!validation.success) {
+        return res.status(400).json(createApiResponse(false, null, validation.error));
+    }
+
+    const updatedChannel = {
+        id: channel.id,
+        ...validation.channel,
+        createdAt: channel.createdAt,
+        lastSentAt: channel.lastSentAt,
+        lastError: channel.lastError,
+        lastErrorAt: channel.lastErrorAt
+    };
+    notificationConfig.channels[notificationConfig.channels.indexOf(channel)] = updatedChannel;
+    saveNotificationConfig();
+    recordAudit(req, 'notification.update', { id: channel.id, name: updatedChannel.name },
+        sanitizeNotificationChannel(channel), sanitizeNotificationChannel(updatedChannel));
+
+    res.json(createApiResponse(true, { channel: sanitizeNotificationChannel(updatedChannel) }));
+});
+
+/**
+ * Remove a notification channel
+ */
+app.delete('/api/notifications/channels/:id', requireRole('admin'), (req, res) => {
+    const channel = findNotificationChannel(req.params.id);
+    if (!channel) {
+        return res.status(404).json(createApiResponse(false, null, 'Notification channel not found'));
+    }
+
+    notificationConfig.channels = notificationConfig.channels.filter(c => c !== channel);
+    saveNotificationConfig();
+    recordAudit(req, 'notification.delete', { id: channel.id, name: channel.name }, sanitizeNotificationChannel(channel), null);
+
+    res.json(createApiResponse(true, null));
+});
+
+/**
+ * Send a test message through a channel, reporting the receiver's error if it fails
+ */
+app.post('/api/notifications/channels/:id/test', requireRole('admin'), async (req, res) => {
+    const channel = findNotificationChannel(req.params.id);
+    if (!channel) {
+        return res.status(404).json(createApiResponse(false, null, 'Notification channel not found'));
+    }
+
+    const error = await sendToChannel(channel, buildStatusNotification('test'));
+    saveNotificationConfig();
+    if (error) {
+        return res.status(502).json(createApiResponse(false, null, `Test notification failed: ${error}`));
+    }
+
+    res.json(createApiResponse(true, { channel: sanitizeNotificationChannel(findNotificationChannel(channel.id) || channel) }));
+});
+
+// =============================================================================
+// API ROUTES - LIVE UPDATES
+// =============================================================================
+
+/**
+ * Stream change notifications to an open dashboard (server-sent events).
+ * Public like the dashboard itself; events only name what changed.
+ */
+app.get('/api/events', (req, res) => {
+    const ip = req.ip;
+    const ipClients = liveUpdateClientsByIp.get(ip) || 0;
+    if (ipClients >= LIVE_UPDATE_MAX_CLIENTS_PER_IP) {
+        return res.status(429).json(createApiResponse(false, null, 'Too many live update connections from this address'));
+    }
+
+    // Only anonymous streams count towards the shared limit, so visitors cannot lock signed-in users out
+    const anonymous = !getSession(req);
+    if (anonymous && anonymousLiveUpdateClients >= LIVE_UPDATE_MAX_CLIENTS) {
+        return res.status(503).json(createApiResponse(false, null, 'Too many live update connections'));
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    liveUpdateClients.add(res);
+    liveUpdateClientsByIp.set(ip, ipClients + 1);
+    if (anonymous) {
+        anonymousLiveUpdateClients++;
+    }
+
+    req.on('close', () => {
+        liveUpdateClients.delete(res);
+        const remaining = liveUpdateClientsByIp.get(ip) - 1;
+        if (remaining > 0) {
+            liveUpdateClientsByIp.set(ip, remaining);
+        } else {
+            liveUpdateClientsByIp.delete(ip);
+        }
+        if (anonymous) {
+            anonymousLiveUpdateClients--;
+        }
+    });
+});
+
 // =============================================================================
 // STATIC ROUTES
 // =============================================================================
@@ -882,16 +6413,43 @@ app.get('/', (req, res) => {
 async function startServer() {
     // Initialize data and authentication
     loadData();
+    watchConfigFile();
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+    setInterval(sendLiveUpdateHeartbeat, LIVE_UPDATE_HEARTBEAT_MS).unref();
+    loadHealthHistory();
+    loadNotificationConfig();
+    runHealthChecks();
+    setInterval(runHealthChecks, HEALTH_CHECK_INTERVAL_MS).unref();
+    setInterval(saveHealthHistory, HEALTH_SAVE_INTERVAL_MS).unref();
+    loadAuthData();
+    restoreLoginThrottle();
+    initializeUsers();
     await initializeAdminPassword();
     
     // Start HTTP server
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`Local Network Hub running on port ${PORT}`);
         console.log(`Access the application at: http://localhost:${PORT}`);
+        console.log(`Storage: ${storage.name} (${storage.location})`);
         console.log('Current chat provider:', data.chatConfig.provider);
+        if (fs.existsSync(CONFIG_FILE)) {
+            console.log(`Dashboard synced with config file ${CONFIG_FILE}`);
+        }
+        if (FORWARD_AUTH_TRUSTED_PROXIES.length > 0) {
+            console.log(`Forward auth enabled: trusting "${FORWARD_AUTH_HEADER}" from ${FORWARD_AUTH_TRUSTED_PROXIES.join(', ')}`);
+        }
     });
 }
 
+// Keep the latest check history when the container is stopped
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        saveHealthHistory();
+        process.exit(0);
+    });
+});
+
 // Start the application
 startServer().catch(error => {
     console.error('Failed to start server:', error);
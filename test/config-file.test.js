@@ -0,0 +1,99 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, Client, signInAsAdmin } = require('./helpers');
+
+/**
+ * Build a config file with the given categories
+ * @param {Object} categories - Category name -> link names
+ * @returns {string} - YAML text
+ */
+function configYaml(categories) {
+    const lines = ['categories:'];
+    Object.entries(categories).forEach(([name, links]) => {
+        lines.push(`  - name: ${name}`, '    links:');
+        links.forEach(link => lines.push(`      - name: ${link}`, `        url: http://127.0.0.1:9/${link.toLowerCase()}`));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Poll until a condition holds
+ * @param {Function} check - Async function returning a truthy value when done
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Condition not met within ${timeoutMs} ms`);
+}
+
+describe('config file', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer({
+            env: { CONFIG_WATCH_INTERVAL_MS: '100' },
+            files: { 'proteusbox.yml': configYaml({ Media: ['Jellyfin', 'Sonarr'], Tools: ['Gitea'] }) }
+        });
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('is applied on startup', async () => {
+        const { links } = (await new Client(server).get('/api/links')).body;
+        assert.deepEqual(links.map(link => link.name).sort(), ['Gitea', 'Jellyfin', 'Sonarr']);
+    });
+
+    test('links and categories removed from the file go to the trash', async () => {
+        fs.writeFileSync(path.join(server.dataDir, 'proteusbox.yml'), configYaml({ Media: ['Jellyfin'] }));
+
+        const items = await waitFor(async () => {
+            const trash = (await admin.get('/api/trash')).body.items;
+            return trash.length === 3 && trash;
+        });
+        assert.deepEqual(items.map(item => `${item.type} ${item.name}`).sort(), ['category Tools', 'link Gitea', 'link Sonarr']);
+        items.forEach(item => assert.equal(item.deletedBy, 'config-file'));
+
+        const { links } = (await new Client(server).get('/api/links')).body;
+        assert.deepEqual(links.map(link => link.name), ['Jellyfin']);
+    });
+
+    test('a removed category comes back with its links', async () => {
+        const items = (await admin.get('/api/trash')).body.items;
+        const tools = items.find(item => item.type === 'category');
+        const gitea = items.find(item => item.name === 'Gitea');
+
+        assert.equal((await admin.post(`/api/trash/${tools.id}/restore`)).status, 200);
+        assert.equal((await admin.post(`/api/trash/${gitea.id}/restore`)).status, 200);
+
+        const { links } = (await admin.get('/api/links')).body;
+        const { categories } = (await admin.get('/api/categories')).body;
+        const restored = links.find(link => link.name === 'Gitea');
+        assert.equal(restored.categoryId, categories.find(category => category.name === 'Tools').id);
+    });
+
+    test('NAVIGATION keeps its place when the file does not list it', async () => {
+        const ids = Object.fromEntries((await admin.get('/api/categories')).body.categories.map(category => [category.name, category.id]));
+        const categoryOrder = ['Media', 'NAVIGATION', 'Tools'].map((name, order) => ({ id: ids[name], order }));
+        assert.equal((await admin.post('/api/categories/reorder', { categoryOrder })).status, 200);
+
+        fs.writeFileSync(path.join(server.dataDir, 'proteusbox.yml'), configYaml({ Media: ['Jellyfin'], Tools: ['Gitea'], Extra: ['Grafana'] }));
+
+        const categories = await waitFor(async () => {
+            const current = (await admin.get('/api/categories')).body.categories;
+            return current.some(category => category.name === 'Extra') && current;
+        });
+        assert.deepEqual(categories.map(category => category.name), ['Media', 'NAVIGATION', 'Tools', 'Extra']);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD, TEST_PASSWORD, startServer, Client, signInAsAdmin } = require('./helpers');
+
+describe('CSRF protection', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('session changes need the CSRF token of that session', async () => {
+        const missing = await admin.post('/api/site-title', { title: 'No token' }, { csrf: false });
+        assert.equal(missing.status, 403);
+        assert.equal(missing.headers.get('X-CSRF-Rejected'), '1');
+
+        const wrong = await admin.post('/api/site-title', { title: 'Wrong token' }, { headers: { 'X-CSRF-Token': 'f'.repeat(64) } });
+        assert.equal(wrong.status, 403);
+
+        // A token from another session is just as wrong
+        const other = new Client(server);
+        assert.equal((await other.login(TEST_PASSWORD)).status, 200);
+        const foreign = await admin.post('/api/site-title', { title: 'Foreign token' }, { headers: { 'X-CSRF-Token': other.csrfToken } });
+        assert.equal(foreign.status, 403);
+
+        assert.equal((await admin.post('/api/site-title', { title: 'With token' })).status, 200);
+        assert.equal((await admin.get('/api/site-title')).body.title, 'With token');
+    });
+
+    test('reads do not need the token', async () => {
+        assert.equal((await admin.get('/api/admin/session', { csrf: false })).status, 200);
+    });
+
+    test('rejects changes from another origin even with the token', async () => {
+        const crossOrigin = await admin.post('/api/site-title', { title: 'Evil' }, { headers: { Origin: 'http://evil.example' } });
+        assert.equal(crossOrigin.status, 403);
+        assert.equal(crossOrigin.body.error, 'Cross-origin request rejected');
+
+        const crossReferer = await admin.post('/api/site-title', { title: 'Evil' }, { headers: { Referer: 'http://evil.example/page' } });
+        assert.equal(crossReferer.status, 403);
+
+        // Sandboxed frames send the opaque "null" origin
+        const opaque = await admin.post('/api/site-title', { title: 'Evil' }, { headers: { Origin: 'null' } });
+        assert.equal(opaque.status, 403);
+
+        const sameOrigin = await admin.post('/api/site-title', { title: 'Same origin' }, { headers: { Origin: server.baseUrl } });
+        assert.equal(sameOrigin.status, 200);
+    });
+
+    test('rejects cross-origin logins', async () => {
+        const login = await new Client(server).post('/api/admin/login', { password: DEFAULT_PASSWORD }, { headers: { Origin: 'http://evil.example' } });
+        assert.equal(login.status, 403);
+    });
+
+    test('API tokens work without a CSRF token but not from another origin', async () => {
+        const created = await admin.post('/api/tokens', { name: 'script', scopes: ['config:write'] });
+        assert.equal(created.status, 200);
+
+        const script = new Client(server);
+        const authorization = { Authorization: `Bearer ${created.body.token}` };
+        assert.equal((await script.post('/api/site-title', { title: 'From script' }, { headers: authorization })).status, 200);
+
+        const crossOrigin = await script.post('/api/site-title', { title: 'Evil' }, { headers: { ...authorization, Origin: 'http://evil.example' } });
+        assert.equal(crossOrigin.status, 403);
+    });
+});
+
+describe('ALLOWED_HOSTS', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer({ env: { ALLOWED_HOSTS: 'https://hub.lan, 192.168.1.10:7111' } });
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('accepts changes only from the listed hosts', async () => {
+        const listed = await admin.post('/api/site-title', { title: 'Hub' }, { headers: { Origin: 'https://hub.lan' } });
+        assert.equal(listed.status, 200);
+
+        const withPort = await admin.post('/api/site-title', { title: 'Hub' }, { headers: { Origin: 'http://192.168.1.10:7111' } });
+        assert.equal(withPort.status, 200);
+
+        const otherPort = await admin.post('/api/site-title', { title: 'Hub' }, { headers: { Origin: 'http://192.168.1.10:8080' } });
+        assert.equal(otherPort.status, 403);
+
+        // Once hosts are listed, the request's own Host header is no longer enough
+        const ownHost = await admin.post('/api/site-title', { title: 'Hub' }, { headers: { Origin: server.baseUrl } });
+        assert.equal(ownHost.status, 403);
+    });
+});
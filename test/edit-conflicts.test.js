@@ -0,0 +1,81 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signInAsAdmin } = require('./helpers');
+
+describe('edit conflicts', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('a link saved from a stale copy is rejected with the current version', async () => {
+        const { link } = (await admin.post('/api/links', { name: 'Wiki', url: 'http://127.0.0.1:9/wiki' })).body;
+        const opened = link.etag;
+
+        const first = await admin.put(`/api/links/${link.id}`, { name: 'Wiki (first)', url: link.url }, { headers: { 'If-Match': opened } });
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.link.etag, opened);
+
+        const second = await admin.put(`/api/links/${link.id}`, { name: 'Wiki (second)', url: link.url }, { headers: { 'If-Match': opened } });
+        assert.equal(second.status, 409);
+        assert.equal(second.body.current.name, 'Wiki (first)');
+        assert.equal(second.body.etag, first.body.link.etag);
+        assert.equal(second.headers.get('ETag'), first.body.link.etag);
+
+        const stored = (await admin.get('/api/links')).body.links.find(candidate => candidate.id === link.id);
+        assert.equal(stored.name, 'Wiki (first)');
+    });
+
+    test('accepts the current, weak and wildcard ETags, and no If-Match at all', async () => {
+        const { link } = (await admin.post('/api/links', { name: 'Grafana', url: 'http://127.0.0.1:9/grafana' })).body;
+
+        const weak = await admin.put(`/api/links/${link.id}`, { name: 'Grafana 2', url: link.url }, { headers: { 'If-Match': `W/${link.etag}` } });
+        assert.equal(weak.status, 200);
+
+        const wildcard = await admin.put(`/api/links/${link.id}`, { name: 'Grafana 3', url: link.url }, { headers: { 'If-Match': '*' } });
+        assert.equal(wildcard.status, 200);
+
+        // Scripts and older clients keep last-write-wins
+        const unconditional = await admin.put(`/api/links/${link.id}`, { name: 'Grafana 4', url: link.url });
+        assert.equal(unconditional.status, 200);
+    });
+
+    test('project notes: create-only saves, stale saves and notes deleted meanwhile', async () => {
+        const created = await admin.post('/api/projects', { name: 'plan', content: 'v1' }, { headers: { 'If-None-Match': '*' } });
+        assert.equal(created.status, 200);
+
+        const duplicate = await admin.post('/api/projects', { name: 'plan', content: 'other' }, { headers: { 'If-None-Match': '*' } });
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.current, 'v1');
+
+        const updated = await admin.post('/api/projects', { name: 'plan', content: 'v2' }, { headers: { 'If-Match': created.body.etag } });
+        assert.equal(updated.status, 200);
+
+        const stale = await admin.post('/api/projects', { name: 'plan', content: 'v3' }, { headers: { 'If-Match': created.body.etag } });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.current, 'v2');
+
+        assert.equal((await admin.delete('/api/projects/plan.md')).status, 200);
+        const deleted = await admin.post('/api/projects', { name: 'plan', content: 'v3' }, { headers: { 'If-Match': updated.body.etag } });
+        assert.equal(deleted.status, 409);
+        assert.equal(deleted.body.error, 'This was deleted by someone else');
+    });
+
+    test('chat configuration saves are checked too', async () => {
+        const { etag } = (await admin.get('/api/chat-config')).body;
+
+        const first = await admin.post('/api/chat-config', { provider: 'ollama', ollamaBaseUrl: 'http://127.0.0.1:11434' }, { headers: { 'If-Match': etag } });
+        assert.equal(first.status, 200);
+
+        const stale = await admin.post('/api/chat-config', { provider: 'flowise' }, { headers: { 'If-Match': etag } });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.current.provider, 'ollama');
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD, startServer, Client } = require('./helpers');
+
+/**
+ * Ask the server who a request carrying proxy identity headers is
+ * @param {Object} server - Server returned by startServer
+ * @param {Object} headers - Identity headers
+ * @returns {Promise<Object>} - Session status
+ */
+async function whoAmI(server, headers) {
+    return (await new Client(server).get('/api/admin/session', { headers })).body;
+}
+
+describe('forward-auth proxy trust', () => {
+    // The tests connect from 127.0.0.1
+    const cases = [
+        { proxies: '127.0.0.1', trusted: true },
+        { proxies: '127.0.0.0/8', trusted: true },
+        { proxies: '127.0.0.0/31', trusted: true },
+        { proxies: '127.0.0.2/32', trusted: false },
+        { proxies: '10.0.0.0/8, 192.168.1.1', trusted: false }
+    ];
+
+    cases.forEach(({ proxies, trusted }) => {
+        test(`${trusted ? 'trusts' : 'ignores'} the identity header with FORWARD_AUTH_TRUSTED_PROXIES=${proxies}`, async () => {
+            const server = await startServer({ env: { FORWARD_AUTH_TRUSTED_PROXIES: proxies } });
+            try {
+                const session = await whoAmI(server, { 'Remote-User': 'alice', 'X-Forwarded-For': '10.0.0.5' });
+                assert.equal(session.authenticated, trusted);
+                if (trusted) {
+                    assert.equal(session.forwardAuth, true);
+                    assert.equal(session.user.username, 'alice');
+                }
+            } finally {
+                await server.stop();
+            }
+        });
+    });
+});
+
+describe('forward-auth accounts', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            env: {
+                FORWARD_AUTH_TRUSTED_PROXIES: '127.0.0.1',
+                FORWARD_AUTH_ADMIN_GROUPS: 'hub-admins'
+            }
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('roles follow the proxy groups on every request', async () => {
+        assert.equal((await whoAmI(server, { 'Remote-User': 'bob', 'Remote-Groups': 'staff, hub-admins' })).user.role, 'admin');
+        assert.equal((await whoAmI(server, { 'Remote-User': 'bob', 'Remote-Groups': 'staff' })).user.role, 'viewer');
+    });
+
+    test('ignores usernames outside the allowed characters', async () => {
+        assert.equal((await whoAmI(server, { 'Remote-User': 'bob smith' })).authenticated, false);
+    });
+
+    test('proxy-managed accounts cannot sign in with a password', async () => {
+        await whoAmI(server, { 'Remote-User': 'carol' });
+
+        // Their account has no password hash of its own, so this must not fall back to the default one
+        const login = await new Client(server).login(DEFAULT_PASSWORD, 'carol');
+        assert.equal(login.status, 401);
+    });
+
+    test('proxy sessions still need the CSRF token for changes', async () => {
+        const client = new Client(server);
+        const headers = { 'Remote-User': 'bob', 'Remote-Groups': 'hub-admins' };
+
+        const withoutToken = await client.post('/api/site-title', { title: 'Proxy' }, { headers });
+        assert.equal(withoutToken.status, 403);
+
+        const { csrfToken } = await whoAmI(server, headers);
+        const withToken = await client.post('/api/site-title', { title: 'Proxy' }, { headers: { ...headers, 'X-CSRF-Token': csrfToken } });
+        assert.equal(withToken.status, 200);
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * Shared helpers for the behavior tests
+ * Each test file starts the real server in a child process with its own
+ * temporary DATA_DIR and port, and talks to it over HTTP.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_PASSWORD = 'password';
+const TEST_PASSWORD = 'newpassword1';
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * Find a free local TCP port
+ * @returns {Promise<number>} - Port number
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Create an empty temporary data directory
+ * @returns {string} - Directory path
+ */
+function createDataDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'proteusbox-test-'));
+}
+
+/**
+ * Write files into a data directory before the server starts
+ * @param {string} dataDir - Data directory
+ * @param {Object} files - Relative path -> content (objects are written as JSON)
+ */
+function writeDataFiles(dataDir, files) {
+    Object.entries(files).forEach(([name, content]) => {
+        const filePath = path.join(dataDir, name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    });
+}
+
+/**
+ * Start the server in a child process
+ * The environment is built from scratch so settings of the shell running the tests don't leak in.
+ * A data directory passed in is left in place if the server fails to start.
+ * @param {Object} options - { env: extra environment, files: data files to create first, dataDir: reuse a data directory }
+ * @returns {Promise<Object>} - { baseUrl, dataDir, output(), stop({ keepData }) }
+ */
+async function startServer({ env = {}, files = {}, dataDir } = {}) {
+    const directory = dataDir || createDataDir();
+    writeDataFiles(directory, files);
+
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+        cwd: ROOT_DIR,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DATA_DIR: directory,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const server = {
+        baseUrl: `http://127.0.0.1:${port}`,
+        dataDir: directory,
+        output: () => output,
+        exited,
+
+        /**
+         * Stop the server and remove its data directory
+         * @param {Object} options - { keepData: leave the data directory for a restart }
+         */
+        async stop({ keepData = false } = {}) {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGTERM');
+                await exited;
+            }
+            if (!keepData) {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        }
+    };
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            await server.stop({ keepData: Boolean(dataDir) });
+            throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+        }
+        try {
+            const response = await fetch(`${server.baseUrl}/api/site-title`);
+            if (response.ok) return server;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await server.stop({ keepData: Boolean(dataDir) });
+    throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms:\n${output}`);
+}
+
+/**
+ * HTTP client keeping the session cookie and CSRF token like a browser tab
+ */
+class Client {
+    /**
+     * @param {Object} server - Server returned by startServer
+     */
+    constructor(server) {
+        this.server = server;
+        this.cookies = new Map();
+        this.csrfToken = null;
+    }
+
+    /**
+     * Send a request
+     * @param {string} method - HTTP method
+     * @param {string} route - Path, e.g. '/api/links'
+     * @param {Object} options - { body, headers, csrf: send the CSRF token (default true) }
+     * @returns {Promise<Object>} - { status, headers, body }
+     */
+    async request(method, route, { body, headers = {}, csrf = true } = {}) {
+        const requestHeaders = { ...headers };
+        if (this.cookies.size > 0) {
+            requestHeaders.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        if (csrf && this.csrfToken && !requestHeaders['X-CSRF-Token']) {
+            requestHeaders['X-CSRF-Token'] = this.csrfToken;
+        }
+        if (body !== undefined && typeof body !== 'string') {
+            requestHeaders['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.server.baseUrl}${route}`, {
+            method,
+            headers: requestHeaders,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        response.headers.getSetCookie().forEach(cookie => {
+            const [name, value] = cookie.split(';')[0].split('=');
+            // Cleared cookies come back empty
+            if (value === '') {
+                this.cookies.delete(name.trim());
+            } else {
+                this.cookies.set(name.trim(), value.trim());
+            }
+        });
+
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (e.g. HTML or YAML)
+        }
+
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    get(route, options) {
+        return this.request('GET', route, options);
+    }
+
+    post(route, body, options = {}) {
+        return this.request('POST', route, { ...options, body });
+    }
+
+    put(route, body, options = {}) {
+        return this.request('PUT', route, { ...options, body });
+    }
+
+    delete(route, options) {
+        return this.request('DELETE', route, options);
+    }
+
+    /**
+     * Sign in with a password, keeping the CSRF token of the new session
+     * @param {string} password - Password
+     * @param {string} username - Username (optional, defaults to the admin account)
+     * @returns {Promise<Object>} - Login response
+     */
+    async login(password, username) {
+        const response = await this.post('/api/admin/login', username ? { username, password } : { password });
+        if (response.body.csrfToken) {
+            this.csrfToken = response.body.csrfToken;
+        }
+        return response;
+    }
+}
+
+/**
+ * Sign in as the default admin and replace the first-login password
+ * @param {Object} server - Server returned by startServer
+ * @returns {Promise<Client>} - Signed-in client
+ */
+async function signInAsAdmin(server) {
+    const client = new Client(server);
+    const login = await client.login(DEFAULT_PASSWORD);
+    if (login.status !== 200) {
+        throw new Error(`Admin login failed: ${JSON.stringify(login.body)}`);
+    }
+
+    const change = await client.post('/api/admin/password', { currentPassword: DEFAULT_PASSWORD, newPassword: TEST_PASSWORD });
+    if (change.status !== 200) {
+        throw new Error(`Password change failed: ${JSON.stringify(change.body)}`);
+    }
+    return client;
+}
+
+/**
+ * Read a JSON file from a server's data directory
+ * @param {Object} server - Server returned by startServer
+ * @param {string} name - File name relative to the data directory
+ * @returns {Object} - Parsed content
+ */
+function readDataFile(server, name) {
+    return JSON.parse(fs.readFileSync(path.join(server.dataDir, name), 'utf8'));
+}
+
+/**
+ * Generate a TOTP code for a base32 secret the way an authenticator app does (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} offset - Time steps to add to the current one
+ * @returns {string} - Six-digit code
+ */
+function totpCode(secret, offset = 0) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of secret.toUpperCase().replace(/=+$/, '')) {
+        value = (value << 5) | alphabet.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+    const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+    const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0x0f) & 0x7fffffff;
+    return String(binary % 1000000).padStart(6, '0');
+}
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    TEST_PASSWORD,
+    createDataDir,
+    startServer,
+    Client,
+    signInAsAdmin,
+    readDataFile,
+    totpCode
+};
@@ -0,0 +1,69 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signInAsAdmin } = require('./helpers');
+
+describe('replace import and the trash', () => {
+    let server;
+    let admin;
+    let bundle;
+
+    before(async () => {
+        server = await startServer();
+        admin = await signInAsAdmin(server);
+
+        // The bundle to import: one category and one link whose IDs clash with the current ones
+        bundle = (await admin.get('/api/export')).body;
+        bundle.data.categories.push({ id: 1, name: 'Imported', private: false, order: 0 });
+        bundle.data.links = [{ id: 1, name: 'Imported link', url: 'http://127.0.0.1:9/imported', categoryId: 1 }];
+        bundle.data.nextId = 2;
+        bundle.data.nextCategoryId = 2;
+
+        const { category } = (await admin.post('/api/categories', { name: 'Current' })).body;
+        await admin.post('/api/links', { name: 'Current link', url: 'http://127.0.0.1:9/current', categoryId: category.id });
+        const { link } = (await admin.post('/api/links', { name: 'Deleted earlier', url: 'http://127.0.0.1:9/deleted' })).body;
+        await admin.delete(`/api/links/${link.id}`);
+        await admin.post('/api/projects', { name: 'current', content: '# Current notes' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('the preview says what goes to the trash and what stays there', async () => {
+        const { preview } = (await admin.post('/api/import', { bundle, mode: 'replace', dryRun: true })).body;
+
+        assert.deepEqual(preview.categories.removed, ['Current']);
+        assert.equal(preview.links.removed, 1);
+        assert.deepEqual(preview.projects.removed, ['current.md']);
+        assert.equal(preview.trash.kept, 1);
+    });
+
+    test('keeps the trash and moves replaced items into it', async () => {
+        assert.equal((await admin.post('/api/import', { bundle, mode: 'replace' })).status, 200);
+
+        const links = (await admin.get('/api/links')).body.links;
+        assert.deepEqual(links.map(link => link.name), ['Imported link']);
+
+        const names = (await admin.get('/api/trash')).body.items.map(item => `${item.type} ${item.name}`).sort();
+        assert.deepEqual(names, ['category Current', 'link Current link', 'link Deleted earlier', 'project current.md']);
+    });
+
+    test('everything can be restored next to the imported data without ID clashes', async () => {
+        const items = (await admin.get('/api/trash')).body.items;
+        // Categories first, so their links come back into them
+        const ordered = [...items.filter(item => item.type === 'category'), ...items.filter(item => item.type !== 'category')];
+        for (const item of ordered) {
+            assert.equal((await admin.post(`/api/trash/${item.id}/restore`)).status, 200, item.name);
+        }
+
+        const { links } = (await admin.get('/api/links')).body;
+        const { categories } = (await admin.get('/api/categories')).body;
+        assert.equal(new Set(links.map(link => link.id)).size, links.length);
+        assert.equal(new Set(categories.map(category => category.id)).size, categories.length);
+
+        const current = categories.find(category => category.name === 'Current');
+        assert.equal(links.find(link => link.name === 'Current link').categoryId, current.id);
+        assert.equal(links.find(link => link.name === 'Imported link').categoryId, 1);
+        assert.equal((await admin.get('/api/projects/current.md')).body.content, '# Current notes');
+    });
+});
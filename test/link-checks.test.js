@@ -0,0 +1,119 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, Client, signInAsAdmin } = require('./helpers');
+
+const SECRET = 'Bearer super-secret-value';
+
+describe('health check headers', () => {
+    let server;
+    let admin;
+    let linkId;
+
+    before(async () => {
+        server = await startServer({ env: { STATUS_API_KEY: 'from-env' } });
+        admin = await signInAsAdmin(server);
+
+        const created = await admin.post('/api/links', {
+            name: 'Grafana',
+            url: 'http://127.0.0.1:9/',
+            check: { type: 'http', headers: { Authorization: SECRET, 'X-Api-Key': '${STATUS_API_KEY}' } }
+        });
+        assert.equal(created.status, 200);
+        linkId = created.body.link.id;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    /**
+     * Get the check settings of the test link as a client sees them
+     * @param {Client} client - Client to ask with
+     * @returns {Promise<Object>} - Link check settings
+     */
+    async function checkSeenBy(client) {
+        return (await client.get('/api/links')).body.links.find(link => link.id === linkId).check;
+    }
+
+    test('are only shown to editors', async () => {
+        assert.equal((await checkSeenBy(admin)).headers.Authorization, SECRET);
+
+        const anonymous = await checkSeenBy(new Client(server));
+        assert.deepEqual(anonymous.headers, { Authorization: '[redacted]', 'X-Api-Key': '[redacted]' });
+
+        assert.equal((await admin.post('/api/users', { username: 'viewer1', password: 'viewerpass1', role: 'viewer' })).status, 200);
+        const viewer = new Client(server);
+        await viewer.login('viewerpass1', 'viewer1');
+        assert.equal((await checkSeenBy(viewer)).headers.Authorization, '[redacted]');
+    });
+
+    test('only admins can take values from the environment', async () => {
+        assert.equal((await admin.post('/api/users', { username: 'editor1', password: 'editorpass1', role: 'editor' })).status, 200);
+        const editor = new Client(server);
+        await editor.login('editorpass1', 'editor1');
+
+        const created = await editor.post('/api/links', {
+            name: 'Leak',
+            url: 'http://127.0.0.1:9/leak',
+            check: { type: 'http', headers: { 'X-Leak': '${STATUS_API_KEY}' } }
+        });
+        assert.equal(created.status, 400);
+        assert.match(created.body.error, /Only admins/);
+
+        // Saving an admin's link unchanged keeps its reference, pointing it elsewhere does not
+        const check = await checkSeenBy(editor);
+        const renamed = await editor.put(`/api/links/${linkId}`, { name: 'Grafana (renamed)', url: 'http://127.0.0.1:9/', check });
+        assert.equal(renamed.status, 200);
+        const moved = await editor.put(`/api/links/${linkId}`, { name: 'Grafana', url: 'http://127.0.0.1:9/moved', check });
+        assert.equal(moved.status, 400);
+        assert.equal((await checkSeenBy(admin)).headers['X-Api-Key'], '${STATUS_API_KEY}');
+    });
+
+    test('are validated on import like in the admin panel', async () => {
+        const bundle = (await admin.get('/api/export')).body;
+        bundle.data.links = [{ id: 1, name: 'Imported', url: 'http://127.0.0.1:9/imported', categoryId: null, check: { type: 'http', headers: { 'Bad\nName': 'x' } } }];
+
+        for (const mode of ['merge', 'replace']) {
+            const imported = await admin.post('/api/import', { bundle, mode });
+            assert.equal(imported.status, 400, mode);
+            assert.match(imported.body.error, /Imported/);
+        }
+        const { links } = (await admin.get('/api/links')).body;
+        assert.ok(!links.some(link => link.name === 'Imported'));
+    });
+
+    test('are redacted in the audit log', () => {
+        const auditLog = fs.readFileSync(path.join(server.dataDir, 'audit.log'), 'utf8');
+        assert.ok(auditLog.includes('[redacted]'));
+        assert.ok(!auditLog.includes('super-secret-value'));
+    });
+
+    test('only environment references are written to the config file', async () => {
+        const created = await admin.post('/api/config-file');
+        assert.equal(created.status, 200);
+
+        const content = fs.readFileSync(path.join(server.dataDir, 'proteusbox.yml'), 'utf8');
+        assert.ok(content.includes('${STATUS_API_KEY}'));
+        assert.ok(!content.includes('super-secret-value'));
+    });
+
+    test('literal values are rejected in the config file', async () => {
+        const yaml = [
+            'categories:',
+            '  - name: Monitoring',
+            '    links:',
+            '      - name: Grafana',
+            '        url: http://127.0.0.1:9/',
+            '        check:',
+            '          headers:',
+            `            Authorization: ${SECRET}`,
+            ''
+        ].join('\n');
+
+        const validation = await admin.post('/api/config-file/validate', { content: yaml });
+        assert.equal(validation.body.valid, false);
+        assert.match(JSON.stringify(validation.body.errors), /Authorization/);
+    });
+});
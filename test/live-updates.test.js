@@ -0,0 +1,109 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signInAsAdmin } = require('./helpers');
+
+/**
+ * Open an event stream like a dashboard tab
+ * @param {Object} server - Server returned by startServer
+ * @param {Client} client - Signed-in client whose cookie to send (optional)
+ * @returns {Promise<Object>} - { status, read(), close() }
+ */
+async function openStream(server, client) {
+    const controller = new AbortController();
+    const headers = client
+        ? { Cookie: [...client.cookies].map(([name, value]) => `${name}=${value}`).join('; ') }
+        : {};
+    const response = await fetch(`${server.baseUrl}/api/events`, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    return {
+        status: response.status,
+
+        /**
+         * Read from the stream until the text matches
+         * @param {RegExp} pattern - Pattern to wait for
+         * @returns {Promise<string>} - Text received so far
+         */
+        async readUntil(pattern) {
+            let text = '';
+            while (!pattern.test(text)) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                text += decoder.decode(value);
+            }
+            return text;
+        },
+
+        close() {
+            controller.abort();
+            return reader.cancel().catch(() => {});
+        }
+    };
+}
+
+describe('live updates', () => {
+    let server;
+    let admin;
+    const streams = [];
+
+    before(async () => {
+        server = await startServer({ env: { LIVE_UPDATE_MAX_CLIENTS: '2', LIVE_UPDATE_MAX_CLIENTS_PER_IP: '4' } });
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await Promise.all(streams.map(stream => stream.close()));
+        await server.stop();
+    });
+
+    test('tells open dashboards what changed', async () => {
+        const stream = await openStream(server, admin);
+        streams.push(stream);
+        assert.equal(stream.status, 200);
+
+        assert.equal((await admin.post('/api/site-title', { title: 'Live' })).status, 200);
+        const text = await stream.readUntil(/event: change\ndata: .*\n\n/);
+        const event = JSON.parse(text.match(/event: change\ndata: (.*)\n/)[1]);
+        assert.equal(event.action, 'config.site-title');
+        assert.ok(event.topics.includes('config'));
+        // Only topics are sent, never the data itself
+        assert.ok(!text.includes('Live'));
+    });
+
+    test('anonymous streams cannot take the slots of signed-in users', async () => {
+        for (let i = 0; i < 2; i++) {
+            const stream = await openStream(server);
+            streams.push(stream);
+            assert.equal(stream.status, 200);
+        }
+
+        const anonymous = await openStream(server);
+        assert.equal(anonymous.status, 503);
+        await anonymous.close();
+
+        const signedIn = await openStream(server, admin);
+        streams.push(signedIn);
+        assert.equal(signedIn.status, 200);
+    });
+
+    test('limits the streams of one IP address', async () => {
+        // Two signed-in and two anonymous streams are open
+        const fifth = await openStream(server, admin);
+        assert.equal(fifth.status, 429);
+        await fifth.close();
+
+        // Closing an anonymous stream frees its slot under both limits
+        const [anonymous] = streams.splice(1, 1);
+        await anonymous.close();
+        let reopened;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            reopened = await openStream(server);
+            if (reopened.status === 200) break;
+            await reopened.close();
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        streams.push(reopened);
+        assert.equal(reopened.status, 200);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD, TEST_PASSWORD, startServer, Client, signInAsAdmin, readDataFile } = require('./helpers');
+
+/**
+ * Build persisted failed-login entries as the server writes them
+ * @param {number} count - Number of entries
+ * @param {Function} ipFor - Index -> client IP
+ * @returns {Array<Object>} - Failed login entries from the last minute
+ */
+function recentFailures(count, ipFor) {
+    const timestamp = new Date(Date.now() - 60 * 1000).toISOString();
+    return Array.from({ length: count }, (_, index) => ({ ip: ipFor(index), username: 'admin', timestamp, userAgent: 'test' }));
+}
+
+describe('login throttling', () => {
+    let server;
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('backs off after a failure and tells the client how long to wait', async () => {
+        server = await startServer();
+        const client = new Client(server);
+
+        assert.equal((await client.login('wrong-password')).status, 401);
+
+        const retry = await client.login(DEFAULT_PASSWORD);
+        assert.equal(retry.status, 429);
+        assert.ok(Number(retry.headers.get('Retry-After')) >= 1);
+
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal((await client.login(DEFAULT_PASSWORD)).status, 200);
+    });
+
+    test('a parallel burst only gets one password check per IP', async () => {
+        server = await startServer();
+        const client = new Client(server);
+
+        const responses = await Promise.all(Array.from({ length: 20 }, () => client.login('wrong-password')));
+        const statuses = responses.map(response => response.status);
+
+        assert.equal(statuses.filter(status => status === 401).length, 1);
+        assert.equal(statuses.filter(status => status === 429).length, 19);
+        assert.equal(readDataFile(server, 'auth.json').failedLogins.length, 1);
+    });
+
+    test('locks the IP out after LOGIN_MAX_FAILURES, even for the right password', async () => {
+        server = await startServer({ env: { LOGIN_MAX_FAILURES: '2' } });
+        const client = new Client(server);
+
+        assert.equal((await client.login('wrong-password')).status, 401);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal((await client.login('wrong-password')).status, 401);
+
+        const locked = await client.login(DEFAULT_PASSWORD);
+        assert.equal(locked.status, 429);
+        // Default lockout is 15 minutes
+        assert.ok(Number(locked.headers.get('Retry-After')) > 14 * 60);
+    });
+
+    test('signing in to another account does not clear the failures', async () => {
+        server = await startServer({ env: { LOGIN_MAX_FAILURES: '2' } });
+        const admin = await signInAsAdmin(server);
+        assert.equal((await admin.post('/api/users', { username: 'editor1', password: 'editorpass1', role: 'editor' })).status, 200);
+        const client = new Client(server);
+
+        assert.equal((await client.login('wrong-password', 'admin')).status, 401);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal((await client.login('editorpass1', 'editor1')).status, 200);
+        assert.equal((await client.login('wrong-password', 'admin')).status, 401);
+
+        const locked = await client.login(TEST_PASSWORD, 'admin');
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('Retry-After')) > 14 * 60);
+    });
+
+    test('keeps a lockout across restarts', async () => {
+        server = await startServer({
+            files: { 'auth.json': { failedLogins: recentFailures(5, () => '127.0.0.1') } }
+        });
+
+        assert.equal((await new Client(server).login(DEFAULT_PASSWORD)).status, 429);
+    });
+
+    test('pauses all logins once the global failure ceiling is reached', async () => {
+        server = await startServer({
+            env: { LOGIN_GLOBAL_MAX_FAILURES: '10' },
+            files: { 'auth.json': { failedLogins: recentFailures(10, index => `10.0.0.${index + 1}`) } }
+        });
+
+        // This IP never failed, but the failures from everywhere else add up
+        assert.equal((await new Client(server).login(DEFAULT_PASSWORD)).status, 429);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createDataDir, startServer, readDataFile } = require('./helpers');
+
+// data.json as written before the schema was versioned
+const UNVERSIONED_DATA = {
+    links: [
+        { id: 1, name: 'NAS', url: 'http://127.0.0.1:9/', categoryId: '2' },
+        { id: 5, name: 'Old printer', url: 'http://127.0.0.1:9/', categoryId: 99 }
+    ],
+    categories: [
+        { id: -1, name: 'NAVIGATION', private: false, order: -1, isDefault: true },
+        { id: 2, name: 'Storage', private: 1 }
+    ],
+    nextId: 2,
+    nextCategoryId: 1,
+    siteTitle: 'Old hub'
+};
+
+/**
+ * List backups taken before a migration
+ * @param {Object} server - Server returned by startServer
+ * @returns {Array<string>} - Backup file names
+ */
+function preMigrationBackups(server) {
+    const backupDir = path.join(server.dataDir, 'backups');
+    return fs.existsSync(backupDir) ? fs.readdirSync(backupDir).filter(name => /-pre-v\d+\.json$/.test(name)) : [];
+}
+
+describe('data migrations', () => {
+    test('upgrades an unversioned data.json and keeps a backup of the original', async () => {
+        const server = await startServer({ files: { 'data.json': UNVERSIONED_DATA } });
+        try {
+            const migrated = readDataFile(server, 'data.json');
+            assert.equal(migrated.schemaVersion, 1);
+            assert.equal(migrated.siteTitle, 'Old hub');
+
+            const storage = migrated.categories.find(category => category.name === 'Storage');
+            assert.equal(storage.private, true);
+            assert.equal(storage.order, 1);
+
+            assert.equal(migrated.links.find(link => link.name === 'NAS').categoryId, 2);
+            // Points at a category that no longer exists
+            assert.equal(migrated.links.find(link => link.name === 'Old printer').categoryId, null);
+
+            assert.equal(migrated.nextId, 6);
+            assert.equal(migrated.nextCategoryId, 3);
+
+            const backups = preMigrationBackups(server);
+            assert.equal(backups.length, 1);
+            assert.deepEqual(readDataFile(server, path.join('backups', backups[0])), UNVERSIONED_DATA);
+
+            assert.match(server.output(), /Migrated data\.json to schema v1/);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test('leaves current data alone on the next start', async () => {
+        const dataDir = createDataDir();
+        let server = await startServer({ dataDir, files: { 'data.json': UNVERSIONED_DATA } });
+        await server.stop({ keepData: true });
+        const migrated = fs.readFileSync(path.join(dataDir, 'data.json'), 'utf8');
+
+        server = await startServer({ dataDir });
+        try {
+            assert.equal(fs.readFileSync(path.join(dataDir, 'data.json'), 'utf8'), migrated);
+            assert.equal(preMigrationBackups(server).length, 1);
+            assert.doesNotMatch(server.output(), /Migrated/);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test('refuses to start on data from a newer version, without touching it', async () => {
+        const dataDir = createDataDir();
+        const newer = JSON.stringify({ ...UNVERSIONED_DATA, schemaVersion: 99 }, null, 2);
+        fs.writeFileSync(path.join(dataDir, 'data.json'), newer);
+
+        try {
+            await assert.rejects(startServer({ dataDir }), /only supports up to v1/);
+            assert.equal(fs.readFileSync(path.join(dataDir, 'data.json'), 'utf8'), newer);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, signInAsAdmin } = require('./helpers');
+
+const FAILURE_THRESHOLD = 2;
+
+/**
+ * Start a local HTTP server that plays both the monitored service and the webhook receiver
+ * Every request is logged in arrival order, so tests can tell which checks came before a notice.
+ * @returns {Promise<Object>} - { url, log, notices(event), setServiceUp(up), close() }
+ */
+async function startReceiver() {
+    const log = [];
+    let serviceUp = false;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (req.url === '/hook') {
+                log.push({ type: 'notice', notification: JSON.parse(body) });
+                res.writeHead(204).end();
+                return;
+            }
+            log.push({ type: 'check', online: serviceUp });
+            res.writeHead(serviceUp ? 200 : 503).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        log,
+        notices: event => log.filter(entry => entry.type === 'notice' && entry.notification.event === event),
+        setServiceUp(up) {
+            serviceUp = up;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Poll until a condition holds
+ * @param {Function} check - Function returning a truthy value when done
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Condition not met within ${timeoutMs} ms`);
+}
+
+describe('notifications', () => {
+    let server;
+    let admin;
+    let receiver;
+    let channelId;
+
+    before(async () => {
+        receiver = await startReceiver();
+        server = await startServer({ env: { HEALTH_CHECK_INTERVAL_SECONDS: '1' } });
+        admin = await signInAsAdmin(server);
+
+        assert.equal((await admin.put('/api/notifications/settings', { failureThreshold: FAILURE_THRESHOLD })).status, 200);
+        const created = await admin.post('/api/notifications/channels', { name: 'Receiver', type: 'webhook', url: `${receiver.url}/hook` });
+        assert.equal(created.status, 200);
+        channelId = created.body.channel.id;
+    });
+
+    after(async () => {
+        await server.stop();
+        await receiver.close();
+    });
+
+    test('"send test" posts to the channel', async () => {
+        const response = await admin.post(`/api/notifications/channels/${channelId}/test`);
+        assert.equal(response.status, 200);
+        assert.ok(response.body.channel.lastSentAt);
+
+        const [notice] = receiver.notices('test');
+        assert.equal(notice.notification.title, 'Test notification');
+        assert.equal(notice.notification.link, null);
+    });
+
+    test('a link is only reported down after the failure threshold', async () => {
+        const created = await admin.post('/api/links', { name: 'Service', url: `${receiver.url}/service` });
+        assert.equal(created.status, 200);
+
+        const [down] = await waitFor(() => receiver.notices('down').length > 0 && receiver.notices('down'));
+        assert.equal(down.notification.link.name, 'Service');
+        assert.equal(down.notification.outage.checks, FAILURE_THRESHOLD);
+
+        const checksBefore = receiver.log.slice(0, receiver.log.indexOf(down)).filter(entry => entry.type === 'check');
+        assert.equal(checksBefore.length, FAILURE_THRESHOLD);
+        assert.ok(checksBefore.every(entry => !entry.online));
+    });
+
+    test('a recovery notice is sent once the link is back', async () => {
+        receiver.setServiceUp(true);
+
+        const [recovered] = await waitFor(() => receiver.notices('recovered').length > 0 && receiver.notices('recovered'));
+        assert.equal(recovered.notification.link.name, 'Service');
+        assert.ok(recovered.notification.outage.end);
+        // The outage was reported once, however many checks it lasted
+        assert.equal(receiver.notices('down').length, 1);
+    });
+});
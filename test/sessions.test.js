@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD, TEST_PASSWORD, startServer, Client, signInAsAdmin } = require('./helpers');
+
+const LINK = { name: 'Router', url: 'http://127.0.0.1:9/' };
+
+describe('admin sessions', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('rejects mutations without a session', async () => {
+        const anonymous = new Client(server);
+
+        assert.equal((await anonymous.post('/api/links', LINK)).status, 401);
+        assert.equal((await anonymous.delete('/api/links/1')).status, 401);
+        assert.equal((await anonymous.post('/api/site-title', { title: 'Hijacked' })).status, 401);
+        assert.notEqual((await anonymous.get('/api/site-title')).body.title, 'Hijacked');
+    });
+
+    test('rejects a forged session cookie', async () => {
+        const forged = new Client(server);
+        forged.cookies.set('proteusbox_session', 'not-a-real-session');
+
+        assert.equal((await forged.post('/api/links', LINK)).status, 401);
+    });
+
+    test('requires the default password to be changed before any other change', async () => {
+        const client = new Client(server);
+        const login = await client.login(DEFAULT_PASSWORD);
+        assert.equal(login.status, 200);
+        assert.equal(login.body.mustChangePassword, true);
+
+        const blocked = await client.post('/api/links', LINK);
+        assert.equal(blocked.status, 403);
+        assert.equal(blocked.body.error, 'Password change required');
+
+        const change = await client.post('/api/admin/password', { currentPassword: DEFAULT_PASSWORD, newPassword: TEST_PASSWORD });
+        assert.equal(change.status, 200);
+        assert.equal((await client.post('/api/links', LINK)).status, 200);
+    });
+
+    test('ends the session on logout, server side', async () => {
+        const client = new Client(server);
+        assert.equal((await client.login(TEST_PASSWORD)).status, 200);
+        const cookies = new Map(client.cookies);
+
+        assert.equal((await client.post('/api/admin/logout')).status, 200);
+
+        // Replaying the old cookie must not work either
+        const replay = new Client(server);
+        replay.cookies = cookies;
+        replay.csrfToken = client.csrfToken;
+        assert.equal((await replay.post('/api/links', LINK)).status, 401);
+    });
+});
+
+describe('roles', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('viewers can sign in but not change links', async () => {
+        const created = await admin.post('/api/users', { username: 'viewer1', password: 'viewerpass1', role: 'viewer' });
+        assert.equal(created.status, 200);
+
+        const viewer = new Client(server);
+        assert.equal((await viewer.login('viewerpass1', 'viewer1')).status, 200);
+
+        const blocked = await viewer.post('/api/links', LINK);
+        assert.equal(blocked.status, 403);
+        assert.equal(blocked.body.error, 'Insufficient permissions');
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createDataDir, startServer, Client, signInAsAdmin } = require('./helpers');
+
+// better-sqlite3 is an optional dependency
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // Tests below are skipped
+}
+
+const DATA = {
+    schemaVersion: 1,
+    links: [1, 2, 3].map(id => ({ id, name: `Service ${id}`, url: `http://127.0.0.1:9/${id}`, categoryId: 1 })),
+    categories: [
+        { id: -1, name: 'NAVIGATION', private: false, order: -1, isDefault: true },
+        { id: 1, name: 'Media', private: false, order: 0 }
+    ],
+    nextId: 4,
+    nextCategoryId: 2,
+    siteTitle: 'JSON hub'
+};
+
+const AUDIT_LINE = JSON.stringify({ timestamp: new Date().toISOString(), action: 'link.create', actor: 'admin' });
+
+/**
+ * Record every row the server writes into a test_writes table
+ * @param {Object} db - better-sqlite3 database
+ */
+function watchWrites(db) {
+    db.exec('CREATE TABLE test_writes (tbl TEXT NOT NULL, op TEXT NOT NULL, key TEXT NOT NULL)');
+    ['links', 'categories', 'settings'].forEach(table => {
+        const key = table === 'settings' ? 'key' : 'id';
+        [['INSERT', 'NEW'], ['UPDATE', 'NEW'], ['DELETE', 'OLD']].forEach(([operation, row]) => {
+            db.exec(`CREATE TRIGGER test_${table}_${operation} AFTER ${operation} ON ${table}
+                BEGIN INSERT INTO test_writes VALUES ('${table}', '${operation}', ${row}.${key}); END`);
+        });
+    });
+}
+
+/**
+ * Read and clear the rows written since the last call
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Array<string>} - Sorted "table OPERATION key" entries
+ */
+function takeWrites(db) {
+    const writes = db.prepare('SELECT tbl, op, key FROM test_writes').all().map(row => `${row.tbl} ${row.op} ${row.key}`);
+    db.exec('DELETE FROM test_writes');
+    return writes.sort();
+}
+
+describe('SQLite storage backend', { skip: !Database && 'better-sqlite3 is not installed' }, () => {
+    const env = { STORAGE_BACKEND: 'sqlite' };
+    let dataDir;
+    let server;
+    let admin;
+    let db;
+
+    before(async () => {
+        dataDir = createDataDir();
+        server = await startServer({ env, dataDir, files: { 'data.json': DATA, 'audit.log': `${AUDIT_LINE}\n` } });
+        admin = await signInAsAdmin(server);
+        db = new Database(path.join(dataDir, 'proteusbox.db'));
+    });
+
+    after(async () => {
+        if (db) {
+            db.close();
+        }
+        await server.stop();
+    });
+
+    test('moves data.json and audit.log into the database on the first start', async () => {
+        assert.ok(!fs.existsSync(path.join(dataDir, 'data.json')));
+        assert.ok(fs.existsSync(path.join(dataDir, 'data.json.migrated')));
+        assert.ok(fs.existsSync(path.join(dataDir, 'audit.log.migrated')));
+
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM links').get().count, 3);
+        assert.equal(JSON.parse(db.prepare("SELECT value FROM settings WHERE key = 'siteTitle'").get().value), 'JSON hub');
+        assert.equal(JSON.parse(db.prepare('SELECT entry FROM audit ORDER BY id LIMIT 1').get().entry).action, 'link.create');
+
+        const links = (await new Client(server).get('/api/links')).body.links;
+        assert.deepEqual(links.map(link => link.name), ['Service 1', 'Service 2', 'Service 3']);
+    });
+
+    test('an edit only writes the row it changed', async () => {
+        // The first save also stores the defaults the old data.json had no keys for
+        assert.equal((await admin.post('/api/homepage-message', { message: 'Hello' })).status, 200);
+        watchWrites(db);
+
+        const updated = await admin.put('/api/links/2', { name: 'Renamed', url: 'http://127.0.0.1:9/2', categoryId: 1 });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(takeWrites(db), ['links UPDATE 2']);
+
+        assert.equal((await admin.post('/api/site-title', { title: 'SQLite hub' })).status, 200);
+        assert.deepEqual(takeWrites(db), ['settings UPDATE siteTitle']);
+    });
+
+    test('a delete removes the row and only touches the trash settings', async () => {
+        assert.equal((await admin.delete('/api/links/3')).status, 200);
+
+        assert.deepEqual(takeWrites(db), ['links DELETE 3', 'settings UPDATE nextTrashId', 'settings UPDATE trash']);
+    });
+
+    test('keeps the data across restarts', async () => {
+        db.close();
+        db = null;
+        await server.stop({ keepData: true });
+        server = await startServer({ env, dataDir });
+
+        const links = (await new Client(server).get('/api/links')).body.links;
+        assert.deepEqual(links.map(link => link.name), ['Service 1', 'Renamed']);
+        assert.equal((await new Client(server).get('/api/site-title')).body.title, 'SQLite hub');
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_PASSWORD, startServer, Client, signInAsAdmin, readDataFile, totpCode } = require('./helpers');
+
+// A failed second factor counts as a failed login, so the next attempt has to wait out the backoff
+const BACKOFF_MS = 1100;
+
+/**
+ * Sign in with the password and a second factor
+ * @param {Object} server - Server returned by startServer
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<Object>} - { client, response } for the second step
+ */
+async function signInWithCode(server, code) {
+    const client = new Client(server);
+    const first = await client.login(TEST_PASSWORD);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.twoFactorRequired, true);
+
+    const response = await client.post('/api/admin/login/2fa', { challengeToken: first.body.challengeToken, code });
+    client.csrfToken = response.body.csrfToken || null;
+    return { client, response };
+}
+
+describe('two-factor authentication', () => {
+    let server;
+    let admin;
+    let secret;
+    let recoveryCodes;
+
+    before(async () => {
+        server = await startServer();
+        admin = await signInAsAdmin(server);
+
+        secret = (await admin.post('/api/admin/2fa/setup')).body.secret;
+        assert.equal((await admin.post('/api/admin/2fa/enable', { code: '000000' })).status, 400);
+        // Wrong codes are throttled like failed logins
+        assert.equal((await admin.post('/api/admin/2fa/enable', { code: totpCode(secret, -1) })).status, 429);
+        await new Promise(resolve => setTimeout(resolve, BACKOFF_MS));
+
+        // The previous time step, so the current one is still unused for the login below
+        const enabled = await admin.post('/api/admin/2fa/enable', { code: totpCode(secret, -1) });
+        assert.equal(enabled.status, 200);
+        recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    test('stores recovery codes as bcrypt hashes only', () => {
+        assert.equal(recoveryCodes.length, 10);
+
+        const [user] = readDataFile(server, 'auth.json').users;
+        assert.equal(user.recoveryCodeHashes.length, 10);
+        user.recoveryCodeHashes.forEach(hash => assert.match(hash, /^\$2[aby]\$/));
+
+        const stored = JSON.stringify(readDataFile(server, 'auth.json'));
+        recoveryCodes.forEach(code => assert.ok(!stored.includes(code.replace('-', ''))));
+    });
+
+    test('the password alone does not start a session', async () => {
+        const client = new Client(server);
+        const first = await client.login(TEST_PASSWORD);
+
+        assert.equal(first.body.twoFactorRequired, true);
+        assert.equal(first.body.csrfToken, undefined);
+        assert.equal((await client.get('/api/admin/session')).body.authenticated, false);
+    });
+
+    test('accepts a TOTP code once', async () => {
+        const code = totpCode(secret);
+        const { client, response } = await signInWithCode(server, code);
+        assert.equal(response.status, 200);
+        assert.equal((await client.get('/api/admin/session')).body.authenticated, true);
+
+        const replay = await signInWithCode(server, code);
+        assert.equal(replay.response.status, 401);
+        await new Promise(resolve => setTimeout(resolve, BACKOFF_MS));
+    });
+
+    test('accepts each recovery code once, with or without the dash', async () => {
+        const code = recoveryCodes[0].replace('-', '').toUpperCase();
+        assert.equal((await signInWithCode(server, code)).response.status, 200);
+
+        const reuse = await signInWithCode(server, recoveryCodes[0]);
+        assert.equal(reuse.response.status, 401);
+        await new Promise(resolve => setTimeout(resolve, BACKOFF_MS));
+
+        const [user] = readDataFile(server, 'auth.json').users;
+        assert.equal(user.recoveryCodeHashes.length, 9);
+    });
+
+    test('throttles wrong codes when replacing recovery codes', async () => {
+        assert.equal((await admin.post('/api/admin/2fa/recovery-codes', { code: '000000' })).status, 400);
+        assert.equal((await admin.post('/api/admin/2fa/recovery-codes', { code: recoveryCodes[1] })).status, 429);
+        // The second failure in a row doubles the backoff
+        await new Promise(resolve => setTimeout(resolve, 2 * BACKOFF_MS));
+
+        const replaced = await admin.post('/api/admin/2fa/recovery-codes', { code: recoveryCodes[1] });
+        assert.equal(replaced.status, 200);
+        assert.equal(replaced.body.recoveryCodes.length, 10);
+    });
+
+    test('rejects malformed codes', async () => {
+        assert.equal((await signInWithCode(server, 'not-a-code')).response.status, 401);
+        await new Promise(resolve => setTimeout(resolve, BACKOFF_MS));
+    });
+});